@@ -0,0 +1,64 @@
+// scripts/build-medication-seed.mjs
+/*
+  Builds the bundled seed list, src/terminology/medications.json, from an RF2
+  release: the drugs named in scripts/medication-seed.txt, read from the
+  description file (and language reference set, for preferred synonyms) with
+  the app's own parseRf2Descriptions.
+
+    npm run build:medication-seed -- sct2_Description_*.txt [der2_cRefset_Language*.txt]
+
+  Lines that match no clinical drug in the release are listed and the list
+  is still written, so a renamed product is noticed rather than silently lost.
+*/
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+import { parseRf2Descriptions, isLanguageRefset } from "../src/rf2Descriptions.js";
+
+const LIST = new URL("./medication-seed.txt", import.meta.url);
+const OUTPUT = new URL("../src/terminology/medications.json", import.meta.url);
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error("usage: build-medication-seed.mjs sct2_Description_*.txt [der2_cRefset_Language*.txt]");
+  process.exit(2);
+}
+const texts = files.map((f) => readFileSync(f, "utf8"));
+const descriptionIndex = texts.findIndex((t) => !isLanguageRefset(t));
+if (descriptionIndex < 0) {
+  console.error("No description file (sct2_Description_*.txt) among the arguments");
+  process.exit(2);
+}
+const concepts = parseRf2Descriptions(texts[descriptionIndex], texts.find(isLanguageRefset) || "");
+
+// Word-prefix matching, as the Drug Name typeahead searches (see createMedicationIndex)
+const tokenize = (text) => String(text || "").toLowerCase().split(/[^a-z0-9.%]+/).filter(Boolean);
+const rows = concepts.map((c) => ({ concept: c, tokens: tokenize(c.display) }));
+const find = (query) =>
+  rows
+    .filter((r) => tokenize(query).every((w) => r.tokens.some((t) => t.startsWith(w))))
+    .sort((a, b) => a.concept.display.length - b.concept.display.length)[0]?.concept;
+
+const queries = readFileSync(LIST, "utf8")
+  .split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter((line) => line && !line.startsWith("#"));
+const picked = new Map();
+const missing = [];
+queries.forEach((query) => {
+  const concept = find(query);
+  if (concept) picked.set(concept.code, concept);
+  else missing.push(query);
+});
+
+const release = basename(files[descriptionIndex]);
+const source = `Seed list bundled with the app: the drugs in scripts/medication-seed.txt, from ${release}. Load a SNOMED CT (India drug extension) RF2 description release from the Medications card to replace it.`;
+const sorted = [...picked.values()].sort((a, b) => a.display.localeCompare(b.display));
+// One concept per line, as the file has always been laid out
+const line = (concept) => `{ ${Object.entries(concept).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`;
+writeFileSync(
+  OUTPUT,
+  `{\n  "source": ${JSON.stringify(source)},\n  "version": "seed",\n  "concepts": [\n    ${sorted.map(line).join(",\n    ")}\n  ]\n}\n`
+);
+
+console.log(`${sorted.length} concepts from ${release} written to src/terminology/medications.json`);
+if (missing.length) console.warn(`No clinical drug matches:\n  ${missing.join("\n  ")}`);
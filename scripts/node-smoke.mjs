@@ -0,0 +1,30 @@
+// scripts/node-smoke.mjs
+/*
+  Loads the bundle builder in plain Node, outside jest and webpack, to keep
+  its promise that a server or CLI can import it as-is: every relative import
+  in its module graph needs an explicit ".js" and no JSON imports.
+
+    npm run test:node
+*/
+import assert from "node:assert/strict";
+import { buildPrescriptionBundle } from "../src/prescriptionBundle.js";
+
+let next = 0;
+const bundle = buildPrescriptionBundle(
+  {
+    practitioner: { name: "Dr. DEF", license: "21-1521-3828-3227" },
+    patient: { name: "ABC", mrn: "MRN-1", birthDate: "1981-01-12", gender: "male", phone: "+919818512600" },
+    conditions: [{ id: "c1", text: "Abdominal pain", code: "21522001", icd10Code: "R10.4", clinicalStatus: "active" }],
+    composition: { title: "Prescription record", status: "final", date: "2025-08-12" },
+    medications: [{ medicationText: "Azithromycin 250 mg oral tablet", medicationCode: "1145423002", reasonConditionIds: ["c1"] }],
+  },
+  { generateId: () => `id-${++next}`, now: () => new Date("2025-08-12T09:30:00Z") }
+);
+
+assert.equal(bundle.type, "document");
+assert.deepEqual(
+  bundle.entry.map((e) => e.resource.resourceType),
+  ["Composition", "Patient", "Practitioner", "MedicationRequest", "Condition"]
+);
+assert.match(bundle.entry[0].resource.text.div, /^<div xmlns="http:\/\/www.w3.org\/1999\/xhtml"/);
+console.log(`prescriptionBundle.js loads in Node ${process.version}: ${bundle.entry.length} entries`);
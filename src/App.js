@@ -1,42 +1,62 @@
 // src/App.js
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import exampleBundle from "./Bundle-Prescription-example-06.json";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "bootstrap/dist/js/bootstrap.bundle.min.js";
-
-/*
-  Lightweight uuid generator (client-side, fine for UI use).
-  If you prefer, replace with `import { v4 as uuidv4 } from 'uuid'`.
-*/
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-/* Return ISO string with local timezone offset, e.g. 2025-08-12T14:35:21+05:30 */
-function getISOWithOffsetFromDateInput(dateInput /* optional 'YYYY-MM-DD' */) {
-  const now = new Date();
-  let d;
-  if (dateInput) {
-    // combine date with current time to preserve time-of-day
-    const [y, m, day] = dateInput.split("-");
-    const hh = String(now.getHours()).padStart(2, "0");
-    const mm = String(now.getMinutes()).padStart(2, "0");
-    const ss = String(now.getSeconds()).padStart(2, "0");
-    d = new Date(`${y}-${m}-${day}T${hh}:${mm}:${ss}`);
-  } else {
-    d = now;
-  }
-  const tzOffsetMin = d.getTimezoneOffset();
-  const sign = tzOffsetMin > 0 ? "-" : "+";
-  const pad = (n) => String(n).padStart(2, "0");
-  const offsetHr = pad(Math.floor(Math.abs(tzOffsetMin) / 60));
-  const offsetMin = pad(Math.abs(tzOffsetMin) % 60);
-  return d.toISOString().replace("Z", `${sign}${offsetHr}:${offsetMin}`);
-}
+import { buildPrescriptionBundle, formatDateOnly, uuidv4 } from "./prescriptionBundle";
+import { validateBundle, hasErrors } from "./bundleValidator";
+import { validateForm, firstInvalidCard } from "./formValidation";
+import { submitBundle, mapIssuesToFields, DEFAULT_FHIR_CONFIG } from "./fhirClient";
+import { createMockFhirServer } from "./mockFhirServer";
+import { parsePrescriptionBundle } from "./bundleImport";
+import {
+  createMedicationIndex,
+  loadMedicationConcepts,
+  parseRf2Descriptions,
+  isLanguageRefset,
+  rf2Release,
+  saveMedicationConcepts,
+  resetMedicationConcepts,
+} from "./medicationIndex";
+import MedicationTypeahead from "./MedicationTypeahead";
+import ConceptTypeahead from "./ConceptTypeahead";
+import { createIcd10Index } from "./icd10";
+import icd10Terminology from "./terminology/icd10.json";
+import snomedIcd10Map from "./terminology/snomed-icd10-map.json";
+import {
+  ADDITIONAL_INSTRUCTION_OPTIONS,
+  ROUTE_OPTIONS,
+  METHOD_OPTIONS,
+  PERIOD_UNIT_OPTIONS,
+  PRN_REASON_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+} from "./dosageOptions";
+import { buildSigText } from "./dosageText";
+import { FREQUENCY_PRESETS, parseFrequency, frequencyShorthand } from "./frequencyPresets";
+import { STEP_FIELDS, scheduleSteps, describeSteps } from "./dosageSteps";
+import {
+  CLINICAL_STATUS_OPTIONS,
+  VERIFICATION_STATUS_OPTIONS,
+  CATEGORY_OPTIONS,
+  SEVERITY_OPTIONS,
+  AGE_UNIT_OPTIONS,
+} from "./conditionOptions";
+import { loadFacility, saveFacility } from "./facility";
+import PatientTypeahead from "./PatientTypeahead";
+import { createPatientIndex } from "./patientIndex";
+import { patientFromRegistry, NAME_PREFIXES } from "./patientRegistry";
+import { INDIAN_STATES } from "./address";
+import { formatAbhaNumber } from "./abha";
+import { createPractitionerIndex, loadPractitioner, savePractitioner } from "./practitionerDirectory";
+import { createBrowserSigner, signerFromPkcs12, signBundle, verifyBundleSignature, toPem } from "./signature";
+import { loadSigner, saveSigner, deleteSigner } from "./signingKeyStore";
+import { loadSignatureImage, saveSignatureImage, parseDataUrl, toDataUrl, submitSignatureError } from "./signatureImage";
+import SignaturePad from "./SignaturePad";
+import { printablePrescription, prescriptionPdf, pdfImage } from "./prescriptionPrint";
+import PrintedPrescription from "./PrintedPrescription";
+import { ENCOUNTER_CLASS_OPTIONS, DISCHARGE_DISPOSITION_OPTIONS, PARTICIPANT_ROLES } from "./encounterOptions";
+import DosageTimeline from "./DosageTimeline";
+import { DURATION_UNIT_OPTIONS, calculateDispenseQuantity, scheduleDays } from "./dispense";
 
 /* Pretty-print */
 const pretty = (o) => JSON.stringify(o, null, 2);
@@ -55,16 +75,146 @@ function lineDiff(leftStr, rightStr) {
   return rows;
 }
 
+/* Stand-in FHIR server, only when REACT_APP_FHIR_BASE_URL is explicitly "mock" */
+const mockFhirServer = DEFAULT_FHIR_CONFIG.baseUrl === "mock" ? createMockFhirServer({ latencyMs: 300 }) : null;
+
+// Medication fields the generated dosage text is built from
+const SIG_FIELDS = [
+  "doseAmount",
+  "frequencyPreset",
+  "doseUnit",
+  "frequency",
+  "period",
+  "periodUnit",
+  "when",
+  "timeOfDay",
+  "asNeeded",
+  "asNeededReason",
+  "maxDoseAmount",
+  "maxDosePeriod",
+  "maxDosePeriodUnit",
+  "durationValue",
+  "durationUnit",
+  "route",
+  "method",
+  "additionalInstruction",
+];
+
+// Numeric timing fields; editing them by hand replaces any preset
+const TIMING_FIELDS = ["frequency", "period", "periodUnit"];
+
+/* Fill dosageText from the structured fields (until the prescriber edits it by hand) */
+const withSigText = (med) =>
+  med.dosageTextEdited ? med : { ...med, dosageText: buildSigText(med), steps: describeSteps(med, buildSigText) };
+
+/*
+  One edited field on a row or a tapering step. A recognised shorthand
+  ("BD", "1-0-1") fills the timing (and dose); hand-set numbers no longer
+  match the preset's times of day, so those are dropped.
+*/
+function applyTimingEdit(target, field, value) {
+  if (field === "frequencyPreset") {
+    const parsed = parseFrequency(value);
+    return parsed ? { ...target, ...parsed, timeOfDay: "", frequencyPreset: value } : { ...target, frequencyPreset: value };
+  }
+  const next = { ...target, [field]: value };
+  if (TIMING_FIELDS.includes(field)) {
+    next.when = [];
+    next.frequencyPreset = frequencyShorthand(next);
+  }
+  return next;
+}
+
+/* Unticking "as needed" drops its reason and maximum dose */
+const withoutStalePrn = (med) => (med.asNeeded ? med : { ...med, asNeededReason: "", maxDoseAmount: null });
+
+/* A new medication row with the usual defaults (tablet, BD, oral, swallow, 5 days) */
+const newMedication = (fields = {}) =>
+  withSigText({
+    id: uuidv4(),
+    medicationText: "",
+    medicationCode: "",
+    // structured dose; dosageText is generated from it
+    doseAmount: 1,
+    doseUnit: "732936001", // tablet (SNOMED unit of presentation)
+    // SNOMED codes from dosageOptions.js — buildDosageInstruction emits the matching coding
+    additionalInstruction: "311504000",
+    // timing: frequencyPreset is the shorthand the prescriber typed ("BD", "1-0-1")
+    frequencyPreset: "BD",
+    frequency: 2,
+    period: 1,
+    periodUnit: "d",
+    when: [], // event-timing codes (MORN, AFT, EVE, NIGHT, HS)
+    timeOfDay: "", // "08:00, 20:00"; replaces `when` when set
+    // as needed (SOS): reason is a PRN_REASON_OPTIONS display or free text
+    asNeeded: false,
+    asNeededReason: "",
+    maxDoseAmount: null, // in the dose unit, per maxDosePeriod × maxDosePeriodUnit
+    maxDosePeriod: 1,
+    maxDosePeriodUnit: "d",
+    route: "26643006", // Oral route
+    method: "421521009", // Swallow
+    // dispense: quantity is calculated from dose × timing × duration unless overridden
+    durationValue: 5,
+    durationUnit: "d",
+    steps: [], // tapering: steps after this one, see dosageSteps.js
+    reasonConditionIds: [], // conditions (by id) this drug is prescribed for
+    dispenseQuantity: null, // null = calculated
+    expectedSupplyDays: null, // null = treatment duration
+    numberOfRepeats: 0,
+    validUntil: "",
+    authoredOn: "",
+    ...fields,
+  });
+
+/* A new diagnosis with the usual defaults (confirmed, active encounter diagnosis) */
+const newCondition = (fields = {}) => ({
+  id: uuidv4(),
+  text: "",
+  code: "", // SNOMED CT
+  icd10Code: "",
+  icd10Display: "",
+  icd10Mapped: false, // icd10Code was filled from the SNOMED map, so follows SNOMED edits
+  // option codes from conditionOptions.js
+  clinicalStatus: "active",
+  verificationStatus: "confirmed",
+  category: "encounter-diagnosis",
+  severity: "",
+  onsetType: "", // "", "date" or "age"
+  onsetDate: "",
+  onsetAge: null,
+  onsetAgeUnit: "a",
+  note: "",
+  ...fields,
+});
+
+/* Inline message under a form field (Bootstrap invalid-feedback) */
+function FieldError({ message }) {
+  return message ? <div className="invalid-feedback d-block">{message}</div> : null;
+}
+
 export default function App() {
+  // Facility issuing the prescription; stored locally so it is entered once
+  const [facility, setFacility] = useState(() => loadFacility());
+
   // Practitioner first (top)
-  const [practitioner, setPractitioner] = useState({
-    name: "Dr. DEF",
-    license: "21-1521-3828-3227",
-  });
+  const [practitioner, setPractitioner] = useState(() => loadPractitioner());
+
+  // Practitioner directory for the picker
+  const [practitionerDirectory, setPractitionerDirectory] = useState([]);
+  const [practitionerQuery, setPractitionerQuery] = useState("");
+  const practitionerIndex = useMemo(() => createPractitionerIndex(practitionerDirectory), [practitionerDirectory]);
+
+  useEffect(() => {
+    fetch("/practitioners.json")
+      .then((res) => res.json())
+      .then((data) => setPractitionerDirectory(Array.isArray(data) ? data : []))
+      .catch((err) => console.error("Error fetching practitioners:", err));
+  }, []);
 
   // Patient list from API
   const [patientList, setPatientList] = useState([]); // all patients from API
-  const [selectedPatientId, setSelectedPatientId] = useState(""); // dropdown selected id
+  const patientIndex = useMemo(() => createPatientIndex(patientList), [patientList]);
 
   useEffect(() => {
     fetch("/patients.json") // replace with your actual API endpoint
@@ -78,19 +228,34 @@ export default function App() {
   // Patient
   const [patient, setPatient] = useState({
     name: "ABC",
-    mrn: "22-7225-4829-5255",
+    mrn: "",
+    abhaNumber: "22-7225-4829-5255",
     birthDate: "1981-01-12", // YYYY-MM-DD input
     gender: "male",
     phone: "+919818512600",
+    namePrefix: "",
+    email: "",
+    addressLine: "",
+    district: "",
+    state: "",
+    postalCode: "",
+    abhaAddresses: [], // the patient's ABHA addresses from the registry; abhaAddress is the one sent
+    abhaAddress: "",
   });
 
 
-  // Condition / Diagnosis
-  const [condition, setCondition] = useState({
-    text: "Abdominal pain",
-    code: "21522001",
-    clinicalStatus: "active",
-  });
+
+  // Admission this discharge prescription belongs to; admitted / discharged by the prescriber by default
+  const [encounter, setEncounter] = useState(() => ({
+    classCode: "IMP",
+    admittedAt: `${new Date().toISOString().slice(0, 10)}T09:00`,
+    dischargedAt: "",
+    dischargeDisposition: "home",
+    admitterName: practitioner.name,
+    admitterLicense: practitioner.license,
+    dischargerName: practitioner.name,
+    dischargerLicense: practitioner.license,
+  }));
 
   // Composition / Prescription header
   const [composition, setComposition] = useState({
@@ -99,21 +264,19 @@ export default function App() {
     date: new Date().toISOString().slice(0, 10), // default YYYY-MM-DD for date picker
   });
 
+  // Conditions / Diagnoses — each becomes a Condition; medication rows link to them by id
+  const [conditions, setConditions] = useState(() => [
+    newCondition({ text: "Abdominal pain", code: "21522001", icd10Code: "R10.4", icd10Display: "Other and unspecified abdominal pain", icd10Mapped: true }),
+  ]);
+
   // Medicines dynamic list
-  const [medications, setMedications] = useState([
-    {
-      id: uuidv4(),
+  const [medications, setMedications] = useState(() => [
+    newMedication({
       medicationText: "Azithromycin 250 mg oral tablet",
       medicationCode: "1145423002", // SNOMED code (placeholder) //fetch via api
-      dosageText: "One tablet at once",
-      additionalInstruction: "With or after food", // optional
-      frequency: 2,
-      period: 1,
-      periodUnit: "d",
-      route: "Oral Route",
-      method: "Swallow",
+      reasonConditionIds: [conditions[0].id],
       authoredOn: formatDateOnly(composition.date),
-    },
+    }),
   ]);
 
 
@@ -121,54 +284,322 @@ export default function App() {
   // Attachment (PDF) base64
   const [attachmentBase64, setAttachmentBase64] = useState(null);
   const [attachmentMime, setAttachmentMime] = useState(null);
+  const [embedPdf, setEmbedPdf] = useState(false); // attach the printed PDF instead of a file
   const fileRef = useRef();
+  const bundleFileRef = useRef();
+  const [importReport, setImportReport] = useState(null); // { fileName, unmapped, bundle, verification } after "Open bundle"
+  const certificateFileRef = useRef();
 
   // Generated bundle & UI state
   const [generated, setGenerated] = useState(null);
   const [errorMsg, setErrorMsg] = useState("");
   const [successMsg, setSuccessMsg] = useState("");
+  const [validationIssues, setValidationIssues] = useState([]); // profile issues for the last generated bundle
+  const [submitting, setSubmitting] = useState(false);
+  const [serverResult, setServerResult] = useState(null); // last response from the FHIR server
+  const [serverFieldErrors, setServerFieldErrors] = useState({}); // OperationOutcome issues mapped to form fields
   const [diffRows, setDiffRows] = useState([]);
   const [showCompareModal, setShowCompareModal] = useState(false);
 
+  // Form validation: errors are computed from the model; shown once a field is touched or Submit is attempted
+  const formErrors = useMemo(
+    () => validateForm({ facility, practitioner, patient, encounter, conditions, composition, medications }),
+    [facility, practitioner, patient, encounter, conditions, composition, medications]
+  );
+  const isFormValid = Object.keys(formErrors).length === 0;
+  const [touched, setTouched] = useState({});
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const fieldError = (path) =>
+    (submitAttempted || touched[path] ? formErrors[path] : undefined) || serverFieldErrors[path];
+  const touch = (path) => () => setTouched((prev) => ({ ...prev, [path]: true }));
+  const invalid = (path) => (fieldError(path) ? " is-invalid" : "");
+
   // Handlers
-  const handlePractitionerChange = (e) =>
-    setPractitioner({ ...practitioner, [e.target.name]: e.target.value });
+  function updateFacility(next) {
+    setFacility(next);
+    try {
+      saveFacility(next);
+    } catch (err) {
+      alert("Could not save the facility settings: " + err.message);
+    }
+  }
+
+  const handleFacilityChange = (e) => updateFacility({ ...facility, [e.target.name]: e.target.value });
+
+  // Letterhead logo as a data: URL (kept small: it is stored with the settings)
+  const handleLogoFile = (file) => {
+    if (!file) return;
+    if (!["image/png", "image/jpeg"].includes(file.type) || file.size > 200 * 1024) {
+      alert("The logo must be a PNG or JPEG image of at most 200 KB.");
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => updateFacility({ ...facility, logo: e.target.result });
+    reader.onerror = () => alert("Failed to read file.");
+    reader.readAsDataURL(file);
+  };
+
+  // Handwritten signature (data URL) of the practitioner, for the bundle and the printout
+  const [signatureImage, setSignatureImage] = useState(() => loadSignatureImage(practitioner.license));
+
+  const handleSignatureSave = (dataUrl) => {
+    try {
+      setSignatureImage(saveSignatureImage(practitioner.license, dataUrl));
+    } catch (err) {
+      alert("Could not save the signature: " + err.message);
+    }
+  };
+
+  // Picks and edits are remembered on this device; an opened bundle's practitioner is not
+  function updatePractitioner(next) {
+    setPractitioner(next);
+    if (next.license !== practitioner.license) setSignatureImage(loadSignatureImage(next.license));
+    try {
+      savePractitioner(next);
+    } catch (err) {
+      console.error("Could not save the practitioner:", err);
+    }
+  }
+
+  // The practitioner's signing key, kept in this browser per HPR ID (see signingKeyStore.js)
+  const [signer, setSigner] = useState(null);
+  const pkcs12FileRef = useRef();
+  useEffect(() => {
+    let current = true;
+    setSigner(null);
+    loadSigner(practitioner.license)
+      .then((stored) => current && setSigner(stored))
+      .catch((err) => console.error("Could not load the signing key:", err));
+    return () => {
+      current = false;
+    };
+  }, [practitioner.license]);
+
+  async function storeSigner(next) {
+    try {
+      setSigner(await saveSigner(practitioner.license, next));
+    } catch (err) {
+      alert("Could not store the signing key: " + err.message);
+    }
+  }
+
+  const handleCreateBrowserKey = async () => {
+    if (signer && !window.confirm(`Replace the signing key "${signer.label}"? Bundles signed with it will need its certificate to verify.`)) return;
+    try {
+      await storeSigner(await createBrowserSigner());
+    } catch (err) {
+      alert("Could not create a signing key: " + err.message);
+    }
+  };
+
+  const handlePkcs12File = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      const password = window.prompt(`Password for ${file.name}`);
+      if (password === null) return;
+      try {
+        await storeSigner(await signerFromPkcs12(e.target.result, password));
+      } catch (err) {
+        alert(err.message);
+      }
+    };
+    reader.onerror = () => alert("Failed to read file.");
+    reader.readAsBinaryString(file);
+    if (pkcs12FileRef.current) pkcs12FileRef.current.value = "";
+  };
+
+  // The certificate (or, for a browser key, the public key) receivers verify against
+  const handleExportCertificate = () => {
+    const pem = signer.certificates.length ? toPem(signer.certificates[0], "CERTIFICATE") : toPem(signer.publicKey, "PUBLIC KEY");
+    const url = URL.createObjectURL(new Blob([pem], { type: "application/x-pem-file" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${practitioner.license || "practitioner"}.pem`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleRemoveKey = async () => {
+    if (!window.confirm(`Remove the signing key "${signer.label}" from this browser?`)) return;
+    try {
+      await deleteSigner(practitioner.license);
+      setSigner(null);
+    } catch (err) {
+      alert("Could not remove the signing key: " + err.message);
+    }
+  };
+
+  const handlePractitionerChange = (e) => {
+    const next = { ...practitioner, [e.target.name]: e.target.value };
+    // a typed qualification no longer matches the directory's code
+    if (e.target.name === "qualificationDisplay") next.qualificationCode = "";
+    updatePractitioner(next);
+  };
+
+  const handlePractitionerPick = ({ name, license, qualificationCode, qualificationDisplay, council }) => {
+    updatePractitioner({ name, license, qualificationCode, qualificationDisplay, council });
+    setPractitionerQuery("");
+  };
 
   const handlePatientChange = (e) =>
     setPatient({ ...patient, [e.target.name]: e.target.value });
 
-  const handleConditionChange = (e) =>
-    setCondition({ ...condition, [e.target.name]: e.target.value });
+  const handleEncounterChange = (e) =>
+    setEncounter({ ...encounter, [e.target.name]: e.target.value });
+
+  // Fill an admitting / discharging practitioner from the prescriber
+  const fillFromPrescriber = (field) =>
+    setEncounter({ ...encounter, [`${field}Name`]: practitioner.name, [`${field}License`]: practitioner.license });
+
+  // Local ICD-10 list and SNOMED -> ICD-10 map for the diagnosis editor
+  const icd10Index = useMemo(() => createIcd10Index(icd10Terminology.concepts, snomedIcd10Map.map), []);
+
+  /* After a SNOMED code edit, suggest the mapped ICD-10 code unless one was chosen by hand */
+  const withMappedIcd10 = (c) => {
+    if (c.icd10Code && !c.icd10Mapped) return c;
+    const mapped = icd10Index.forSnomed(c.code.trim());
+    if (mapped) return { ...c, icd10Code: mapped.code, icd10Display: mapped.display, icd10Mapped: true };
+    return c.icd10Mapped ? { ...c, icd10Code: "", icd10Display: "", icd10Mapped: false } : c;
+  };
+
+  const handleConditionChange = (index, e) =>
+    setConditions((prev) =>
+      prev.map((c, i) => {
+        if (i !== index) return c;
+        const next = { ...c, [e.target.name]: e.target.value };
+        return e.target.name === "code" ? withMappedIcd10(next) : next;
+      })
+    );
+
+  const handleIcd10TextChange = (index, text) =>
+    setConditions((prev) =>
+      prev.map((c, i) => (i === index ? { ...c, icd10Code: text, icd10Display: icd10Index.lookup(text)?.display || "", icd10Mapped: false } : c))
+    );
+
+  const handleIcd10Pick = (index, concept) =>
+    setConditions((prev) =>
+      prev.map((c, i) => (i === index ? { ...c, icd10Code: concept.code, icd10Display: concept.display, icd10Mapped: false } : c))
+    );
+
+  const addCondition = () =>
+    setConditions((prev) => [...prev, newCondition()]);
+
+  // Dropping a diagnosis also unlinks it from every medication row
+  function removeCondition(index) {
+    const removed = conditions[index];
+    setConditions((prev) => prev.filter((_, i) => i !== index));
+    setMedications((prev) =>
+      prev.map((m) => ({ ...m, reasonConditionIds: (m.reasonConditionIds || []).filter((id) => id !== removed.id) }))
+    );
+  }
+
+  function toggleMedReason(index, conditionId) {
+    setMedications((prev) =>
+      prev.map((m, i) => {
+        if (i !== index) return m;
+        const ids = m.reasonConditionIds || [];
+        return { ...m, reasonConditionIds: ids.includes(conditionId) ? ids.filter((id) => id !== conditionId) : [...ids, conditionId] };
+      })
+    );
+  }
 
   const handleCompositionChange = (e) =>
     setComposition({ ...composition, [e.target.name]: e.target.value });
 
   function handleMedChange(index, field, value) {
     const copy = [...medications];
-    copy[index][field] = value;
+    copy[index] = withoutStalePrn(applyTimingEdit(copy[index], field, value));
+    if (field === "dosageText") copy[index].dosageTextEdited = true;
+    if (SIG_FIELDS.includes(field)) copy[index] = withSigText(copy[index]);
     setMedications(copy);
   }
 
+  // Tapering steps: a new step starts as a copy of the one before it
+  function addStep(index) {
+    setMedications((prev) =>
+      prev.map((m, i) => {
+        if (i !== index) return m;
+        const last = scheduleSteps(m)[m.steps?.length || 0];
+        const step = { id: uuidv4(), ...Object.fromEntries(STEP_FIELDS.map((f) => [f, last[f]])) };
+        return withSigText({ ...m, steps: [...(m.steps || []), step] });
+      })
+    );
+  }
+
+  function removeStep(index, k) {
+    setMedications((prev) => prev.map((m, i) => (i === index ? withSigText({ ...m, steps: m.steps.filter((_, j) => j !== k) }) : m)));
+  }
+
+  function handleStepChange(index, k, field, value) {
+    setMedications((prev) =>
+      prev.map((m, i) => {
+        if (i !== index) return m;
+        // as needed is set for the whole row, not per step
+        const { asNeeded, ...step } = applyTimingEdit(m.steps[k], field, value);
+        return withSigText({ ...m, steps: m.steps.map((s, j) => (j === k ? step : s)) });
+      })
+    );
+  }
+
+  // Drop a hand-edited dosage text and go back to the generated one
+  function regenerateDosageText(index) {
+    setMedications((prev) => prev.map((m, i) => (i === index ? withSigText({ ...m, dosageTextEdited: false }) : m)));
+  }
+
+  // Local SNOMED medication index for the Drug Name typeahead
+  const [medicationRelease, setMedicationRelease] = useState(() => loadMedicationConcepts());
+  const medicationIndex = useMemo(() => createMedicationIndex(medicationRelease.concepts), [medicationRelease]);
+  const releaseFileRef = useRef();
+
+  // Free-typed names drop any previously picked code, which no longer matches
+  function handleMedTextChange(index, text) {
+    setMedications((prev) => prev.map((m, i) => (i === index ? { ...m, medicationText: text, medicationCode: "" } : m)));
+  }
+
+  function handleMedPick(index, concept) {
+    setMedications((prev) =>
+      prev.map((m, i) => (i === index ? { ...m, medicationText: concept.display, medicationCode: concept.code } : m))
+    );
+  }
+
+  /*
+    Replace the index from RF2 release files: the description file
+    (sct2_Description_*.txt) and, to name drugs by their preferred synonym,
+    the language reference set (der2_cRefset_Language*.txt), picked together.
+  */
+  const handleReleaseFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    try {
+      const texts = await Promise.all(files.map((f) => f.text()));
+      const language = texts.find(isLanguageRefset) || "";
+      const descriptionIndex = texts.findIndex((t) => !isLanguageRefset(t));
+      if (descriptionIndex < 0) {
+        alert("Pick the description file (sct2_Description_*.txt) along with the language reference set.");
+        return;
+      }
+      const concepts = parseRf2Descriptions(texts[descriptionIndex], language);
+      if (concepts.length === 0) {
+        alert("No active clinical drug concepts found in " + files[descriptionIndex].name);
+        return;
+      }
+      const release = rf2Release(concepts, files[descriptionIndex].name);
+      setMedicationRelease(release);
+      try {
+        saveMedicationConcepts(release);
+      } catch (err) {
+        alert(`The ${concepts.length} drug concepts are in use, but only until the page is reloaded: they could not be saved on this device (${err.message}).`);
+      }
+    } catch (err) {
+      alert("Could not load the release files: " + err.message);
+    } finally {
+      if (releaseFileRef?.current) releaseFileRef.current.value = "";
+    }
+  };
+
   function addMedication() {
-    setMedications((prev) => [
-      ...prev,
-      {
-        id: uuidv4(),
-        medicationText: "",
-        medicationCode: "",
-        // default human-readable dosage
-        dosageText: "One tablet at once",
-        // default as string (matches your current selects) — buildDosageInstruction will map to codes
-        additionalInstruction: "With or after food",
-        // timing object used by buildDosageInstruction
-        timing: { frequency: 2, period: 1, periodUnit: "d" },
-        // route/method as strings (UI uses strings); builder will map to SNOMED codes
-        route: "Oral Route",
-        method: "Swallow",
-        // keep authoredOn
-        authoredOn: composition.date,
-      },
-    ]);
+    setMedications((prev) => [...prev, newMedication({ authoredOn: composition.date })]);
   }
 
   function removeMedication(index) {
@@ -214,350 +645,198 @@ export default function App() {
   };
 
 
-  /* Format date as YYYY-MM-DD */
-  function formatDateOnly(dateInput) {
-    return new Date(dateInput).toISOString().split("T")[0];
-  }
-
-  // Build dosageInstruction dynamically and robustly.
-  // Accepts either strings (from your selects) or objects {code,display}.
-  // Returns an array (dosageInstruction must be an array).
-  const buildDosageInstruction = (formValues = {}) => {
-    const dosage = {
-      text: formValues.dosageText || "One tablet at once",
+  // Open an existing bundle (.json) and load it into the form
+  const handleOpenBundle = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      try {
+        const bundle = JSON.parse(e.target.result);
+        const { form, unmapped } = parsePrescriptionBundle(bundle);
+        // the bundle's facility is used for this prescription only; the stored settings are kept
+        if (form.facility) setFacility({ ...form.facility, logo: facility.logo });
+        setPractitioner(form.practitioner);
+        setSignatureImage(toDataUrl(form.signatureImage) || loadSignatureImage(form.practitioner.license));
+        setPatient(form.patient);
+        setConditions(form.conditions);
+        setEncounter(form.encounter);
+        setComposition(form.composition);
+        if (form.medications.length > 0) setMedications(form.medications);
+        else unmapped.push({ location: "Bundle.entry", value: "", reason: "No MedicationRequest found; medications left unchanged" });
+        setAttachmentBase64(form.attachment?.data || null);
+        setAttachmentMime(form.attachment?.contentType || null);
+        if (fileRef?.current) fileRef.current.value = "";
+        setTouched({});
+        setSubmitAttempted(false);
+        setServerResult(null);
+        setServerFieldErrors({});
+        setErrorMsg("");
+        setImportReport({ fileName: file.name, unmapped, bundle, verification: null });
+      } catch (err) {
+        alert("Could not open bundle: " + err.message);
+      } finally {
+        if (bundleFileRef?.current) bundleFileRef.current.value = "";
+      }
     };
+    reader.onerror = function () {
+      alert("Failed to read file.");
+    };
+    reader.readAsText(file);
+  };
 
-    // additionalInstruction: accept string or {code,display}
-    if (formValues.additionalInstruction) {
-      const ai = formValues.additionalInstruction;
-      const display = typeof ai === "string" ? ai : ai.display || String(ai);
-      const code = typeof ai === "string" ? "311504000" : ai.code || "311504000";
-      dosage.additionalInstruction = [
-        {
-          coding: [
-            {
-              system: "http://snomed.info/sct",
-              code: code,
-              display: display,
-            },
-          ],
-        },
-      ];
-    }
+  // Check the opened bundle's signature against a certificate / public key file the practitioner shared
+  const handleCertificateFile = (file) => {
+    if (!file || !importReport) return;
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      const verification = await verifyBundleSignature(importReport.bundle, e.target.result);
+      setImportReport((prev) => prev && { ...prev, verification: { ...verification, fileName: file.name } });
+    };
+    reader.onerror = () => alert("Failed to read file.");
+    reader.readAsBinaryString(file);
+    if (certificateFileRef.current) certificateFileRef.current.value = "";
+  };
 
-    // timing: accept full timing object or separate frequency/period fields
-    const timingSrc =
-      formValues.timing ||
-      (formValues.frequency || formValues.period
-        ? {
-          frequency: formValues.frequency || 2,
-          period: formValues.period || 1,
-          periodUnit: formValues.periodUnit || "d",
-        }
-        : null);
-
-    if (timingSrc) {
-      dosage.timing = {
-        repeat: {
-          ...(timingSrc.frequency ? { frequency: Number(timingSrc.frequency) } : {}),
-          ...(timingSrc.period ? { period: Number(timingSrc.period) } : {}),
-          periodUnit: timingSrc.periodUnit || "d",
-        },
-      };
-    }
+  // Paper copy: the print view and PDF are made from the same form model as the bundle
+  const printView = useMemo(
+    () => printablePrescription({ facility, practitioner, patient, encounter, conditions, composition, medications }),
+    [facility, practitioner, patient, encounter, conditions, composition, medications]
+  );
 
-    // route: accept string or {code,display}
-    if (formValues.route) {
-      const r = formValues.route;
-      const display = typeof r === "string" ? r : r.display || String(r);
-      const code = typeof r === "string" ? "26643006" : r.code || "26643006";
-      dosage.route = {
-        coding: [
-          {
-            system: "http://snomed.info/sct",
-            code,
-            display,
-          },
-        ],
-      };
-    }
+  /* The printed prescription as a PDF binary string */
+  const makePdf = async () => {
+    const image = (dataUrl, what) =>
+      pdfImage(dataUrl).catch(() => {
+        throw new Error(`the ${what} image could not be read`);
+      });
+    const [logo, signature] = await Promise.all([image(facility.logo, "letterhead logo"), image(signatureImage, "signature")]);
+    return prescriptionPdf(printView, { logo, signature });
+  };
 
-    // method: accept string or {code,display}
-    if (formValues.method) {
-      const mm = formValues.method;
-      const display = typeof mm === "string" ? mm : mm.display || String(mm);
-      const code = typeof mm === "string" ? "421521009" : mm.code || "421521009";
-      dosage.method = {
-        coding: [
-          {
-            system: "http://snomed.info/sct",
-            code,
-            display,
-          },
-        ],
-      };
+  const handleDownloadPdf = async () => {
+    try {
+      const pdf = await makePdf();
+      const bytes = Uint8Array.from(pdf, (c) => c.charCodeAt(0));
+      const url = URL.createObjectURL(new Blob([bytes], { type: "application/pdf" }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${(patient.name || "prescription").trim().replace(/\s+/g, "-")}-${composition.date || "prescription"}.pdf`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert("Could not make the PDF: " + err.message);
     }
-
-    return [dosage];
   };
 
-
-
   /*
-    Build the Bundle JSON with correct structures:
-    - Dates in full ISO with timezone (dateTime)
-    - medicationCodeableConcept.coding[] (system/code/display)
-    - dosageInstruction: always include text; include extra fields only if provided
-    - Entry order: Composition, Patient, Practitioner, MedicationRequest..., Condition, Binary
+    Build the Bundle JSON from the current form state (see prescriptionBundle.js),
+    sign it when a key is set up, and validate it. Errors name the step that
+    failed (making the embedded PDF, or signing).
   */
-  const buildBundle = () => {
-    const compId = uuidv4();
-    const patientId = uuidv4();
-    const practitionerId = uuidv4();
-    const conditionId = uuidv4();
-    const medReqIds = medications.map(() => uuidv4());
-    const binaryId = uuidv4();
-
-    const bundle = {
-      resourceType: "Bundle",
-      id: `Prescription-${uuidv4()}`,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentBundle"],
-        security: [
-          {
-            system: "http://terminology.hl7.org/CodeSystem/v3-Confidentiality",
-            code: "V",
-            display: "very restricted",
-          },
-        ],
-      },
-      identifier: {
-        system: "http://hip.in",
-        value: uuidv4(),
-      },
-      type: "document",
-      timestamp: getISOWithOffsetFromDateInput(),
-      entry: [],
-    };
-
-    /* Composition */
-    const compositionResource = {
-      resourceType: "Composition",
-      id: compId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/PrescriptionRecord"],
-      },
-      language: "en-IN",
-      identifier: {
-        system: "https://ndhm.in/phr",
-        value: uuidv4(),
-      },
-      status: composition.status,
-      type: {
-        coding: [
-          {
-            system: "http://snomed.info/sct",
-            code: "440545006",
-            display: "Prescription record",
-          },
-        ],
-        text: "Prescription record",
-      },
-      subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
-      date: `${composition.date}T00:00:00+05:30`,
-      author: [{ reference: `urn:uuid:${practitionerId}`, display: "Practitioner" }],
-      title: composition.title,
-      section: [
-        {
-          title: "Prescription record",
-          code: {
-            coding: [
-              {
-                system: "http://snomed.info/sct",
-                code: "440545006",
-                display: "Prescription record",
-              },
-            ],
-          },
-          entry: [
-            ...medReqIds.map((id) => ({
-              reference: `urn:uuid:${id}`,
-              type: "MedicationRequest",
-            })),
-            ...(attachmentBase64 && attachmentMime
-              ? [{ reference: `urn:uuid:${binaryId}`, type: "Binary" }]
-              : []),
-          ],
-        },
-      ],
-    };
-
-    /* Patient */
-    const patientResource = {
-      resourceType: "Patient",
-      id: patientId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"],
-      },
-      identifier: [
-        {
-          type: {
-            coding: [
-              { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR", display: "Medical record number" },
-            ],
-          },
-          system: "https://healthid.ndhm.gov.in",
-          value: patient.mrn,
-        },
-      ],
-      name: [{ text: patient.name }],
-      telecom: [{ system: "phone", value: patient.phone, use: "home" }],
-      gender: patient.gender,
-      birthDate: patient.birthDate,
-    };
-
-    /* Practitioner */
-    const practitionerResource = {
-      resourceType: "Practitioner",
-      id: practitionerId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"],
-      },
-      identifier: [
-        {
-          type: {
-            coding: [
-              { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" },
-            ],
-          },
-          system: "https://doctor.ndhm.gov.in",
-          value: practitioner.license,
-        },
-      ],
-      name: [{ text: practitioner.name }],
-    };
-
-    /* MedicationRequests */
-    const medicationResources = medications.map((m, idx) => ({
-      resourceType: "MedicationRequest",
-      id: medReqIds[idx],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationRequest"] },
-      status: "active",
-      intent: "order",
-      medicationCodeableConcept:
-        m.medicationCode && m.medicationCode.trim() !== ""
-          ? { coding: [{ system: "http://snomed.info/sct", code: m.medicationCode.trim(), display: m.medicationText }] }
-          : { text: m.medicationText },
-      subject: { reference: `urn:uuid:${patientId}`, display: patient.name },
-      authoredOn: formatDateOnly(composition.date),
-      requester: { reference: `urn:uuid:${practitionerId}`, display: practitioner.name },
-      reasonCode: [{ coding: [{ system: "http://snomed.info/sct", code: condition.code, display: condition.text }] }],
-      reasonReference: [{ reference: `urn:uuid:${conditionId}`, display: "Condition" }],
-      dosageInstruction: buildDosageInstruction({
-        dosageText: m.dosageText,
-        additionalInstruction: m.additionalInstruction,
-        timing: m.timing,
-        route: m.route,
-        method: m.method
-      }),
-    }));
-
-    /* Condition */
-    const conditionResource = {
-      resourceType: "Condition",
-      id: conditionId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Condition"] },
-      clinicalStatus: {
-        coding: [
-          { system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: condition.clinicalStatus, display: "Active" },
-        ],
-      },
-      code: {
-        coding: [{ system: "http://snomed.info/sct", code: condition.code, display: condition.text }],
-        text: condition.text,
-      },
-      subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
-    };
-
-    // simple placeholder base64s
-    const placeholderSignature = "/9j/4AAQSkZJRgABAQEAYABgAAD/2wBDAAIBAQIBAaNLDw+GnFRX...";
-
-    /* Binary — include only if user uploaded file */
-    let binaryResource = null;
-    if (attachmentBase64 && attachmentMime) {
-      binaryResource = {
-        resourceType: "Binary",
-        id: binaryId,
-        meta: {
-          profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"],
-        },
-        contentType: attachmentMime,
-        data: attachmentBase64,
-      };
+  const buildBundle = async () => {
+    let pdf = null;
+    if (embedPdf) {
+      try {
+        pdf = window.btoa(await makePdf());
+      } catch (err) {
+        throw new Error(`Could not make the PDF to embed: ${err.message}`);
+      }
     }
-
-    /* Add resources in example's order */
-    bundle.entry.push({ fullUrl: `urn:uuid:${compId}`, resource: compositionResource });
-    bundle.entry.push({ fullUrl: `urn:uuid:${patientId}`, resource: patientResource });
-    bundle.entry.push({ fullUrl: `urn:uuid:${practitionerId}`, resource: practitionerResource });
-    medicationResources.forEach((mr) => bundle.entry.push({ fullUrl: `urn:uuid:${mr.id}`, resource: mr }));
-    bundle.entry.push({ fullUrl: `urn:uuid:${conditionId}`, resource: conditionResource });
-    if (binaryResource) {
-      bundle.entry.push({ fullUrl: `urn:uuid:${binaryId}`, resource: binaryResource });
-      compositionResource.section[0].entry.push({
-        reference: `urn:uuid:${binaryId}`,
-        type: "Binary"
-      });
+    const unsigned = buildPrescriptionBundle({
+      facility,
+      practitioner,
+      patient,
+      conditions,
+      encounter,
+      composition,
+      medications,
+      attachment: pdf
+        ? { data: pdf, contentType: "application/pdf" }
+        : attachmentBase64 && attachmentMime
+        ? { data: attachmentBase64, contentType: attachmentMime }
+        : null,
+      signatureImage: parseDataUrl(signatureImage),
+    });
+    let bundle = unsigned;
+    if (signer) {
+      try {
+        bundle = await signBundle(unsigned, signer);
+      } catch (err) {
+        throw new Error(`Could not sign the bundle: ${err.message}`);
+      }
     }
-
-    // Bundle-level signature
-    bundle.signature = {
-      type: [
-        {
-          system: "urn:iso-astm:E1762-95:2013",
-          code: "1.2.840.10065.1.12.1.1",
-          display: "Author's Signature"
-        }
-      ],
-      when: getISOWithOffsetFromDateInput(),
-      who: {
-        reference: `urn:uuid:${practitionerId}`,
-        display: practitioner.name || "Practitioner"
-      },
-      sigFormat: "image/jpeg",
-      data: placeholderSignature
-    };
-
+    const issues = validateBundle(bundle);
     setGenerated(bundle);
-    return bundle;
+    setValidationIssues(issues);
+    return { bundle, issues };
   };
 
 
   // Actions
-  const handleGenerate = (e) => {
+  const handleGenerate = async (e) => {
     e.preventDefault();
     setErrorMsg("");
-    buildBundle();
+    try {
+      await buildBundle();
+    } catch (err) {
+      setErrorMsg(err.message);
+      return;
+    }
     setTimeout(() => document.getElementById("generated-json")?.scrollIntoView({ behavior: "smooth" }), 100);
   };
 
-  const handleSubmit = () => {
-    const jsonOutput = buildBundle(); // still using your existing logic
-    console.log("JSON pushed on server");
-    // document.getElementById('successAlert').classList.remove('d-none');
-    setSuccessMsg("Form Submitted ✅");
-    setTimeout(() => {
+  const handleSubmit = async () => {
+    setSubmitAttempted(true);
+    if (!isFormValid) {
       setSuccessMsg("");
-    }, 3000);
-    console.log(JSON.stringify(jsonOutput, null, 2));
+      setErrorMsg(`Please fix ${Object.keys(formErrors).length} field(s) before submitting.`);
+      document.getElementById(`card-${firstInvalidCard(formErrors)}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+      return;
+    }
+    const signatureError = submitSignatureError(signer, signatureImage);
+    if (signatureError) {
+      setSuccessMsg("");
+      setErrorMsg(signatureError);
+      document.getElementById("card-practitioner")?.scrollIntoView({ behavior: "smooth", block: "start" });
+      return;
+    }
+    let built;
+    try {
+      built = await buildBundle();
+    } catch (err) {
+      setSuccessMsg("");
+      setErrorMsg(err.message);
+      return;
+    }
+    const { bundle: jsonOutput, issues } = built;
+    if (hasErrors(issues)) {
+      setSuccessMsg("");
+      setErrorMsg("Bundle does not conform to the NRCES profiles — see the issues below.");
+      return;
+    }
+
+    setErrorMsg("");
+    setSuccessMsg("");
+    setServerResult(null);
+    setServerFieldErrors({});
+    setSubmitting(true);
+    const result = await submitBundle(jsonOutput, mockFhirServer ? { fetchImpl: mockFhirServer.fetch } : {});
+    setSubmitting(false);
+    setServerResult(result);
+    setServerFieldErrors(mapIssuesToFields(jsonOutput, result.issues));
+
+    if (result.ok) {
+      setSuccessMsg(
+        mockFhirServer
+          ? `Submitted to the in-browser mock server only — nothing was stored (id ${result.resource?.id || "n/a"})`
+          : `Form Submitted ✅ (server id ${result.resource?.id || "n/a"})`
+      );
+      setTimeout(() => {
+        setSuccessMsg("");
+      }, 3000);
+    } else {
+      setErrorMsg(`Submission failed: ${result.error}`);
+    }
   };
 
   const handleDownload = () => {
@@ -591,130 +870,508 @@ export default function App() {
   };
 
   // Helper for patient selection
-  const handlePatientSelect = (id) => {
-    setSelectedPatientId(id);
-    const found = patientList.find((p) => p.user_id === id);
-    if (found) {
-      setPatient({
-        name: found.name,
-        mrn: found.abha_ref || "", // using abha_ref as MRN
-        birthDate: convertDateFormat(found.dob), // convert to YYYY-MM-DD
-        gender: found.gender ? found.gender.toLowerCase() : "",
-        phone: found.mobile || ""
-      });
-    }
-  };
-
-  // Convert DD-MM-YYYY → YYYY-MM-DD
-  const convertDateFormat = (dateStr) => {
-    if (!dateStr) return "";
-    const [day, month, year] = dateStr.split("-");
-    return `${year}-${month}-${day}`;
+  const handlePatientSelect = (found) => {
+    if (found) setPatient(patientFromRegistry(found));
   };
 
   return (
     <div className="container py-4">
-      <h2 className="mb-3">Prescription Builder (Practitioner workflow) — Full validated output</h2>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="mb-0">Prescription Builder (Practitioner workflow) — Full validated output</h2>
+        <div>
+          <input type="file" accept=".json,application/json,application/fhir+json" className="d-none" ref={bundleFileRef} onChange={(e) => handleOpenBundle(e.target.files[0])} />
+          <button className="btn btn-outline-secondary" onClick={() => bundleFileRef.current?.click()}>Open bundle</button>
+        </div>
+      </div>
+
+      {importReport && (
+        <div className={`alert ${importReport.unmapped.length ? "alert-warning" : "alert-info"} alert-dismissible`}>
+          <div>
+            Loaded <strong>{importReport.fileName}</strong>.{" "}
+            {importReport.unmapped.length === 0
+              ? "Every element was mapped to the form."
+              : `${importReport.unmapped.length} element(s) could not be mapped and will not be written back:`}
+          </div>
+          {importReport.unmapped.length > 0 && (
+            <ul className="mb-0 mt-1 small">
+              {importReport.unmapped.map((u, idx) => (
+                <li key={idx}>
+                  <code>{u.location}</code> {u.value && <>(“{u.value}”) </>}— {u.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+          {importReport.bundle.signature?.data && (
+            <div className="mt-2 small">
+              Signed by {importReport.bundle.signature.who?.display || "an unnamed signer"}
+              {importReport.bundle.signature.when && <> on {importReport.bundle.signature.when}</>}.{" "}
+              <input type="file" accept=".pem,.crt,.cer,.der" className="d-none" ref={certificateFileRef} onChange={(e) => handleCertificateFile(e.target.files[0])} />
+              <button type="button" className="btn btn-sm btn-link p-0 align-baseline" onClick={() => certificateFileRef.current?.click()}>
+                Verify with the practitioner's certificate…
+              </button>
+              {importReport.verification && (
+                <div className={importReport.verification.valid ? "text-success" : "text-danger"}>
+                  {importReport.verification.valid
+                    ? `Signature verified against ${importReport.verification.fileName} ✅`
+                    : `Signature check failed (${importReport.verification.fileName}): ${importReport.verification.error}`}
+                </div>
+              )}
+            </div>
+          )}
+          <button type="button" className="btn-close" aria-label="Close" onClick={() => setImportReport(null)}></button>
+        </div>
+      )}
+
+      {/* Facility */}
+      <div id="card-facility" className="card mb-3">
+        <div className="card-header">1. Facility <span className="text-danger">*</span> <small className="text-muted">(saved on this device)</small></div>
+        <div className="card-body">
+          <div className="row g-2">
+            <div className="col-md-5">
+              <label className="form-label">Facility Name <span className="text-danger">*</span></label>
+              <input name="name" type="text" placeholder="e.g. City General Hospital" className={`form-control${invalid("facility.name")}`} value={facility.name} onChange={handleFacilityChange} onBlur={touch("facility.name")} />
+              <FieldError message={fieldError("facility.name")} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">HFR Facility ID <span className="text-danger">*</span></label>
+              <input name="hfrId" type="text" placeholder="IN2410000949" className={`form-control${invalid("facility.hfrId")}`} value={facility.hfrId} onChange={handleFacilityChange} onBlur={touch("facility.hfrId")} />
+              <FieldError message={fieldError("facility.hfrId")} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Phone</label>
+              <input name="phone" type="tel" className="form-control" value={facility.phone} onChange={handleFacilityChange} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Address</label>
+              <input name="line" type="text" className="form-control" value={facility.line} onChange={handleFacilityChange} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">City</label>
+              <input name="city" type="text" className="form-control" value={facility.city} onChange={handleFacilityChange} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">District</label>
+              <input name="district" type="text" className="form-control" value={facility.district} onChange={handleFacilityChange} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">State</label>
+              <input name="state" type="text" className="form-control" value={facility.state} onChange={handleFacilityChange} />
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">PIN Code</label>
+              <input name="postalCode" type="text" inputMode="numeric" className={`form-control${invalid("facility.postalCode")}`} value={facility.postalCode} onChange={handleFacilityChange} onBlur={touch("facility.postalCode")} />
+              <FieldError message={fieldError("facility.postalCode")} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Logo <small className="text-muted">(letterhead, PNG/JPEG up to 200 KB)</small></label>
+              <input type="file" accept="image/png,image/jpeg" className="form-control" onChange={(e) => handleLogoFile(e.target.files[0])} />
+            </div>
+            {facility.logo && (
+              <div className="col-md-6 d-flex align-items-end gap-2">
+                <img src={facility.logo} alt="Facility logo" style={{ maxHeight: 48 }} />
+                <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => updateFacility({ ...facility, logo: "" })}>
+                  Remove logo
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
 
       {/* Practitioner */}
-      <div className="card mb-3">
-        <div className="card-header">1. Practitioner (You) <span className="text-danger">*</span></div>
+      <div id="card-practitioner" className="card mb-3">
+        <div className="card-header">2. Practitioner (You) <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="row g-2">
+            <div className="col-md-12">
+              <label className="form-label">Find in Directory</label>
+              <ConceptTypeahead
+                value={practitionerQuery}
+                index={practitionerIndex}
+                placeholder={practitionerIndex.size ? "Name, HPR ID, qualification or council" : "Directory not loaded"}
+                describe={(p) => [`HPR ${p.license}`, p.qualificationCode || p.qualificationDisplay, p.council].filter(Boolean).join(" · ")}
+                onTextChange={setPractitionerQuery}
+                onSelect={handlePractitionerPick}
+              />
+            </div>
             <div className="col-md-6">
               <label className="form-label">Practitioner Name <span className="text-danger">*</span></label>
-              <input name="name" type="text" className="form-control" value={practitioner.name} onChange={handlePractitionerChange} />
+              <input name="name" type="text" placeholder="e.g. Dr. A. Kumar" className={`form-control${invalid("practitioner.name")}`} value={practitioner.name} onChange={handlePractitionerChange} onBlur={touch("practitioner.name")} />
+              <FieldError message={fieldError("practitioner.name")} />
             </div>
             <div className="col-md-6">
-              <label className="form-label">Medical License No. <span className="text-danger">*</span></label>
-              <input name="license" type="text" className="form-control" value={practitioner.license} onChange={handlePractitionerChange} />
+              <label className="form-label">HPR ID <span className="text-danger">*</span></label>
+              <input name="license" type="text" placeholder="e.g. 71-1234-5678-9012" className={`form-control${invalid("practitioner.license")}`} value={practitioner.license} onChange={handlePractitionerChange} onBlur={touch("practitioner.license")} />
+              <FieldError message={fieldError("practitioner.license")} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Qualification</label>
+              <input name="qualificationDisplay" type="text" placeholder="e.g. MBBS" className={`form-control${invalid("practitioner.qualificationDisplay")}`} value={practitioner.qualificationDisplay} onChange={handlePractitionerChange} onBlur={touch("practitioner.qualificationDisplay")} />
+              <FieldError message={fieldError("practitioner.qualificationDisplay")} />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Registration Council</label>
+              <input name="council" type="text" placeholder="e.g. Bihar Medical Council" className="form-control" value={practitioner.council} onChange={handlePractitionerChange} />
+            </div>
+            <div className="col-12 mt-2">
+              <label className="form-label">Digital Signature</label>
+              <div className="d-flex flex-wrap align-items-center gap-2">
+                <span className={`small ${signer ? "text-success" : "text-muted"} me-2`}>
+                  {signer
+                    ? `${signer.label} (${signer.alg}${signer.validUntil ? `, valid until ${signer.validUntil.slice(0, 10)}` : ""})`
+                    : signatureImage
+                    ? "No signing key on this browser — bundles carry the handwritten signature below"
+                    : "No signing key on this browser — bundles are generated unsigned"}
+                </span>
+                <button type="button" className="btn btn-sm btn-outline-secondary" onClick={handleCreateBrowserKey}>Create browser key</button>
+                <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => pkcs12FileRef.current?.click()}>Load PKCS#12…</button>
+                <input type="file" accept=".p12,.pfx,application/x-pkcs12" className="d-none" ref={pkcs12FileRef} onChange={(e) => handlePkcs12File(e.target.files[0])} />
+                {signer && (
+                  <>
+                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={handleExportCertificate}>Export certificate</button>
+                    <button type="button" className="btn btn-sm btn-outline-danger" onClick={handleRemoveKey}>Remove key</button>
+                  </>
+                )}
+              </div>
+            </div>
+            <div className="col-md-6 mt-2">
+              <label className="form-label">Handwritten Signature</label>
+              <SignaturePad value={signatureImage} onSave={handleSignatureSave} disabled={!practitioner.license} />
+              {!practitioner.license && <div className="form-text">Enter the HPR ID to save a signature for this practitioner.</div>}
             </div>
           </div>
         </div>
       </div>
 
       {/* Patient */}
-      <div className="card mb-3">
-        <div className="card-header">2. Patient Info <span className="text-danger">*</span></div>
+      <div id="card-patient" className="card mb-3">
+        <div className="card-header">3. Patient Info <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="row g-2">
             <div className="col-md-4">
-              <label className="form-label">Select Patient</label>
-              <select
-                className="form-select"
-                value={selectedPatientId}
-                onChange={(e) => handlePatientSelect(e.target.value)}
-              >
-                <option value="">-- Select a patient --</option>
-                {patientList.map((p) => (
-                  <option key={p.user_id} value={p.user_id}>
-                    {p.name} ({p.mobile})
-                  </option>
-                ))}
-              </select>
+              <label className="form-label">Find Patient</label>
+              <PatientTypeahead index={patientIndex} onSelect={handlePatientSelect} />
             </div>
-            <div className="col-md-4">
+            <div className="col-md-1">
+              <label className="form-label">Title</label>
+              <input name="namePrefix" type="text" list="name-prefixes" className="form-control" value={patient.namePrefix} onChange={handlePatientChange} />
+            </div>
+            <div className="col-md-3">
               <label className="form-label">Full Name <span className="text-danger">*</span></label>
-              <input name="name" type="text" className="form-control" value={patient.name} onChange={handlePatientChange} />
+              <input name="name" type="text" className={`form-control${invalid("patient.name")}`} value={patient.name} onChange={handlePatientChange} onBlur={touch("patient.name")} />
+              <FieldError message={fieldError("patient.name")} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Hospital MRN</label>
+              <input name="mrn" type="text" className={`form-control${invalid("patient.mrn")}`} value={patient.mrn} onChange={handlePatientChange} onBlur={touch("patient.mrn")} />
+              <FieldError message={fieldError("patient.mrn")} />
             </div>
             <div className="col-md-4">
-              <label className="form-label">Medical Record No. <span className="text-danger">*</span></label>
-              <input name="mrn" type="text" className="form-control" value={patient.mrn} onChange={handlePatientChange} />
+              <label className="form-label">ABHA Number</label>
+              <input
+                name="abhaNumber"
+                type="text"
+                inputMode="numeric"
+                placeholder="14 digits, e.g. 91-7104-3321-8355"
+                className={`form-control${invalid("patient.abhaNumber")}`}
+                value={patient.abhaNumber}
+                onChange={handlePatientChange}
+                onBlur={() => {
+                  setPatient((p) => ({ ...p, abhaNumber: formatAbhaNumber(p.abhaNumber) }));
+                  touch("patient.abhaNumber")();
+                }}
+              />
+              <FieldError message={fieldError("patient.abhaNumber")} />
             </div>
             <div className="col-md-4">
               <label className="form-label">Phone</label>
               <input name="phone" type="tel" className="form-control" value={patient.phone} onChange={handlePatientChange} />
             </div>
+            <div className="col-md-4">
+              <label className="form-label">Email</label>
+              <input name="email" type="email" className={`form-control${invalid("patient.email")}`} value={patient.email} onChange={handlePatientChange} onBlur={touch("patient.email")} />
+              <FieldError message={fieldError("patient.email")} />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">ABHA Address</label>
+              {patient.abhaAddresses.length > 0 ? (
+                <select name="abhaAddress" className="form-select" value={patient.abhaAddress} onChange={handlePatientChange}>
+                  <option value="">-- none --</option>
+                  {patient.abhaAddresses.map((a) => (
+                    <option key={a} value={a}>{a}</option>
+                  ))}
+                </select>
+              ) : (
+                <input name="abhaAddress" type="text" placeholder="e.g. rohit@abdm" className={`form-control${invalid("patient.abhaAddress")}`} value={patient.abhaAddress} onChange={handlePatientChange} onBlur={touch("patient.abhaAddress")} />
+              )}
+              <FieldError message={fieldError("patient.abhaAddress")} />
+            </div>
 
             <div className="col-md-4 mt-2">
               <label className="form-label">Date of Birth <span className="text-danger">*</span></label>
-              <input name="birthDate" type="date" className="form-control" value={patient.birthDate} onChange={handlePatientChange} />
+              <input name="birthDate" type="date" className={`form-control${invalid("patient.birthDate")}`} value={patient.birthDate} onChange={handlePatientChange} onBlur={touch("patient.birthDate")} />
+              <FieldError message={fieldError("patient.birthDate")} />
             </div>
             <div className="col-md-4 mt-2">
               <label className="form-label">Gender <span className="text-danger">*</span></label>
-              <select name="gender" className="form-select" value={patient.gender} onChange={handlePatientChange}>
+              <select name="gender" className={`form-select${invalid("patient.gender")}`} value={patient.gender} onChange={handlePatientChange} onBlur={touch("patient.gender")}>
+                <option value="">-- select --</option>
                 <option value="male">Male</option>
                 <option value="female">Female</option>
                 <option value="other">Other</option>
                 <option value="unknown">Unknown</option>
               </select>
+              <FieldError message={fieldError("patient.gender")} />
+            </div>
+
+            <div className="col-md-4 mt-2">
+              <label className="form-label">Address Line</label>
+              <input name="addressLine" type="text" placeholder="House, street, locality" className="form-control" value={patient.addressLine} onChange={handlePatientChange} />
+            </div>
+            <div className="col-md-3 mt-2">
+              <label className="form-label">District</label>
+              <input name="district" type="text" className="form-control" value={patient.district} onChange={handlePatientChange} />
+            </div>
+            <div className="col-md-3 mt-2">
+              <label className="form-label">State</label>
+              <input name="state" type="text" list="indian-states" className="form-control" value={patient.state} onChange={handlePatientChange} />
+            </div>
+            <div className="col-md-2 mt-2">
+              <label className="form-label">PIN Code</label>
+              <input name="postalCode" type="text" inputMode="numeric" maxLength={6} className={`form-control${invalid("patient.postalCode")}`} value={patient.postalCode} onChange={handlePatientChange} onBlur={touch("patient.postalCode")} />
+              <FieldError message={fieldError("patient.postalCode")} />
             </div>
           </div>
+          <datalist id="name-prefixes">
+            {NAME_PREFIXES.map((p) => (
+              <option key={p} value={p} />
+            ))}
+          </datalist>
+          <datalist id="indian-states">
+            {INDIAN_STATES.map((st) => (
+              <option key={st} value={st} />
+            ))}
+          </datalist>
         </div>
       </div>
 
-      {/* Condition */}
-      <div className="card mb-3">
-        <div className="card-header">3. Condition / Diagnosis <span className="text-danger">*</span></div>
+      {/* Encounter (admission) */}
+      <div id="card-encounter" className="card mb-3">
+        <div className="card-header">4. Admission / Encounter <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="row g-2">
-            <div className="col-md-6">
-              <label className="form-label">Diagnosis Name <span className="text-danger">*</span></label>
-              <input name="text" type="text" className="form-control" value={condition.text} onChange={handleConditionChange} />
+            <div className="col-md-3">
+              <label className="form-label">Encounter Class <span className="text-danger">*</span></label>
+              <select name="classCode" className={`form-select${invalid("encounter.classCode")}`} value={encounter.classCode} onChange={handleEncounterChange}>
+                {ENCOUNTER_CLASS_OPTIONS.map((o) => (
+                  <option key={o.code} value={o.code}>{o.code} — {o.display}</option>
+                ))}
+              </select>
+              <FieldError message={fieldError("encounter.classCode")} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Admitted <span className="text-danger">*</span></label>
+              <input name="admittedAt" type="datetime-local" className={`form-control${invalid("encounter.admittedAt")}`} value={encounter.admittedAt} onChange={handleEncounterChange} onBlur={touch("encounter.admittedAt")} />
+              <FieldError message={fieldError("encounter.admittedAt")} />
             </div>
             <div className="col-md-3">
-              <label className="form-label">Diagnosis Code (SNOMED) <small className="text-muted">(optional)</small></label>
-              <input name="code" type="text" className="form-control" value={condition.code} onChange={handleConditionChange} />
+              <label className="form-label">Discharged <small className="text-muted">(blank while admitted)</small></label>
+              <input name="dischargedAt" type="datetime-local" className={`form-control${invalid("encounter.dischargedAt")}`} value={encounter.dischargedAt} onChange={handleEncounterChange} onBlur={touch("encounter.dischargedAt")} />
+              <FieldError message={fieldError("encounter.dischargedAt")} />
             </div>
             <div className="col-md-3">
-              <label className="form-label">Clinical Status</label>
-              <select name="clinicalStatus" className="form-select" value={condition.clinicalStatus} onChange={handleConditionChange}>
-                <option value="active">Active</option>
-                <option value="inactive">Inactive</option>
+              <label className="form-label">Discharge Disposition</label>
+              <select name="dischargeDisposition" className="form-select" value={encounter.dischargeDisposition} onChange={handleEncounterChange}>
+                <option value="">-- none --</option>
+                {DISCHARGE_DISPOSITION_OPTIONS.map((o) => (
+                  <option key={o.code} value={o.code}>{o.display}</option>
+                ))}
               </select>
             </div>
+
+            {PARTICIPANT_ROLES.map(({ field, label }) => (
+              <React.Fragment key={field}>
+                <div className="col-md-5">
+                  <label className="form-label">{label} Practitioner</label>
+                  <input name={`${field}Name`} type="text" className={`form-control${invalid(`encounter.${field}Name`)}`} value={encounter[`${field}Name`]} onChange={handleEncounterChange} onBlur={touch(`encounter.${field}Name`)} />
+                  <FieldError message={fieldError(`encounter.${field}Name`)} />
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">{label} Practitioner HPR ID</label>
+                  <input name={`${field}License`} type="text" className={`form-control${invalid(`encounter.${field}License`)}`} value={encounter[`${field}License`]} onChange={handleEncounterChange} onBlur={touch(`encounter.${field}License`)} />
+                  <FieldError message={fieldError(`encounter.${field}License`)} />
+                </div>
+                <div className="col-md-3 d-flex align-items-end">
+                  <button type="button" className="btn btn-sm btn-outline-secondary mb-1" onClick={() => fillFromPrescriber(field)}>
+                    Same as prescriber
+                  </button>
+                </div>
+              </React.Fragment>
+            ))}
           </div>
         </div>
       </div>
 
+      {/* Conditions */}
+      <div id="card-conditions" className="card mb-3">
+        <div className="card-header">5. Conditions / Diagnoses <span className="text-danger">*</span></div>
+        <div className="card-body">
+          {conditions.map((c, idx) => (
+            <div key={c.id} className="row g-2 mb-3 pb-2 border-bottom align-items-start">
+              <div className="col-md-3">
+                <label className="form-label">Diagnosis Name <span className="text-danger">*</span></label>
+                <input
+                  name="text"
+                  type="text"
+                  className={`form-control${invalid(`conditions.${idx}.text`)}`}
+                  value={c.text}
+                  onChange={(e) => handleConditionChange(idx, e)}
+                  onBlur={touch(`conditions.${idx}.text`)}
+                />
+                <FieldError message={fieldError(`conditions.${idx}.text`)} />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Diagnosis Code (SNOMED) <small className="text-muted">(optional)</small></label>
+                <input name="code" type="text" className="form-control" value={c.code} onChange={(e) => handleConditionChange(idx, e)} />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">ICD-10 <small className="text-muted">(optional)</small></label>
+                <ConceptTypeahead
+                  value={c.icd10Code}
+                  index={icd10Index}
+                  placeholder="Code or words, e.g. R10 or fever"
+                  className={`form-control${invalid(`conditions.${idx}.icd10Code`)}`}
+                  describe={(concept) => `ICD-10 ${concept.code}`}
+                  onTextChange={(text) => handleIcd10TextChange(idx, text)}
+                  onSelect={(concept) => handleIcd10Pick(idx, concept)}
+                  onBlur={touch(`conditions.${idx}.icd10Code`)}
+                />
+                <FieldError message={fieldError(`conditions.${idx}.icd10Code`)} />
+                {c.icd10Display && (
+                  <small className="text-muted">
+                    {c.icd10Display}
+                    {c.icd10Mapped && " (mapped from SNOMED)"}
+                  </small>
+                )}
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Clinical Status</label>
+                <select
+                  name="clinicalStatus"
+                  className="form-select"
+                  value={c.clinicalStatus}
+                  disabled={c.verificationStatus === "entered-in-error"}
+                  onChange={(e) => handleConditionChange(idx, e)}
+                >
+                  {CLINICAL_STATUS_OPTIONS.map((o) => (
+                    <option key={o.code} value={o.code}>{o.display}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => removeCondition(idx)}>
+                  Remove
+                </button>
+              </div>
+
+              <div className="col-md-2">
+                <label className="form-label">Verification</label>
+                <select name="verificationStatus" className="form-select" value={c.verificationStatus} onChange={(e) => handleConditionChange(idx, e)}>
+                  <option value="">-- none --</option>
+                  {VERIFICATION_STATUS_OPTIONS.map((o) => (
+                    <option key={o.code} value={o.code}>{o.display}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Category</label>
+                <select name="category" className="form-select" value={c.category} onChange={(e) => handleConditionChange(idx, e)}>
+                  <option value="">-- none --</option>
+                  {CATEGORY_OPTIONS.map((o) => (
+                    <option key={o.code} value={o.code}>{o.display}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Severity</label>
+                <select name="severity" className="form-select" value={c.severity} onChange={(e) => handleConditionChange(idx, e)}>
+                  <option value="">-- none --</option>
+                  {SEVERITY_OPTIONS.map((o) => (
+                    <option key={o.code} value={o.code}>{o.display}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Onset</label>
+                <select name="onsetType" className="form-select" value={c.onsetType} onChange={(e) => handleConditionChange(idx, e)}>
+                  <option value="">-- unknown --</option>
+                  <option value="date">On date</option>
+                  <option value="age">At age</option>
+                </select>
+              </div>
+              {c.onsetType === "date" && (
+                <div className="col-md-2">
+                  <label className="form-label">Onset Date</label>
+                  <input
+                    name="onsetDate"
+                    type="date"
+                    className={`form-control${invalid(`conditions.${idx}.onsetDate`)}`}
+                    value={c.onsetDate}
+                    onChange={(e) => handleConditionChange(idx, e)}
+                    onBlur={touch(`conditions.${idx}.onsetDate`)}
+                  />
+                  <FieldError message={fieldError(`conditions.${idx}.onsetDate`)} />
+                </div>
+              )}
+              {c.onsetType === "age" && (
+                <>
+                  <div className="col-md-1">
+                    <label className="form-label">Age</label>
+                    <input
+                      name="onsetAge"
+                      type="number"
+                      min="0"
+                      className={`form-control${invalid(`conditions.${idx}.onsetAge`)}`}
+                      value={c.onsetAge ?? ""}
+                      onChange={(e) => handleConditionChange(idx, e)}
+                      onBlur={touch(`conditions.${idx}.onsetAge`)}
+                    />
+                  </div>
+                  <div className="col-md-1">
+                    <label className="form-label">&nbsp;</label>
+                    <select name="onsetAgeUnit" className="form-select" value={c.onsetAgeUnit} onChange={(e) => handleConditionChange(idx, e)}>
+                      {AGE_UNIT_OPTIONS.map((o) => (
+                        <option key={o.value} value={o.value}>{o.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-12">
+                    <FieldError message={fieldError(`conditions.${idx}.onsetAge`)} />
+                  </div>
+                </>
+              )}
+              <div className="col-12">
+                <label className="form-label">Notes</label>
+                <textarea name="note" rows={1} className="form-control" value={c.note} onChange={(e) => handleConditionChange(idx, e)} />
+              </div>
+            </div>
+          ))}
+          <FieldError message={fieldError("conditions")} />
+          <button type="button" className="btn btn-sm btn-secondary" onClick={addCondition}>
+            + Add Diagnosis
+          </button>
+        </div>
+      </div>
+
       {/* Composition / Prescription info (before meds) */}
-      <div className="card mb-3 border-primary">
-        <div className="card-header bg-primary text-white">4. Prescription / Document Info <span className="text-danger">*</span></div>
+      <div id="card-composition" className="card mb-3 border-primary">
+        <div className="card-header bg-primary text-white">6. Prescription / Document Info <span className="text-danger">*</span></div>
         <div className="card-body">
           <div className="row g-2">
             <div className="col-md-6">
               <label className="form-label">Title <span className="text-danger">*</span></label>
-              <input name="title" type="text" className="form-control" value={composition.title} onChange={handleCompositionChange} />
+              <input name="title" type="text" className={`form-control${invalid("composition.title")}`} value={composition.title} onChange={handleCompositionChange} onBlur={touch("composition.title")} />
+              <FieldError message={fieldError("composition.title")} />
             </div>
             <div className="col-md-3">
               <label className="form-label">Status <span className="text-danger">*</span></label>
@@ -725,15 +1382,16 @@ export default function App() {
             </div>
             <div className="col-md-3">
               <label className="form-label">Prescription Date <span className="text-danger">*</span></label>
-              <input name="date" type="date" className="form-control" value={composition.date} onChange={handleCompositionChange} />
+              <input name="date" type="date" className={`form-control${invalid("composition.date")}`} value={composition.date} onChange={handleCompositionChange} onBlur={touch("composition.date")} />
+              <FieldError message={fieldError("composition.date")} />
             </div>
           </div>
         </div>
       </div>
 
       {/* Medications dynamic list */}
-      <div className="card mb-3">
-        <div className="card-header">5. Medications <span className="text-danger">*</span></div>
+      <div id="card-medications" className="card mb-3">
+        <div className="card-header">7. Medications <span className="text-danger">*</span></div>
         <div className="card-body">
           {medications.map((m, idx) => (
             <div className="border rounded p-3 mb-2" key={m.id}>
@@ -749,7 +1407,15 @@ export default function App() {
               <div className="row g-2">
                 <div className="col-md-6">
                   <label className="form-label">Drug Name <span className="text-danger">*</span></label>
-                  <input type="text" className="form-control" value={m.medicationText} onChange={(e) => handleMedChange(idx, "medicationText", e.target.value)} />
+                  <MedicationTypeahead
+                    className={`form-control${invalid(`medications.${idx}.medicationText`)}`}
+                    value={m.medicationText}
+                    index={medicationIndex}
+                    onTextChange={(text) => handleMedTextChange(idx, text)}
+                    onSelect={(concept) => handleMedPick(idx, concept)}
+                    onBlur={touch(`medications.${idx}.medicationText`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.medicationText`)} />
                 </div>
                 <div className="col-md-3">
                   <label className="form-label">SNOMED Code (medication) <small className="text-muted">(optional)</small></label>
@@ -757,24 +1423,79 @@ export default function App() {
                 </div>
                 <div className="col-md-3">
                   <label className="form-label">Authored On</label>
-                  <input type="date" className="form-control" value={m.authoredOn} onChange={(e) => handleMedChange(idx, "authoredOn", e.target.value)} />
+                  <input type="date" className={`form-control${invalid(`medications.${idx}.authoredOn`)}`} value={m.authoredOn} onChange={(e) => handleMedChange(idx, "authoredOn", e.target.value)} onBlur={touch(`medications.${idx}.authoredOn`)} />
+                  <FieldError message={fieldError(`medications.${idx}.authoredOn`)} />
                 </div>
 
-                <div className="col-md-12">
-                  <label className="form-label">Dosage Instructions <span className="text-danger">*</span></label>
-                  <input type="text" className="form-control" value={m.dosageText} onChange={(e) => handleMedChange(idx, "dosageText", e.target.value)} />
+                <div className="col-md-2">
+                  <label className="form-label">Dose</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className={`form-control${invalid(`medications.${idx}.doseAmount`)}`}
+                    value={m.doseAmount ?? ""}
+                    onChange={(e) => handleMedChange(idx, "doseAmount", e.target.value !== "" ? Number(e.target.value) : null)}
+                    onBlur={touch(`medications.${idx}.doseAmount`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.doseAmount`)} />
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Dose Unit</label>
+                  <select
+                    className={`form-select${invalid(`medications.${idx}.doseUnit`)}`}
+                    value={m.doseUnit ?? ""}
+                    onChange={(e) => handleMedChange(idx, "doseUnit", e.target.value)}
+                    onBlur={touch(`medications.${idx}.doseUnit`)}
+                  >
+                    <option value="">-- unit --</option>
+                    {DOSE_UNIT_OPTIONS.map((u) => (
+                      <option key={u.code} value={u.code}>{u.display}</option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldError(`medications.${idx}.doseUnit`)} />
+                </div>
+
+                <div className="col-md-8">
+                  <label className="form-label">
+                    Dosage Instructions <span className="text-danger">*</span>{" "}
+                    {m.dosageTextEdited ? (
+                      <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={() => regenerateDosageText(idx)}>
+                        (regenerate from dose &amp; timing)
+                      </button>
+                    ) : (
+                      <small className="text-muted">(generated)</small>
+                    )}
+                  </label>
+                  <input type="text" className={`form-control${invalid(`medications.${idx}.dosageText`)}`} value={m.dosageText} onChange={(e) => handleMedChange(idx, "dosageText", e.target.value)} onBlur={touch(`medications.${idx}.dosageText`)} />
+                  <FieldError message={fieldError(`medications.${idx}.dosageText`)} />
                 </div>
 
                 <div className="col-md-4">
                   <label className="form-label">Additional Instruction</label>
                   <select className="form-select" value={m.additionalInstruction} onChange={(e) => handleMedChange(idx, "additionalInstruction", e.target.value)}>
                     <option value="">-- none --</option>
-                    <option>With or after food</option>
-                    <option>Before food</option>
-                    <option>Empty stomach</option>
+                    {ADDITIONAL_INSTRUCTION_OPTIONS.map((o) => (
+                      <option key={o.code} value={o.code}>{o.display}</option>
+                    ))}
                   </select>
                 </div>
 
+                <div className="col-md-2">
+                  <label className="form-label">Schedule</label>
+                  <input
+                    type="text"
+                    className={`form-control${invalid(`medications.${idx}.frequencyPreset`)}`}
+                    list="frequency-presets"
+                    placeholder="BD, 1-0-1, SOS"
+                    value={m.frequencyPreset || ""}
+                    onChange={(e) => handleMedChange(idx, "frequencyPreset", e.target.value)}
+                    onBlur={touch(`medications.${idx}.frequencyPreset`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.frequencyPreset`)} />
+                </div>
+
                 <div className="col-md-2">
                   <label className="form-label">Frequency</label>
                   <input type="number" min="0" className="form-control" value={m.frequency ?? ""} onChange={(e) => handleMedChange(idx, "frequency", e.target.value !== "" ? Number(e.target.value) : null)} />
@@ -788,21 +1509,97 @@ export default function App() {
                 <div className="col-md-2">
                   <label className="form-label">Unit</label>
                   <select className="form-select" value={m.periodUnit} onChange={(e) => handleMedChange(idx, "periodUnit", e.target.value)}>
-                    <option value="d">Day(s)</option>
-                    <option value="h">Hour(s)</option>
-                    <option value="wk">Week(s)</option>
-                    <option value="mo">Month(s)</option>
+                    {PERIOD_UNIT_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
                   </select>
                 </div>
 
+                <div className="col-md-2">
+                  <label className="form-label">Times</label>
+                  <input
+                    type="text"
+                    className={`form-control${invalid(`medications.${idx}.timeOfDay`)}`}
+                    placeholder="08:00, 20:00"
+                    value={m.timeOfDay || ""}
+                    onChange={(e) => handleMedChange(idx, "timeOfDay", e.target.value)}
+                    onBlur={touch(`medications.${idx}.timeOfDay`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.timeOfDay`)} />
+                </div>
+
+                <div className="col-md-2">
+                  <div className="form-check mt-md-4 pt-md-2">
+                    <input
+                      id={`as-needed-${m.id}`}
+                      type="checkbox"
+                      className="form-check-input"
+                      checked={Boolean(m.asNeeded)}
+                      onChange={(e) => handleMedChange(idx, "asNeeded", e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor={`as-needed-${m.id}`}>
+                      As needed (SOS)
+                    </label>
+                  </div>
+                </div>
+
+                {m.asNeeded && (
+                  <>
+                    <div className="col-md-4">
+                      <label className="form-label">When required for</label>
+                      <input
+                        type="text"
+                        className="form-control"
+                        list="prn-reasons"
+                        placeholder="Pain, or e.g. if fever > 100°F"
+                        value={m.asNeededReason || ""}
+                        onChange={(e) => handleMedChange(idx, "asNeededReason", e.target.value)}
+                      />
+                    </div>
+
+                    <div className="col-md-2">
+                      <label className="form-label">Max dose</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        className={`form-control${invalid(`medications.${idx}.maxDoseAmount`)}`}
+                        value={m.maxDoseAmount ?? ""}
+                        onChange={(e) => handleMedChange(idx, "maxDoseAmount", e.target.value !== "" ? Number(e.target.value) : null)}
+                        onBlur={touch(`medications.${idx}.maxDoseAmount`)}
+                      />
+                      <FieldError message={fieldError(`medications.${idx}.maxDoseAmount`)} />
+                    </div>
+
+                    <div className="col-md-2">
+                      <label className="form-label">Per</label>
+                      <input
+                        type="number"
+                        min="1"
+                        className="form-control"
+                        value={m.maxDosePeriod ?? ""}
+                        onChange={(e) => handleMedChange(idx, "maxDosePeriod", e.target.value !== "" ? Number(e.target.value) : null)}
+                      />
+                    </div>
+
+                    <div className="col-md-2">
+                      <label className="form-label">&nbsp;</label>
+                      <select className="form-select" value={m.maxDosePeriodUnit || "d"} onChange={(e) => handleMedChange(idx, "maxDosePeriodUnit", e.target.value)}>
+                        {PERIOD_UNIT_OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>{o.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </>
+                )}
+
                 <div className="col-md-4">
                   <label className="form-label">Route</label>
                   <select className="form-select" value={m.route} onChange={(e) => handleMedChange(idx, "route", e.target.value)}>
                     <option value="">-- select --</option>
-                    <option>Oral Route</option>
-                    <option>Topical</option>
-                    <option>Intravenous</option>
-                    <option>Intramuscular</option>
+                    {ROUTE_OPTIONS.map((o) => (
+                      <option key={o.code} value={o.code}>{o.display}</option>
+                    ))}
                   </select>
                 </div>
 
@@ -810,21 +1607,222 @@ export default function App() {
                   <label className="form-label">Method</label>
                   <select className="form-select" value={m.method} onChange={(e) => handleMedChange(idx, "method", e.target.value)}>
                     <option value="">-- select --</option>
-                    <option>Swallow</option>
-                    <option>Inhale</option>
-                    <option>Apply</option>
+                    {METHOD_OPTIONS.map((o) => (
+                      <option key={o.code} value={o.code}>{o.display}</option>
+                    ))}
                   </select>
                 </div>
 
                 <div className="col-md-4">
-                  <label className="form-label">Reason (condition)</label>
-                  <select className="form-select" value={m.reason ?? condition.text} onChange={(e) => handleMedChange(idx, "reason", e.target.value)}>
-                    <option value={condition.text}>{condition.text}</option>
+                  <span className="form-label d-block">Reason (diagnoses)</span>
+                  {conditions.map((c, ci) => (
+                    <div key={c.id} className="form-check form-check-inline">
+                      <input
+                        id={`reason-${m.id}-${c.id}`}
+                        type="checkbox"
+                        className="form-check-input"
+                        checked={(m.reasonConditionIds || []).includes(c.id)}
+                        onChange={() => toggleMedReason(idx, c.id)}
+                      />
+                      <label className="form-check-label" htmlFor={`reason-${m.id}-${c.id}`}>
+                        {c.text || `Diagnosis ${ci + 1}`}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Duration</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className={`form-control${invalid(`medications.${idx}.durationValue`)}`}
+                    value={m.durationValue ?? ""}
+                    onChange={(e) => handleMedChange(idx, "durationValue", e.target.value !== "" ? Number(e.target.value) : null)}
+                    onBlur={touch(`medications.${idx}.durationValue`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.durationValue`)} />
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">&nbsp;</label>
+                  <select className="form-select" value={m.durationUnit || "d"} onChange={(e) => handleMedChange(idx, "durationUnit", e.target.value)}>
+                    {DURATION_UNIT_OPTIONS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
                   </select>
                 </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">
+                    Quantity{" "}
+                    {m.dispenseQuantity !== null && m.dispenseQuantity !== undefined ? (
+                      <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={() => handleMedChange(idx, "dispenseQuantity", null)}>
+                        (auto)
+                      </button>
+                    ) : (
+                      <small className="text-muted">(calculated)</small>
+                    )}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className={`form-control${invalid(`medications.${idx}.dispenseQuantity`)}`}
+                    value={m.dispenseQuantity ?? calculateDispenseQuantity(m) ?? ""}
+                    onChange={(e) => handleMedChange(idx, "dispenseQuantity", e.target.value !== "" ? Number(e.target.value) : null)}
+                    onBlur={touch(`medications.${idx}.dispenseQuantity`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.dispenseQuantity`)} />
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Supply (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-control"
+                    placeholder={String(scheduleDays(m) || "")}
+                    value={m.expectedSupplyDays ?? ""}
+                    onChange={(e) => handleMedChange(idx, "expectedSupplyDays", e.target.value !== "" ? Number(e.target.value) : null)}
+                  />
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Refills</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    className={`form-control${invalid(`medications.${idx}.numberOfRepeats`)}`}
+                    value={m.numberOfRepeats ?? ""}
+                    onChange={(e) => handleMedChange(idx, "numberOfRepeats", e.target.value !== "" ? Number(e.target.value) : null)}
+                    onBlur={touch(`medications.${idx}.numberOfRepeats`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.numberOfRepeats`)} />
+                </div>
+
+                <div className="col-md-2">
+                  <label className="form-label">Valid Until</label>
+                  <input
+                    type="date"
+                    className={`form-control${invalid(`medications.${idx}.validUntil`)}`}
+                    value={m.validUntil || ""}
+                    onChange={(e) => handleMedChange(idx, "validUntil", e.target.value)}
+                    onBlur={touch(`medications.${idx}.validUntil`)}
+                  />
+                  <FieldError message={fieldError(`medications.${idx}.validUntil`)} />
+                </div>
+
+                <div className="col-12">
+                  {(m.steps || []).map((step, k) => {
+                    const path = `medications.${idx}.steps.${k}`;
+                    return (
+                      <div key={step.id} className="row g-2 align-items-end border-top pt-2 mt-1">
+                        <div className="col-md-1">
+                          <span className="badge bg-secondary">Then</span>
+                        </div>
+                        <div className="col-md-2">
+                          <label className="form-label small mb-0">Dose</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            className={`form-control form-control-sm${invalid(`${path}.doseAmount`)}`}
+                            value={step.doseAmount ?? ""}
+                            onChange={(e) => handleStepChange(idx, k, "doseAmount", e.target.value !== "" ? Number(e.target.value) : null)}
+                            onBlur={touch(`${path}.doseAmount`)}
+                          />
+                          <FieldError message={fieldError(`${path}.doseAmount`)} />
+                        </div>
+                        <div className="col-md-2">
+                          <label className="form-label small mb-0">Schedule</label>
+                          <input
+                            type="text"
+                            className={`form-control form-control-sm${invalid(`${path}.frequencyPreset`)}`}
+                            list="frequency-presets"
+                            value={step.frequencyPreset || ""}
+                            onChange={(e) => handleStepChange(idx, k, "frequencyPreset", e.target.value)}
+                            onBlur={touch(`${path}.frequencyPreset`)}
+                          />
+                          <FieldError message={fieldError(`${path}.frequencyPreset`)} />
+                        </div>
+                        <div className="col-md-1">
+                          <label className="form-label small mb-0">Frequency</label>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control form-control-sm"
+                            value={step.frequency ?? ""}
+                            onChange={(e) => handleStepChange(idx, k, "frequency", e.target.value !== "" ? Number(e.target.value) : null)}
+                          />
+                        </div>
+                        <div className="col-md-1">
+                          <label className="form-label small mb-0">Period</label>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control form-control-sm"
+                            value={step.period ?? ""}
+                            onChange={(e) => handleStepChange(idx, k, "period", e.target.value !== "" ? Number(e.target.value) : null)}
+                          />
+                        </div>
+                        <div className="col-md-1">
+                          <label className="form-label small mb-0">Unit</label>
+                          <select className="form-select form-select-sm" value={step.periodUnit || "d"} onChange={(e) => handleStepChange(idx, k, "periodUnit", e.target.value)}>
+                            {PERIOD_UNIT_OPTIONS.map((o) => (
+                              <option key={o.value} value={o.value}>{o.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="col-md-1">
+                          <label className="form-label small mb-0">For</label>
+                          <input
+                            type="number"
+                            min="0"
+                            className={`form-control form-control-sm${invalid(`${path}.durationValue`)}`}
+                            value={step.durationValue ?? ""}
+                            onChange={(e) => handleStepChange(idx, k, "durationValue", e.target.value !== "" ? Number(e.target.value) : null)}
+                            onBlur={touch(`${path}.durationValue`)}
+                          />
+                        </div>
+                        <div className="col-md-2">
+                          <select className="form-select form-select-sm" value={step.durationUnit || "d"} onChange={(e) => handleStepChange(idx, k, "durationUnit", e.target.value)}>
+                            {DURATION_UNIT_OPTIONS.map((o) => (
+                              <option key={o.value} value={o.value}>{o.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="col-md-1">
+                          <button type="button" className="btn btn-sm btn-outline-danger" onClick={() => removeStep(idx, k)}>
+                            Remove
+                          </button>
+                        </div>
+                        <div className="col-12">
+                          <FieldError message={fieldError(`${path}.durationValue`)} />
+                          <small className="text-muted">then {step.dosageText.charAt(0).toLowerCase() + step.dosageText.slice(1)}</small>
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <button type="button" className="btn btn-sm btn-outline-secondary mt-2" onClick={() => addStep(idx)}>
+                    + Add step (taper)
+                  </button>
+                  {m.steps?.length > 0 && <DosageTimeline med={m} />}
+                </div>
               </div>
             </div>
           ))}
+          <datalist id="frequency-presets">
+            {FREQUENCY_PRESETS.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </datalist>
+          <datalist id="prn-reasons">
+            {PRN_REASON_OPTIONS.map((o) => (
+              <option key={o.code} value={o.display} />
+            ))}
+          </datalist>
 
           <div className="mt-2">
             <button className="btn btn-sm btn-secondary" onClick={addMedication}>
@@ -832,25 +1830,108 @@ export default function App() {
             </button>
           </div>
           <small className="text-muted d-block mt-2">Each medication becomes a MedicationRequest entry. Extra dosage fields are included in JSON only if filled.</small>
+          <small className="text-muted d-block mt-1">
+            Drug search: {medicationIndex.size} SNOMED concepts ({medicationRelease.version}).{" "}
+            <input type="file" accept=".txt,.tsv" multiple className="d-none" ref={releaseFileRef} onChange={(e) => handleReleaseFiles(e.target.files)} />
+            <button
+              type="button"
+              className="btn btn-link btn-sm p-0 align-baseline"
+              title="Pick the RF2 description file together with its language reference set"
+              onClick={() => releaseFileRef.current?.click()}
+            >
+              Load release files
+            </button>
+            {medicationRelease.version !== "seed" && (
+              <>
+                {" · "}
+                <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={() => setMedicationRelease(resetMedicationConcepts())}>
+                  Reset to bundled list
+                </button>
+              </>
+            )}
+          </small>
         </div>
       </div>
 
       {/* Attachment */}
       <div className="card mb-3">
-        <div className="card-header">6. Attachment (optional)</div>
+        <div className="card-header">8. Attachment (optional)</div>
         <div className="card-body">
-          <input type="file" accept=".pdf,.jpg,.jpeg" ref={fileRef} onChange={(e) => handleFile(e.target.files[0])} />
+          <div className="form-check mb-2">
+            <input id="embed-pdf" type="checkbox" className="form-check-input" checked={embedPdf} onChange={(e) => setEmbedPdf(e.target.checked)} />
+            <label htmlFor="embed-pdf" className="form-check-label">Embed the printed prescription (PDF) so the paper and digital records match</label>
+          </div>
+          <input type="file" accept=".pdf,.jpg,.jpeg" ref={fileRef} onChange={(e) => handleFile(e.target.files[0])} disabled={embedPdf} />
           <small className="text-muted d-block mt-2">PDF will be encoded as Binary.data (base64).</small>
+          {!embedPdf && attachmentBase64 && attachmentMime && (
+            <small className="text-success d-block">Attachment attached ({attachmentMime}, {Math.round((attachmentBase64.length * 3) / 4 / 1024)} KB).</small>
+          )}
         </div>
       </div>
 
       {/* Actions */}
       <div className="mb-4">
-        <button className="btn btn-outline-primary" onClick={handleSubmit}>Submit</button>
+        {/* Stays clickable while disabled-looking so a click can jump to the first invalid card */}
+        <button
+          className={`btn btn-outline-primary${isFormValid ? "" : " disabled"}`}
+          aria-disabled={!isFormValid}
+          style={isFormValid ? undefined : { pointerEvents: "auto" }}
+          onClick={handleSubmit}
+          disabled={submitting}
+        >
+          {submitting ? "Submitting…" : "Submit"}
+        </button>
+        <button type="button" className="btn btn-outline-secondary ms-2" onClick={() => window.print()}>Print</button>
+        <button type="button" className="btn btn-outline-secondary ms-2" onClick={handleDownloadPdf}>Download PDF</button>
         {errorMsg && <div className="alert alert-danger mt-2">{errorMsg}</div>}
         {successMsg && <div className="alert alert-success mt-2">{successMsg}</div>}
+        {serverResult && (
+          <div className="card mt-2">
+            <div className="card-header">
+              Server response: {serverResult.status || "no response"} ({serverResult.attempts} attempt{serverResult.attempts === 1 ? "" : "s"})
+            </div>
+            <div className="card-body">
+              {serverResult.resource?.resourceType === "Bundle" && (
+                <div>Stored as <code>Bundle/{serverResult.resource.id}</code> (version {serverResult.resource.meta?.versionId})</div>
+              )}
+              {serverResult.error && <div className="text-danger">{serverResult.error}</div>}
+              {serverResult.issues.length > 0 && (
+                <ul className="list-unstyled mb-0 mt-2">
+                  {serverResult.issues.map((i, idx) => (
+                    <li key={idx} className={i.severity === "error" || i.severity === "fatal" ? "text-danger" : "text-warning"}>
+                      {i.location && <code>{i.location}</code>} {i.location && "— "}{i.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+        {validationIssues.length > 0 && (
+          <div className="card mt-2">
+            <div className="card-header">Profile validation ({validationIssues.length} issue{validationIssues.length === 1 ? "" : "s"})</div>
+            <div className="card-body">
+              {[...new Set(validationIssues.map((i) => i.resource))].map((resource) => (
+                <div key={resource} className="mb-2">
+                  <h6 className="mb-1">{resource}</h6>
+                  <ul className="list-unstyled mb-0">
+                    {validationIssues
+                      .filter((i) => i.resource === resource)
+                      .map((i, idx) => (
+                        <li key={idx} className={i.severity === "error" ? "text-danger" : "text-warning"}>
+                          <code>{i.location}</code> — {i.message}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
+      <PrintedPrescription view={printView} signature={signatureImage} />
+
       <footer className="text-muted mt-4">
         <small>Notes: System fields (meta/profile/identifier.system, SNOMED codes) are currently placeholders and annotated with <code>//fetch via api</code>. Replace these with backend values when integrating.</small>
       </footer>
@@ -3,40 +3,7 @@ import React, { useState, useRef, useEffect } from "react";
 import exampleBundle from "./Bundle-Prescription-example-06.json";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "bootstrap/dist/js/bootstrap.bundle.min.js";
-
-/*
-  Lightweight uuid generator (client-side, fine for UI use).
-  If you prefer, replace with `import { v4 as uuidv4 } from 'uuid'`.
-*/
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-/* Return ISO string with local timezone offset, e.g. 2025-08-12T14:35:21+05:30 */
-function getISOWithOffsetFromDateInput(dateInput /* optional 'YYYY-MM-DD' */) {
-  const now = new Date();
-  let d;
-  if (dateInput) {
-    // combine date with current time to preserve time-of-day
-    const [y, m, day] = dateInput.split("-");
-    const hh = String(now.getHours()).padStart(2, "0");
-    const mm = String(now.getMinutes()).padStart(2, "0");
-    const ss = String(now.getSeconds()).padStart(2, "0");
-    d = new Date(`${y}-${m}-${day}T${hh}:${mm}:${ss}`);
-  } else {
-    d = now;
-  }
-  const tzOffsetMin = d.getTimezoneOffset();
-  const sign = tzOffsetMin > 0 ? "-" : "+";
-  const pad = (n) => String(n).padStart(2, "0");
-  const offsetHr = pad(Math.floor(Math.abs(tzOffsetMin) / 60));
-  const offsetMin = pad(Math.abs(tzOffsetMin) % 60);
-  return d.toISOString().replace("Z", `${sign}${offsetHr}:${offsetMin}`);
-}
+import { buildPrescriptionBundle, formatDateOnly, uuidv4 } from "./prescriptionBundle";
 
 /* Pretty-print */
 const pretty = (o) => JSON.stringify(o, null, 2);
@@ -159,8 +126,10 @@ export default function App() {
         dosageText: "One tablet at once",
         // default as string (matches your current selects) — buildDosageInstruction will map to codes
         additionalInstruction: "With or after food",
-        // timing object used by buildDosageInstruction
-        timing: { frequency: 2, period: 1, periodUnit: "d" },
+        // timing fields edited by the Frequency/Period/Unit inputs
+        frequency: 2,
+        period: 1,
+        periodUnit: "d",
         // route/method as strings (UI uses strings); builder will map to SNOMED codes
         route: "Oral Route",
         method: "Swallow",
@@ -215,341 +184,17 @@ export default function App() {
   };
 
 
-  /* Format date as YYYY-MM-DD */
-  function formatDateOnly(dateInput) {
-    return new Date(dateInput).toISOString().split("T")[0];
-  }
-
-  /* Build XHTML narrative block with namespace + styled elements */
-  const buildNarrative = (title, contentHtml) => {
-    return `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN">
-      <p class="res-header-id"><b>Generated Narrative: ${title}</b></p>
-      <div style="display: inline-block; background-color: #d9e0e7; padding: 6px; margin: 4px; border: 1px solid #8da1b4; border-radius: 5px;">
-        ${contentHtml}
-      </div>
-    </div>`;
-  };
-
-  // Build dosageInstruction dynamically and robustly.
-  // Accepts either strings (from your selects) or objects {code,display}.
-  // Returns an array (dosageInstruction must be an array).
-  const buildDosageInstruction = (formValues = {}) => {
-    const dosage = {
-      text: formValues.dosageText || "One tablet at once",
-    };
-
-    // additionalInstruction: accept string or {code,display}
-    if (formValues.additionalInstruction) {
-      const ai = formValues.additionalInstruction;
-      const display = typeof ai === "string" ? ai : ai.display || String(ai);
-      const code = typeof ai === "string" ? "311504000" : ai.code || "311504000";
-      dosage.additionalInstruction = [
-        {
-          coding: [
-            {
-              system: "http://snomed.info/sct",
-              code: code,
-              display: display,
-            },
-          ],
-        },
-      ];
-    }
-
-    // timing: accept full timing object or separate frequency/period fields
-    const timingSrc =
-      formValues.timing ||
-      (formValues.frequency || formValues.period
-        ? {
-          frequency: formValues.frequency || 2,
-          period: formValues.period || 1,
-          periodUnit: formValues.periodUnit || "d",
-        }
-        : null);
-
-    if (timingSrc) {
-      dosage.timing = {
-        repeat: {
-          ...(timingSrc.frequency ? { frequency: Number(timingSrc.frequency) } : {}),
-          ...(timingSrc.period ? { period: Number(timingSrc.period) } : {}),
-          periodUnit: timingSrc.periodUnit || "d",
-        },
-      };
-    }
-
-    // route: accept string or {code,display}
-    if (formValues.route) {
-      const r = formValues.route;
-      const display = typeof r === "string" ? r : r.display || String(r);
-      const code = typeof r === "string" ? "26643006" : r.code || "26643006";
-      dosage.route = {
-        coding: [
-          {
-            system: "http://snomed.info/sct",
-            code,
-            display,
-          },
-        ],
-      };
-    }
-
-    // method: accept string or {code,display}
-    if (formValues.method) {
-      const mm = formValues.method;
-      const display = typeof mm === "string" ? mm : mm.display || String(mm);
-      const code = typeof mm === "string" ? "421521009" : mm.code || "421521009";
-      dosage.method = {
-        coding: [
-          {
-            system: "http://snomed.info/sct",
-            code,
-            display,
-          },
-        ],
-      };
-    }
-
-    return [dosage];
-  };
-
-
-
-  /*
-    Build the Bundle JSON with correct structures:
-    - Dates in full ISO with timezone (dateTime)
-    - medicationCodeableConcept.coding[] (system/code/display)
-    - dosageInstruction: always include text; include extra fields only if provided
-    - Entry order: Composition, Patient, Practitioner, MedicationRequest..., Condition, Binary
-  */
+  /* Build the Bundle JSON from the current form state (see prescriptionBundle.js) */
   const buildBundle = () => {
-    const compId = uuidv4();
-    const patientId = uuidv4();
-    const practitionerId = uuidv4();
-    const conditionId = uuidv4();
-    const medReqIds = medications.map(() => uuidv4());
-    const binaryId = uuidv4();
-
-    const bundle = {
-      resourceType: "Bundle",
-      id: `Prescription-${uuidv4()}`,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentBundle"],
-        security: [
-          {
-            system: "http://terminology.hl7.org/CodeSystem/v3-Confidentiality",
-            code: "V",
-            display: "very restricted",
-          },
-        ],
-      },
-      identifier: {
-        system: "http://hip.in",
-        value: uuidv4(),
-      },
-      type: "document",
-      timestamp: getISOWithOffsetFromDateInput(),
-      entry: [],
-    };
-
-    /* Composition */
-    const compositionResource = {
-      resourceType: "Composition",
-      id: compId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/PrescriptionRecord"],
-      },
-      language: "en-IN",
-      text: {
-        status: "generated",
-        div: buildNarrative("Composition", `<p>status: ${composition.status}</p><p>date: ${composition.date}</p>`),
-      },
-      identifier: {
-        system: "https://ndhm.in/phr",
-        value: uuidv4(),
-      },
-      status: composition.status,
-      type: {
-        coding: [
-          { system: "http://snomed.info/sct", code: "440545006", display: "Prescription record" },
-        ],
-        text: "Prescription record",
-      },
-      subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
-      date: `${composition.date}T00:00:00+05:30`,
-      author: [{ reference: `urn:uuid:${practitionerId}`, display: "Practitioner" }],
-      title: composition.title,
-      section: [
-        {
-          title: "Prescription record",
-          code: {
-            coding: [
-              { system: "http://snomed.info/sct", code: "440545006", display: "Prescription record" },
-            ],
-          },
-          entry: [
-            ...medReqIds.map((id) => ({ reference: `urn:uuid:${id}`, type: "MedicationRequest" })),
-            { reference: `urn:uuid:${binaryId}`, type: "Binary" },
-          ],
-        },
-      ],
-    };
-
-    /* Patient */
-    const patientResource = {
-      resourceType: "Patient",
-      id: patientId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"],
-      },
-      text: {
-        status: "generated",
-        div: buildNarrative("Patient", `<p>${patient.name}, DoB: ${patient.birthDate}</p>`),
-      },
-      identifier: [
-        {
-          type: {
-            coding: [
-              { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MR", display: "Medical record number" },
-            ],
-          },
-          system: "https://healthid.ndhm.gov.in",
-          value: patient.mrn,
-        },
-      ],
-      name: [{ text: patient.name }],
-      telecom: [{ system: "phone", value: patient.phone, use: "home" }],
-      gender: patient.gender,
-      birthDate: patient.birthDate,
-    };
-
-    /* Practitioner */
-    const practitionerResource = {
-      resourceType: "Practitioner",
-      id: practitionerId,
-      meta: {
-        versionId: "1",
-        lastUpdated: getISOWithOffsetFromDateInput(),
-        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"],
-      },
-      text: {
-        status: "generated",
-        div: buildNarrative("Practitioner", `<p>name: ${practitioner.name}</p>`),
-      },
-      identifier: [
-        {
-          type: {
-            coding: [
-              { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" },
-            ],
-          },
-          system: "https://doctor.ndhm.gov.in",
-          value: practitioner.license,
-        },
-      ],
-      name: [{ text: practitioner.name }],
-    };
-
-    /* MedicationRequests */
-    const medicationResources = medications.map((m, idx) => ({
-      resourceType: "MedicationRequest",
-      id: medReqIds[idx],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationRequest"] },
-      text: {
-        status: "generated",
-        div: buildNarrative("MedicationRequest", `<p>medication: ${m.medicationText}</p>`),
-      },
-      status: "active",
-      intent: "order",
-      medicationCodeableConcept:
-        m.medicationCode && m.medicationCode.trim() !== ""
-          ? { coding: [{ system: "http://snomed.info/sct", code: m.medicationCode.trim(), display: m.medicationText }] }
-          : { text: m.medicationText },
-      subject: { reference: `urn:uuid:${patientId}`, display: patient.name },
-      authoredOn: formatDateOnly(composition.date),
-      requester: { reference: `urn:uuid:${practitionerId}`, display: practitioner.name },
-      reasonCode: [{ coding: [{ system: "http://snomed.info/sct", code: condition.code, display: condition.text }] }],
-      reasonReference: [{ reference: `urn:uuid:${conditionId}`, display: "Condition" }],
-      dosageInstruction: buildDosageInstruction({
-        dosageText: m.dosageText,                 // from your form state
-        additionalInstruction: m.additionalInstruction, // from form if available
-        timing: m.timing,                         // from form if available
-        route: m.route,                           // from form if available
-        method: m.method                          // from form if available
-      }),
-    }));
-
-    /* Condition */
-    const conditionResource = {
-      resourceType: "Condition",
-      id: conditionId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Condition"] },
-      text: {
-        status: "generated",
-        div: buildNarrative("Condition", `<p>${condition.text}</p>`),
-      },
-      clinicalStatus: {
-        coding: [
-          { system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: condition.clinicalStatus, display: "Active" },
-        ],
-      },
-      code: {
-        coding: [{ system: "http://snomed.info/sct", code: condition.code, display: condition.text }],
-        text: condition.text,
-      },
-      subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
-    };
-
-    // simple small placeholder base64s (short sample, not a full file)
-    const placeholderPDF = "JVBERi0xLjQKJeLjz9MK"; // tiny stub, fine for structure/testing
-    const placeholderJPG = "/9j/4AAQSkZJRgABAQAAAQABAAD"; // tiny stub, fine for structure/testing
-    // small placeholder signature (base64 jpeg stub). Replace with real signature if available.
-    const placeholderSignature = "/9j/4AAQSkZJRgABAQEAYABgAAD/2wBDAAIBAQIBAaNLDw+GnFRX...";
-
-    /* Binary */
-    const binaryResource = {
-      resourceType: "Binary",
-      id: binaryId,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
-      // use uploaded mime if present, otherwise default to application/pdf
-      contentType: attachmentMime || "application/pdf",
-      // use uploaded base64 if present; otherwise pick placeholder that matches mime if we know it
-      data:
-        attachmentBase64 ||
-        (attachmentMime && attachmentMime.startsWith("image/") ? placeholderJPG : placeholderPDF),
-    };
-
-    /* Add resources in example's order */
-    bundle.entry.push({ fullUrl: `urn:uuid:${compId}`, resource: compositionResource });
-    bundle.entry.push({ fullUrl: `urn:uuid:${patientId}`, resource: patientResource });
-    bundle.entry.push({ fullUrl: `urn:uuid:${practitionerId}`, resource: practitionerResource });
-    medicationResources.forEach((mr) => bundle.entry.push({ fullUrl: `urn:uuid:${mr.id}`, resource: mr }));
-    bundle.entry.push({ fullUrl: `urn:uuid:${conditionId}`, resource: conditionResource });
-    bundle.entry.push({ fullUrl: `urn:uuid:${binaryId}`, resource: binaryResource });
-
-    // Bundle-level signature (auto-generated; can be overridden later if needed)
-    bundle.signature = {
-      type: [
-        {
-          system: "urn:iso-astm:E1762-95:2013",
-          code: "1.2.840.10065.1.12.1.1",
-          display: "Author's Signature"
-        }
-      ],
-      when: getISOWithOffsetFromDateInput(), // Timestamp with offset
-      who: {
-        reference: `urn:uuid:${practitionerId}`, // Link to Practitioner entry
-        display: practitioner.name || "Practitioner"
-      },
-      sigFormat: "image/jpeg",
-      data: placeholderSignature // system-generated placeholder for now
-    };
-
+    // this form has a single diagnosis, and every medication is for it
+    const bundle = buildPrescriptionBundle({
+      practitioner,
+      patient,
+      conditions: [{ ...condition, id: "condition" }],
+      composition,
+      medications: medications.map((m) => ({ ...m, reasonConditionIds: ["condition"] })),
+      attachment: attachmentBase64 && attachmentMime ? { data: attachmentBase64, contentType: attachmentMime } : null,
+    });
     setGenerated(bundle);
     return bundle;
   };
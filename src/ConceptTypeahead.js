@@ -0,0 +1,84 @@
+// src/ConceptTypeahead.js
+import React, { useState, useMemo, useId } from "react";
+
+/*
+  Text input with suggestions from a local terminology index ({ search }).
+  Typing calls onTextChange(text); picking a suggestion calls onSelect(concept)
+  so the caller can fill both the text and the code. `describe(concept)` is
+  the detail line under each suggestion.
+*/
+export default function ConceptTypeahead({ value, index, onTextChange, onSelect, describe, className = "form-control", onBlur, placeholder }) {
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const listId = useId();
+  const results = useMemo(() => (open ? index.search(value, 8) : []), [open, index, value]);
+
+  const pick = (concept) => {
+    onSelect(concept);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || results.length === 0) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlight((h) => (h - 1 + results.length) % results.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(results[Math.min(highlight, results.length - 1)]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="position-relative">
+      <input
+        type="text"
+        className={className}
+        value={value}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-controls={listId}
+        aria-expanded={open && results.length > 0}
+        aria-autocomplete="list"
+        onChange={(e) => {
+          onTextChange(e.target.value);
+          setHighlight(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={(e) => {
+          setOpen(false);
+          if (onBlur) onBlur(e);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      {open && results.length > 0 && (
+        <ul className="list-group position-absolute w-100 shadow-sm" style={{ zIndex: 10, maxHeight: 280, overflowY: "auto" }} role="listbox" id={listId}>
+          {results.map((c, i) => (
+            <li
+              key={c.code}
+              role="option"
+              aria-selected={i === highlight}
+              className={`list-group-item list-group-item-action py-1${i === highlight ? " active" : ""}`}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(c);
+              }}
+              onMouseEnter={() => setHighlight(i)}
+            >
+              <div>{c.display}</div>
+              {describe && <small className={i === highlight ? "" : "text-muted"}>{describe(c)}</small>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
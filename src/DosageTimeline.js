@@ -0,0 +1,56 @@
+// src/DosageTimeline.js
+import React from "react";
+import { scheduleSteps } from "./dosageSteps";
+import { durationInDays } from "./dispense";
+import { describeDose, describeFrequency } from "./dosageText";
+
+const COLORS = ["primary", "info", "success", "warning", "secondary"];
+
+/*
+  Horizontal preview of a tapering schedule: one segment per step, sized by
+  its duration, labelled with dose and schedule ("40 mg OD") and day range.
+  A step without a duration is drawn as an open-ended segment.
+*/
+export default function DosageTimeline({ med }) {
+  const steps = scheduleSteps(med);
+  let day = 1;
+  const segments = steps.map((step, i) => {
+    const days = durationInDays(step.durationValue, step.durationUnit);
+    const segment = {
+      key: i === 0 ? "first" : step.id || i,
+      days,
+      label: [describeDose(step.doseAmount, step.doseUnit), step.frequencyPreset || describeFrequency(step.frequency, step.period, step.periodUnit)]
+        .filter(Boolean)
+        .join(" "),
+      range: days ? `Day ${day}–${day + days - 1}` : `From day ${day}`,
+    };
+    day += days;
+    return segment;
+  });
+  const known = segments.filter((s) => s.days);
+  const openWidth = known.length ? known.reduce((a, s) => a + s.days, 0) / known.length : 1;
+
+  return (
+    <div className="mt-2" aria-label="Dosage schedule">
+      <div className="d-flex rounded overflow-hidden border" style={{ minHeight: 32 }}>
+        {segments.map((s, i) => (
+          <div
+            key={s.key}
+            className={`bg-${COLORS[i % COLORS.length]} bg-opacity-75 px-2 py-1 small text-truncate border-end`}
+            style={{ flexGrow: s.days || openWidth, flexBasis: 0, minWidth: 60 }}
+            title={`${s.range}: ${s.label}`}
+          >
+            {s.label || "—"}
+          </div>
+        ))}
+      </div>
+      <div className="d-flex">
+        {segments.map((s) => (
+          <small key={s.key} className="text-muted px-2 text-truncate" style={{ flexGrow: s.days || openWidth, flexBasis: 0, minWidth: 60 }}>
+            {s.range}
+          </small>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+// src/MedicationTypeahead.js
+import React from "react";
+import ConceptTypeahead from "./ConceptTypeahead";
+
+const describeMedication = (c) => [`SNOMED ${c.code}`, c.strength, c.form].filter(Boolean).join(" · ");
+
+/*
+  Drug Name input with suggestions from the local medication index.
+  Typing calls onTextChange(text); picking a suggestion calls onSelect(concept)
+  so the caller can fill both the name and the SNOMED code.
+*/
+export default function MedicationTypeahead(props) {
+  return <ConceptTypeahead {...props} describe={describeMedication} />;
+}
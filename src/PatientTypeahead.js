@@ -0,0 +1,142 @@
+// src/PatientTypeahead.js
+import React, { useState, useEffect, useRef, useId } from "react";
+
+const ROW_HEIGHT = 52;
+const VISIBLE_ROWS = 6;
+const OVERSCAN = 4;
+const DEBOUNCE_MS = 200;
+
+const describePatient = (p) =>
+  [p.mobile, p.abha_ref && `ABHA ${p.abha_ref}`, (p.additional_attributes?.abha_addresses || [])[0]].filter(Boolean).join(" · ");
+
+/*
+  Patient search box over a patientIndex ({ search, size }). The query is
+  debounced; results render in a virtualized list (only the rows in view are
+  in the DOM) so thousands of matches stay responsive. Arrow keys, Page Up /
+  Down, Home / End move the highlight, Enter picks it and Escape closes the
+  list. Picking calls onSelect(record).
+*/
+export default function PatientTypeahead({ index, onSelect, placeholder = "Name, mobile, ABHA number or ABHA address" }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const listRef = useRef(null);
+  const listId = useId();
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setResults(index.search(query));
+      setHighlight(0);
+      setScrollTop(0);
+      if (listRef.current) listRef.current.scrollTop = 0;
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [index, query]);
+
+  // keep the highlighted row inside the scrolled window
+  const moveTo = (i) => {
+    const next = Math.max(0, Math.min(results.length - 1, i));
+    setHighlight(next);
+    const list = listRef.current;
+    if (!list) return;
+    if (next * ROW_HEIGHT < list.scrollTop) list.scrollTop = next * ROW_HEIGHT;
+    else if ((next + 1) * ROW_HEIGHT > list.scrollTop + VISIBLE_ROWS * ROW_HEIGHT)
+      list.scrollTop = (next + 1) * ROW_HEIGHT - VISIBLE_ROWS * ROW_HEIGHT;
+  };
+
+  const pick = (record) => {
+    onSelect(record);
+    setQuery("");
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || results.length === 0) return;
+    const keys = {
+      ArrowDown: highlight + 1,
+      ArrowUp: highlight - 1,
+      PageDown: highlight + VISIBLE_ROWS,
+      PageUp: highlight - VISIBLE_ROWS,
+      Home: 0,
+      End: results.length - 1,
+    };
+    if (e.key in keys) {
+      e.preventDefault();
+      moveTo(keys[e.key]);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(results[highlight]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(results.length, Math.ceil(scrollTop / ROW_HEIGHT) + VISIBLE_ROWS + OVERSCAN);
+  const showList = open && query.trim() !== "";
+
+  return (
+    <div className="position-relative">
+      <input
+        type="search"
+        className="form-control"
+        value={query}
+        placeholder={index.size ? placeholder : "Patient list not loaded"}
+        autoComplete="off"
+        role="combobox"
+        aria-controls={listId}
+        aria-expanded={showList && results.length > 0}
+        aria-autocomplete="list"
+        aria-activedescendant={showList && results.length ? `${listId}-${highlight}` : undefined}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {showList && (
+        <div
+          ref={listRef}
+          className="list-group position-absolute w-100 shadow-sm"
+          style={{ zIndex: 10, maxHeight: VISIBLE_ROWS * ROW_HEIGHT, overflowY: "auto" }}
+          role="listbox"
+          id={listId}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          {results.length === 0 ? (
+            <div className="list-group-item text-muted small">No matching patients</div>
+          ) : (
+            <div style={{ height: results.length * ROW_HEIGHT, position: "relative" }}>
+              {results.slice(first, last).map((p, k) => {
+                const i = first + k;
+                return (
+                  <div
+                    key={p.user_id ?? i}
+                    id={`${listId}-${i}`}
+                    role="option"
+                    aria-selected={i === highlight}
+                    className={`list-group-item list-group-item-action py-1 text-truncate${i === highlight ? " active" : ""}`}
+                    style={{ position: "absolute", top: i * ROW_HEIGHT, height: ROW_HEIGHT, left: 0, right: 0 }}
+                    // mousedown fires before the input's blur closes the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      pick(p);
+                    }}
+                    onMouseEnter={() => setHighlight(i)}
+                  >
+                    <div>{p.name}</div>
+                    <small className={i === highlight ? "" : "text-muted"}>{describePatient(p)}</small>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
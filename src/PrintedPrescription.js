@@ -0,0 +1,111 @@
+// src/PrintedPrescription.js
+import React from "react";
+
+const DetailRows = ({ rows }) => (
+  <table className="table table-sm table-borderless small mb-0">
+    <tbody>
+      {rows.map(([label, value]) => (
+        <tr key={label}>
+          <th className="text-muted fw-normal ps-0" style={{ width: "8rem" }}>{label}</th>
+          <td>{value}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/*
+  Print layout of a printablePrescription() view (see prescriptionPrint.js).
+  Hidden on screen; the print stylesheet in index.css shows only this when
+  the page is printed. `signature` is the handwritten signature data URL.
+*/
+export default function PrintedPrescription({ view, signature }) {
+  const { facility } = view;
+  return (
+    <div className="print-only">
+      <header className="d-flex align-items-center gap-3 border-bottom border-2 border-dark pb-2 mb-3">
+        {facility?.logo && <img src={facility.logo} alt="" style={{ maxHeight: 72, maxWidth: 72 }} />}
+        <div>
+          <h1 className="h4 mb-0">{facility?.name}</h1>
+          <div className="small text-muted">{facility?.address}</div>
+          <div className="small text-muted">
+            {facility?.phone && <>Phone {facility.phone}</>} {facility?.hfrId && <>· HFR ID {facility.hfrId}</>}
+          </div>
+        </div>
+      </header>
+
+      <div className="d-flex justify-content-between align-items-baseline mb-2">
+        <h2 className="h5 mb-0">{view.title}</h2>
+        {view.date && <span>Date: {view.date}</span>}
+      </div>
+
+      <div className="row mb-2">
+        <div className="col-6">
+          <div className="small fw-bold text-muted">PATIENT</div>
+          <div className="fw-bold">{view.patient.name}</div>
+          <DetailRows rows={view.patient.rows} />
+        </div>
+        <div className="col-6">
+          <div className="small fw-bold text-muted">PRESCRIBER</div>
+          <div className="fw-bold">{view.practitioner.name}</div>
+          <DetailRows rows={view.practitioner.rows} />
+        </div>
+      </div>
+      {view.admission.length > 0 && (
+        <p className="small mb-2">{view.admission.map(([label, value]) => `${label}: ${value}`).join("    ")}</p>
+      )}
+
+      {view.diagnoses.length > 0 && (
+        <>
+          <h3 className="h6 border-bottom pb-1 mt-3">Diagnoses</h3>
+          <ol className="small">
+            {view.diagnoses.map((d, i) => (
+              <li key={i}>
+                {d.text} {d.codes && <span className="text-muted">({d.codes})</span>}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      <h3 className="h6 border-bottom pb-1 mt-3">Medications</h3>
+      <table className="table table-sm small">
+        <thead className="table-light">
+          <tr>
+            <th>#</th>
+            <th>Medicine</th>
+            <th>Directions</th>
+            <th>Duration</th>
+            <th>Quantity</th>
+          </tr>
+        </thead>
+        <tbody>
+          {view.medications.map((m, i) => (
+            <tr key={i}>
+              <td>{i + 1}</td>
+              <td className="fw-bold">{m.name}</td>
+              <td>{m.sig}</td>
+              <td>{m.duration}</td>
+              <td>{m.quantity}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="d-flex justify-content-end mt-5">
+        <div style={{ width: 240 }}>
+          <div style={{ height: 64 }}>{signature && <img src={signature} alt="Signature" style={{ maxHeight: 60, maxWidth: 230 }} />}</div>
+          <div className="border-top border-dark pt-1 small">
+            <div className="fw-bold">{view.practitioner.name}</div>
+            {view.practitioner.rows
+              .filter(([label]) => label !== "Council")
+              .map(([label, value]) => (
+                <div key={label}>{label === "HPR ID" ? `HPR ID ${value}` : value}</div>
+              ))}
+            {view.date && <div className="text-muted">Signed on {view.date}</div>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
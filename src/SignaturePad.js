@@ -0,0 +1,113 @@
+// src/SignaturePad.js
+import React, { useRef, useState, useEffect } from "react";
+import { SIGNATURE_IMAGE_TYPES } from "./signatureImage";
+
+const WIDTH = 400;
+const HEIGHT = 140;
+
+/* 2D context with the pen settings */
+function pen(canvas) {
+  const ctx = canvas.getContext("2d");
+  ctx.lineWidth = 2;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = "#000";
+  return ctx;
+}
+
+/* White background, so JPEG exports are not black */
+function blank(canvas) {
+  const ctx = pen(canvas);
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  return ctx;
+}
+
+/*
+  Canvas to draw a handwritten signature with mouse, pen or finger. `value`
+  is the saved signature (a data URL) and is shown until the pad is cleared.
+  Save calls onSave(dataUrl) in the chosen format (PNG or JPEG, on white);
+  Remove calls onSave("").
+*/
+export default function SignaturePad({ value, onSave, disabled = false }) {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const [dirty, setDirty] = useState(false); // strokes not saved yet
+  const [format, setFormat] = useState(SIGNATURE_IMAGE_TYPES[0]);
+
+  const clear = () => {
+    blank(canvasRef.current);
+    setDirty(false);
+  };
+
+  // show the saved signature whenever it changes (another practitioner, a saved drawing)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas?.getContext?.("2d")) return;
+    const ctx = blank(canvas);
+    setDirty(false);
+    if (!value) return;
+    const img = new Image();
+    img.onload = () => ctx.drawImage(img, 0, 0, WIDTH, HEIGHT);
+    img.src = value;
+  }, [value]);
+
+  // pointer position in canvas pixels (the canvas may be scaled by CSS)
+  const point = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [((e.clientX - rect.left) * WIDTH) / rect.width, ((e.clientY - rect.top) * HEIGHT) / rect.height];
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    const ctx = pen(e.currentTarget);
+    ctx.beginPath();
+    ctx.moveTo(...point(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawing.current) return;
+    const ctx = pen(e.currentTarget);
+    ctx.lineTo(...point(e));
+    ctx.stroke();
+    setDirty(true);
+  };
+
+  const handlePointerUp = () => {
+    drawing.current = false;
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        className="border rounded bg-white d-block"
+        style={{ width: "100%", maxWidth: WIDTH, touchAction: "none", cursor: disabled ? "not-allowed" : "crosshair" }}
+        aria-label="Signature pad"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      />
+      <div className="d-flex flex-wrap align-items-center gap-2 mt-1">
+        <select className="form-select form-select-sm w-auto" value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Image format">
+          {SIGNATURE_IMAGE_TYPES.map((t) => (
+            <option key={t} value={t}>{t === "image/png" ? "PNG" : "JPEG"}</option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-sm btn-outline-primary" disabled={disabled || !dirty} onClick={() => onSave(canvasRef.current.toDataURL(format, 0.9))}>
+          Save signature
+        </button>
+        <button type="button" className="btn btn-sm btn-outline-secondary" disabled={disabled} onClick={clear}>Clear</button>
+        {value && (
+          <button type="button" className="btn btn-sm btn-outline-danger" disabled={disabled} onClick={() => onSave("")}>Remove saved</button>
+        )}
+        {dirty && <span className="small text-muted">Not saved</span>}
+      </div>
+    </div>
+  );
+}
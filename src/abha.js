@@ -0,0 +1,46 @@
+// src/abha.js
+/*
+  Ayushman Bharat Health Account (ABHA) identifiers.
+
+  The ABHA number is the patient's 14-digit national health ID, written
+  2-4-4-4 ("91-7104-3321-8355"). An ABHA address is the patient's
+  self-chosen PHR handle, "name@abdm" ("name@sbx" in the sandbox). A patient
+  may hold several addresses; the prescription carries the one the
+  prescriber picks.
+
+  Patient.identifier carries each with its own type and system, next to the
+  hospital's medical record number (type MR, system from the facility).
+*/
+
+export const ABHA_NUMBER_SYSTEM = "https://healthid.abdm.gov.in";
+// written by older builds (and the NRCES examples) for the ABHA number
+export const LEGACY_ABHA_NUMBER_SYSTEM = "https://healthid.ndhm.gov.in";
+export const ABHA_ADDRESS_SYSTEM = "https://phr.abdm.gov.in";
+
+// 14 digits, optionally hyphenated as 2-4-4-4
+export const ABHA_NUMBER_PATTERN = /^\d{2}-?\d{4}-?\d{4}-?\d{4}$/;
+
+// letters, digits, "." and "_" before the domain
+export const ABHA_ADDRESS_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._]{2,31}@[a-z]+$/;
+
+const IDENTIFIER_TYPE_SYSTEM = "https://nrces.in/ndhm/fhir/r4/CodeSystem/ndhm-identifier-type-code";
+const V2_0203 = "http://terminology.hl7.org/CodeSystem/v2-0203";
+
+// Patient.identifier.type for each kind of patient identifier
+export const PATIENT_IDENTIFIER_TYPES = {
+  mrn: { system: V2_0203, code: "MR", display: "Medical record number" },
+  abhaNumber: { system: IDENTIFIER_TYPE_SYSTEM, code: "ABHA", display: "ABHA Number" },
+  abhaAddress: { system: IDENTIFIER_TYPE_SYSTEM, code: "ABHAAddress", display: "ABHA Address" },
+};
+
+/*
+  "91710433218355" / "91 7104 3321 8355" -> "91-7104-3321-8355". Anything
+  that is not 14 digits is returned trimmed but otherwise as typed, so the
+  validator can point at it.
+*/
+export function formatAbhaNumber(value) {
+  const text = String(value || "").trim();
+  const digits = text.replace(/[\s-]/g, "");
+  if (!/^\d{14}$/.test(digits)) return text;
+  return `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6, 10)}-${digits.slice(10)}`;
+}
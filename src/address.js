@@ -0,0 +1,100 @@
+// src/address.js
+/*
+  Indian postal addresses as the form keeps them:
+    { addressLine, district, state, postalCode }
+  addressLine is the comma-separated locality part ("Flat 12, MG Road").
+
+  parseIndianAddress() splits the one-line strings our registry stores
+  ("Ramdhanpur, Gaya, Gaya, Gaya, Bihar-823002") into those fields.
+*/
+
+// States and union territories, for recognising the state part of an address
+export const INDIAN_STATES = [
+  "Andaman and Nicobar Islands",
+  "Andhra Pradesh",
+  "Arunachal Pradesh",
+  "Assam",
+  "Bihar",
+  "Chandigarh",
+  "Chhattisgarh",
+  "Dadra and Nagar Haveli and Daman and Diu",
+  "Delhi",
+  "Goa",
+  "Gujarat",
+  "Haryana",
+  "Himachal Pradesh",
+  "Jammu and Kashmir",
+  "Jharkhand",
+  "Karnataka",
+  "Kerala",
+  "Ladakh",
+  "Lakshadweep",
+  "Madhya Pradesh",
+  "Maharashtra",
+  "Manipur",
+  "Meghalaya",
+  "Mizoram",
+  "Nagaland",
+  "Odisha",
+  "Puducherry",
+  "Punjab",
+  "Rajasthan",
+  "Sikkim",
+  "Tamil Nadu",
+  "Telangana",
+  "Tripura",
+  "Uttar Pradesh",
+  "Uttarakhand",
+  "West Bengal",
+];
+
+export const PIN_CODE_PATTERN = /^[1-9]\d{5}$/;
+
+const comparable = (part) => part.toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+/*
+  "Ramdhanpur, Gaya, Bihar-823002" ->
+    { addressLine: "Ramdhanpur", district: "Gaya", state: "Bihar", postalCode: "823002" }
+  The PIN code is taken from the end, the state is the last part when it names
+  a state or UT, the district is the part before it, and the rest is the
+  address line with repeats of the district or of earlier parts removed
+  (registries often write "Gaya, Gaya, Gaya"). Without a recognisable state
+  everything but the PIN code stays in the address line.
+*/
+export function parseIndianAddress(text) {
+  let rest = String(text || "").trim();
+  let postalCode = "";
+  const pin = /[\s,-]*(\d{6})\s*$/.exec(rest);
+  if (pin) {
+    postalCode = pin[1];
+    rest = rest.slice(0, pin.index);
+  }
+  const parts = rest
+    .split(",")
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  let state = "";
+  let district = "";
+  const known = parts.length && INDIAN_STATES.find((s) => comparable(s) === comparable(parts[parts.length - 1]));
+  if (known) {
+    state = known;
+    parts.pop();
+    if (parts.length) district = parts.pop();
+  }
+
+  const seen = new Set(district ? [comparable(district)] : []);
+  const line = parts.filter((p) => {
+    const key = comparable(p);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { addressLine: line.join(", "), district, state, postalCode };
+}
+
+/* One-line address from the form fields ("Ramdhanpur, Gaya, Bihar 823002") */
+export function formatIndianAddress({ addressLine, district, state, postalCode } = {}) {
+  return [addressLine, district, [state, postalCode].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+}
@@ -0,0 +1,658 @@
+// src/bundleImport.js
+/*
+  Reverse of prescriptionBundle.js: read a Prescription DocumentBundle back
+  into the plain form model so an existing prescription can be corrected.
+
+  parsePrescriptionBundle(bundle) -> { form, unmapped }
+    form:     { facility, practitioner, patient, conditions, encounter, composition, medications, attachment,
+                signatureImage }
+              (facility is null when the bundle has no Organization; signatureImage
+              is the handwritten signature, null when the bundle is digitally signed)
+    unmapped: [{ location, value, reason }] — everything in the bundle that the
+              form cannot hold, so nothing is dropped silently.
+*/
+import { uuidv4 } from "./prescriptionBundle";
+import { SIGNATURE_IMAGE_TYPES } from "./signatureImage";
+import { JOSE_SIG_FORMAT } from "./signature";
+import {
+  ADDITIONAL_INSTRUCTION_OPTIONS,
+  ROUTE_OPTIONS,
+  METHOD_OPTIONS,
+  PERIOD_UNIT_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+  PRN_REASON_OPTIONS,
+  SNOMED,
+  findOption,
+} from "./dosageOptions";
+import { ICD10 } from "./icd10";
+import { WHEN_LABELS, frequencyShorthand } from "./frequencyPresets";
+import {
+  CLINICAL_STATUS_OPTIONS,
+  VERIFICATION_STATUS_OPTIONS,
+  CATEGORY_OPTIONS,
+  SEVERITY_OPTIONS,
+  AGE_UNIT_OPTIONS,
+  optionByCode,
+} from "./conditionOptions";
+import { HFR_SYSTEM } from "./facility";
+import { ABHA_NUMBER_SYSTEM, LEGACY_ABHA_NUMBER_SYSTEM, ABHA_ADDRESS_SYSTEM, PATIENT_IDENTIFIER_TYPES } from "./abha";
+import { practitionerFromResource } from "./practitionerDirectory";
+import { ENCOUNTER_CLASS_OPTIONS, DISCHARGE_DISPOSITION_OPTIONS, PARTICIPANT_ROLES } from "./encounterOptions";
+import { DURATION_UNIT_OPTIONS, calculateDispenseQuantity, scheduleDays } from "./dispense";
+
+// Keys every resource may carry that the builder regenerates itself
+const COMMON_KEYS = ["resourceType", "id", "meta", "text", "subject"];
+
+const firstCoding = (cc) => (cc && Array.isArray(cc.coding) && cc.coding[0]) || null;
+
+const humanName = (name) =>
+  (name && (name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(" "))) || "";
+
+/* YYYY-MM-DD part of a FHIR date/dateTime */
+const datePart = (value) => (typeof value === "string" ? value.slice(0, 10) : "");
+
+/* FHIR dateTime -> local "YYYY-MM-DDTHH:mm" for a datetime-local input; a bare date reads as midnight */
+function localDateTime(value) {
+  if (typeof value !== "string" || !value) return "";
+  if (!value.includes("T")) return `${value.slice(0, 10)}T00:00`;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+const short = (value) => {
+  const s = typeof value === "string" ? value : JSON.stringify(value);
+  return s && s.length > 80 ? `${s.slice(0, 77)}...` : s;
+};
+
+export function parsePrescriptionBundle(bundle) {
+  const unmapped = [];
+  const report = (location, value, reason) => unmapped.push({ location, value: short(value), reason });
+
+  if (!bundle || bundle.resourceType !== "Bundle" || !Array.isArray(bundle.entry)) {
+    throw new Error("Not a FHIR Bundle with entries");
+  }
+  if (bundle.type !== "document") report("Bundle.type", bundle.type, "Expected a document Bundle");
+
+  /* Report keys of `resource` that are neither handled nor regenerated */
+  const reportExtraKeys = (resource, location, handled) =>
+    Object.keys(resource)
+      .filter((k) => !COMMON_KEYS.includes(k) && !handled.includes(k))
+      .forEach((k) => report(`${location}.${k}`, resource[k], "No form field"));
+
+  /*
+    Map a coded value onto one of the dropdown options, or report it. The
+    display wins over the code: older builds wrote one fixed code for every
+    choice, so the display is what the prescriber actually picked.
+  */
+  const pickOption = (cc, options, location) => {
+    const coding = firstCoding(cc);
+    const display = coding?.display || cc?.text || "";
+    const byDisplay = findOption(options, display);
+    const byCode = findOption(options, coding?.code);
+    const option = byDisplay || byCode;
+    if (!option) report(location, display || coding?.code, "Not one of the dropdown options");
+    else if (byDisplay && byCode && byDisplay !== byCode)
+      report(`${location}.coding[0].code`, coding.code, `Code does not match "${display}"; corrected to ${byDisplay.code}`);
+    return option ? option.code : "";
+  };
+
+  const form = {
+    facility: null,
+    practitioner: { name: "", license: "", qualificationCode: "", qualificationDisplay: "", council: "" },
+    patient: {
+      name: "",
+      namePrefix: "",
+      mrn: "",
+      abhaNumber: "",
+      birthDate: "",
+      gender: "",
+      phone: "",
+      email: "",
+      addressLine: "",
+      district: "",
+      state: "",
+      postalCode: "",
+      abhaAddresses: [],
+      abhaAddress: "",
+    },
+    conditions: [],
+    encounter: {
+      classCode: "IMP",
+      admittedAt: "",
+      dischargedAt: "",
+      dischargeDisposition: "",
+      admitterName: "",
+      admitterLicense: "",
+      dischargerName: "",
+      dischargerLicense: "",
+    },
+    composition: { title: "", status: "final", date: "" },
+    medications: [],
+    attachment: null,
+    signatureImage: null,
+  };
+  const seen = {};
+  const conditionIdByUrl = {}; // fullUrl / Condition/id -> form condition id
+  const medicationReasons = []; // [{ med, refs, loc }], resolved once every Condition is read
+  const practitionerByUrl = {}; // fullUrl / Practitioner/id -> { practitioner, loc, used }
+  const participants = []; // [{ field, ref, loc }] of the Encounter, resolved once every Practitioner is read
+
+  // a JWS is recomputed when the corrected bundle is signed again
+  const signature = bundle.signature || {};
+  if (signature.data && SIGNATURE_IMAGE_TYPES.includes(signature.sigFormat)) {
+    form.signatureImage = { contentType: signature.sigFormat, data: signature.data };
+  } else if (signature.data && signature.sigFormat !== JOSE_SIG_FORMAT) {
+    report("Bundle.signature.data", signature.sigFormat, "Only PNG or JPEG signature images are supported");
+  }
+
+  bundle.entry.forEach((entry, i) => {
+    const r = entry.resource;
+    const loc = `Bundle.entry[${i}].resource`;
+    if (!r) return;
+    const type = r.resourceType;
+    seen[type] = (seen[type] || 0) + 1;
+
+    // The form holds one of each of these; extra ones cannot be edited
+    if (["Composition", "Patient", "Encounter", "Organization", "Binary"].includes(type) && seen[type] > 1) {
+      report(loc, `${type}/${r.id}`, `Only one ${type} is supported`);
+      return;
+    }
+
+    switch (type) {
+      case "Composition":
+        form.composition = {
+          title: r.title || "",
+          status: r.status || "final",
+          date: datePart(r.date),
+        };
+        // type, author, section and identifier are regenerated by the builder
+        reportExtraKeys(r, loc, ["title", "status", "date", "language", "identifier", "type", "author", "section", "encounter", "custodian"]);
+        break;
+
+      case "Patient":
+        form.patient = parsePatient(r, loc, report);
+        reportExtraKeys(r, loc, ["identifier", "name", "telecom", "gender", "birthDate", "address"]);
+        break;
+
+      // The first Practitioner is the prescriber; later ones are kept for the Encounter's participants
+      case "Practitioner": {
+        (r.identifier || []).slice(1).forEach((id, k) => report(`${loc}.identifier[${k + 1}]`, id.value, "Only one identifier is supported"));
+        (r.qualification || []).slice(1).forEach((q, k) => report(`${loc}.qualification[${k + 1}]`, q.code?.text, "Only one qualification is supported"));
+        const found = {
+          practitioner: practitionerFromResource(r),
+          loc,
+          used: seen[type] === 1,
+        };
+        if (found.used) form.practitioner = found.practitioner;
+        [entry.fullUrl, `Practitioner/${r.id}`].filter(Boolean).forEach((url) => (practitionerByUrl[url] = found));
+        reportExtraKeys(r, loc, ["identifier", "name", "qualification"]);
+        break;
+      }
+
+      case "Organization":
+        form.facility = parseOrganization(r, loc, report);
+        reportExtraKeys(r, loc, ["identifier", "name", "telecom", "address"]);
+        break;
+
+      // Regenerated from the practitioners and the facility
+      case "PractitionerRole":
+        reportExtraKeys(r, loc, ["practitioner", "organization"]);
+        break;
+
+      case "Encounter":
+        form.encounter = parseEncounter(r, loc, report, participants);
+        reportExtraKeys(r, loc, ["status", "class", "participant", "period", "hospitalization"]);
+        break;
+
+      case "Condition": {
+        const condition = parseCondition(r, loc, report);
+        form.conditions.push(condition);
+        [entry.fullUrl, `Condition/${r.id}`].filter(Boolean).forEach((url) => (conditionIdByUrl[url] = condition.id));
+        reportExtraKeys(r, loc, [
+          "clinicalStatus",
+          "verificationStatus",
+          "category",
+          "severity",
+          "code",
+          "onsetDateTime",
+          "onsetAge",
+          "note",
+        ]);
+        break;
+      }
+
+      case "MedicationRequest": {
+        const med = parseMedicationRequest(r, loc, { report, pickOption, reportExtraKeys });
+        medicationReasons.push({ med, refs: r.reasonReference || [], loc });
+        form.medications.push(med);
+        break;
+      }
+
+      case "Binary":
+        form.attachment = { data: r.data || "", contentType: r.contentType || "" };
+        reportExtraKeys(r, loc, ["contentType", "data"]);
+        break;
+
+      default:
+        report(loc, `${type}/${r.id}`, `${type} resources are not supported by the form`);
+    }
+  });
+
+  // reasonReference -> the row's chosen conditions (reasonCode is rebuilt from them)
+  medicationReasons.forEach(({ med, refs, loc }) => {
+    med.reasonConditionIds = [];
+    refs.forEach((ref, k) => {
+      const id = conditionIdByUrl[ref.reference];
+      if (id) med.reasonConditionIds.push(id);
+      else report(`${loc}.reasonReference[${k}]`, ref.reference, "Does not point at a Condition in this bundle");
+    });
+  });
+
+  // Encounter participants -> admitting / discharging practitioner fields
+  participants.forEach(({ field, ref, loc }) => {
+    const found = practitionerByUrl[ref.reference];
+    if (!found) {
+      report(`${loc}.individual.reference`, ref.reference, "Does not point at a Practitioner in this bundle");
+      return;
+    }
+    found.used = true;
+    form.encounter[`${field}Name`] = found.practitioner.name;
+    form.encounter[`${field}License`] = found.practitioner.license;
+  });
+  [...new Set(Object.values(practitionerByUrl))]
+    .filter((p) => !p.used)
+    .forEach((p) => report(p.loc, p.practitioner.name, "Only the prescriber and the Encounter's participants are supported"));
+
+  return { form, unmapped };
+}
+
+/* Patient -> the form's patient (see the Patient in buildPrescriptionBundle) */
+function parsePatient(r, loc, report) {
+  // by system first: older builds wrote the ABHA number with type MR
+  const identifiers = r.identifier || [];
+  const typed = (kind) => (id) => (id.type?.coding || []).some((c) => c.code === PATIENT_IDENTIFIER_TYPES[kind].code);
+  const abhaNumber =
+    identifiers.find((id) => [ABHA_NUMBER_SYSTEM, LEGACY_ABHA_NUMBER_SYSTEM].includes(id.system)) || identifiers.find(typed("abhaNumber"));
+  const abhaAddress = identifiers.find((id) => id.system === ABHA_ADDRESS_SYSTEM) || identifiers.find(typed("abhaAddress"));
+  const others = identifiers.filter((id) => id !== abhaNumber && id !== abhaAddress);
+  const mr = others.find(typed("mrn")) || others[0];
+  others
+    .filter((id) => id !== mr)
+    .forEach((id) =>
+      report(`${loc}.identifier[${identifiers.indexOf(id)}]`, id.value, "Only the MRN, ABHA number and one ABHA address are supported")
+    );
+
+  const telecom = r.telecom || [];
+  const phone = telecom.find((t) => t.system === "phone");
+  const email = telecom.find((t) => t.system === "email");
+  telecom
+    .filter((t) => t !== phone && t !== email)
+    .forEach((t) =>
+      report(
+        `${loc}.telecom[${telecom.indexOf(t)}]`,
+        t.value,
+        ["phone", "email"].includes(t.system) ? `Only one ${t.system} is supported` : `No form field for ${t.system} contact`
+      )
+    );
+
+  const [name = {}, ...otherNames] = r.name || [];
+  otherNames.forEach((n, k) => report(`${loc}.name[${k + 1}]`, humanName(n), "Only one name is supported"));
+  (name.prefix || []).slice(1).forEach((p, k) => report(`${loc}.name[0].prefix[${k + 1}]`, p, "Only one title is supported"));
+
+  // the form has no city field; a city is kept at the end of the address line
+  const [address = {}, ...otherAddresses] = r.address || [];
+  otherAddresses.forEach((a, k) => report(`${loc}.address[${k + 1}]`, a.text || a.city, "Only one address is supported"));
+
+  return {
+    name: name.text || humanName({ ...name, prefix: [] }),
+    namePrefix: (name.prefix || [])[0] || "",
+    mrn: mr?.value || "",
+    abhaNumber: abhaNumber?.value || "",
+    birthDate: r.birthDate || "",
+    gender: r.gender || "",
+    phone: phone?.value || "",
+    email: email?.value || "",
+    addressLine: [...(address.line || []), address.city].filter(Boolean).join(", "),
+    district: address.district || "",
+    state: address.state || "",
+    postalCode: address.postalCode || "",
+    abhaAddresses: abhaAddress ? [abhaAddress.value] : [],
+    abhaAddress: abhaAddress?.value || "",
+  };
+}
+
+/* Organization -> facility configuration (see buildOrganization); the logo is not in the bundle */
+function parseOrganization(r, loc, report) {
+  const hfr = (r.identifier || []).find((id) => id.system === HFR_SYSTEM);
+  (r.identifier || [])
+    .filter((id) => id !== hfr)
+    .forEach((id) => report(`${loc}.identifier[${r.identifier.indexOf(id)}]`, id.value, "Only the HFR facility id is supported"));
+  const phones = (r.telecom || []).filter((t) => t.system === "phone");
+  (r.telecom || [])
+    .filter((t) => t !== phones[0])
+    .forEach((t) => report(`${loc}.telecom[${r.telecom.indexOf(t)}]`, t.value, "Only one phone number is supported"));
+  const [address = {}, ...otherAddresses] = r.address || [];
+  otherAddresses.forEach((a, k) => report(`${loc}.address[${k + 1}]`, a.text || a.city, "Only one address is supported"));
+  (address.line || []).slice(1).forEach((l, k) => report(`${loc}.address[0].line[${k + 1}]`, l, "Only one address line is supported"));
+  return {
+    name: r.name || "",
+    hfrId: hfr?.value || "",
+    line: (address.line || [])[0] || "",
+    city: address.city || "",
+    district: address.district || "",
+    state: address.state || "",
+    postalCode: address.postalCode || "",
+    phone: phones[0]?.value || "",
+    logo: "",
+  };
+}
+
+/*
+  Encounter -> the form's admission details (see buildEncounter). Participant
+  references are pushed onto `participants` for the caller to resolve.
+*/
+function parseEncounter(r, loc, report, participants) {
+  const classCode = r.class?.code || "";
+  if (classCode && !optionByCode(ENCOUNTER_CLASS_OPTIONS, classCode)) report(`${loc}.class`, classCode, "Not one of the encounter classes");
+  if (r.status && !["finished", "in-progress"].includes(r.status))
+    report(`${loc}.status`, r.status, "Status is written as finished once a discharge time is set, otherwise in-progress");
+
+  const disposition = firstCoding(r.hospitalization?.dischargeDisposition);
+  if (disposition && !optionByCode(DISCHARGE_DISPOSITION_OPTIONS, disposition.code))
+    report(`${loc}.hospitalization.dischargeDisposition`, disposition.code, "Not one of the discharge dispositions");
+  Object.keys(r.hospitalization || {})
+    .filter((k) => k !== "dischargeDisposition")
+    .forEach((k) => report(`${loc}.hospitalization.${k}`, r.hospitalization[k], "No form field"));
+
+  const taken = new Set();
+  (r.participant || []).forEach((p, k) => {
+    const pLoc = `${loc}.participant[${k}]`;
+    const codes = (p.type || []).flatMap((t) => (t.coding || []).map((c) => c.code));
+    const role = PARTICIPANT_ROLES.find((x) => codes.includes(x.type.code));
+    if (!role) return report(pLoc, codes.join(", "), "Only admitting and discharging practitioners are supported");
+    if (taken.has(role.field)) return report(pLoc, codes.join(", "), `Only one ${role.label.toLowerCase()} practitioner is supported`);
+    if (!p.individual?.reference) return report(pLoc, p.individual?.display, "Participant does not reference a Practitioner");
+    taken.add(role.field);
+    participants.push({ field: role.field, ref: p.individual, loc: pLoc });
+  });
+
+  return {
+    classCode: classCode || "IMP",
+    admittedAt: localDateTime(r.period?.start),
+    dischargedAt: localDateTime(r.period?.end),
+    dischargeDisposition: optionByCode(DISCHARGE_DISPOSITION_OPTIONS, disposition?.code)?.code || "",
+    admitterName: "",
+    admitterLicense: "",
+    dischargerName: "",
+    dischargerLicense: "",
+  };
+}
+
+/* Condition -> one diagnosis of the form (see buildCondition) */
+function parseCondition(r, loc, report) {
+  // SNOMED and ICD-10 codings; a coding without a system is taken as SNOMED (older builds)
+  const codings = r.code?.coding || [];
+  const coding = codings.find((c) => c.system === SNOMED) || codings.find((c) => !c.system);
+  const icd10 = codings.find((c) => c.system === ICD10);
+  codings
+    .filter((c) => c !== coding && c !== icd10)
+    .forEach((c) => report(`${loc}.code.coding[${codings.indexOf(c)}]`, `${c.system || ""}|${c.code}`, "Only SNOMED CT and ICD-10 codings are supported"));
+  // statuses, category and severity are read by code; unknown codes are reported
+  const pick = (cc, options, location) => {
+    const c = firstCoding(cc);
+    if (!c) return "";
+    if (optionByCode(options, c.code)) return c.code;
+    report(location, c.display || c.code, "Not one of the dropdown options");
+    return "";
+  };
+  const condition = {
+    id: uuidv4(),
+    text: r.code?.text || coding?.display || icd10?.display || "",
+    code: coding?.code || "",
+    icd10Code: icd10?.code || "",
+    icd10Display: icd10?.display || "",
+    icd10Mapped: false,
+    clinicalStatus: pick(r.clinicalStatus, CLINICAL_STATUS_OPTIONS, `${loc}.clinicalStatus`),
+    verificationStatus: pick(r.verificationStatus, VERIFICATION_STATUS_OPTIONS, `${loc}.verificationStatus`),
+    category: "",
+    severity: pick(r.severity, SEVERITY_OPTIONS, `${loc}.severity`),
+    onsetType: "",
+    onsetDate: "",
+    onsetAge: null,
+    onsetAgeUnit: "a",
+    note: (r.note || []).map((n) => n.text).filter(Boolean).join("\n"),
+  };
+  (r.category || []).forEach((cc, k) => {
+    if (k === 0) condition.category = pick(cc, CATEGORY_OPTIONS, `${loc}.category[0]`);
+    else report(`${loc}.category[${k}]`, firstCoding(cc)?.display, "Only one category is supported");
+  });
+  if (!condition.clinicalStatus && condition.verificationStatus !== "entered-in-error") condition.clinicalStatus = "active";
+
+  if (r.onsetDateTime) {
+    condition.onsetType = "date";
+    condition.onsetDate = datePart(r.onsetDateTime);
+  } else if (r.onsetAge) {
+    if (AGE_UNIT_OPTIONS.some((u) => u.value === r.onsetAge.code)) {
+      condition.onsetType = "age";
+      condition.onsetAge = r.onsetAge.value ?? null;
+      condition.onsetAgeUnit = r.onsetAge.code;
+    } else report(`${loc}.onsetAge`, `${r.onsetAge.value} ${r.onsetAge.unit || r.onsetAge.code || ""}`, "Not one of the age units");
+  }
+  return condition;
+}
+
+function parseMedicationRequest(r, loc, { report, pickOption, reportExtraKeys }) {
+  const coding = firstCoding(r.medicationCodeableConcept);
+  // dosages in `sequence` order; the first is the row, the rest are its tapering steps
+  const dosages = (r.dosageInstruction || [])
+    .map((dosage, k) => ({ dosage, dLoc: `${loc}.dosageInstruction[${k}]` }))
+    .sort((a, b) => (a.dosage.sequence ?? 0) - (b.dosage.sequence ?? 0));
+  const [{ dosage, dLoc } = { dosage: {}, dLoc: `${loc}.dosageInstruction[0]` }, ...later] = dosages;
+  if (r.status && r.status !== "active") report(`${loc}.status`, r.status, "Status is always written as active");
+  if (r.intent && r.intent !== "order") report(`${loc}.intent`, r.intent, "Intent is always written as order");
+  if (r.medicationReference) report(`${loc}.medicationReference`, r.medicationReference.reference, "Medication references are not supported");
+
+  const med = {
+    id: uuidv4(),
+    medicationText: coding?.display || r.medicationCodeableConcept?.text || "",
+    medicationCode: coding?.code || "",
+    dosageText: dosage.text || "",
+    dosageTextEdited: true, // keep the bundle's text rather than regenerating it
+    doseAmount: null,
+    doseUnit: "",
+    additionalInstruction: "",
+    frequency: null,
+    period: null,
+    periodUnit: "d",
+    frequencyPreset: "",
+    when: [],
+    timeOfDay: "",
+    asNeeded: false,
+    asNeededReason: "",
+    maxDoseAmount: null,
+    maxDosePeriod: 1,
+    maxDosePeriodUnit: "d",
+    route: "",
+    method: "",
+    durationValue: null,
+    durationUnit: "d",
+    steps: [],
+    dispenseQuantity: null,
+    expectedSupplyDays: null,
+    numberOfRepeats: null,
+    validUntil: "",
+    authoredOn: datePart(r.authoredOn),
+  };
+
+  (dosage.additionalInstruction || []).forEach((ai, k) => {
+    if (k === 0) med.additionalInstruction = pickOption(ai, ADDITIONAL_INSTRUCTION_OPTIONS, `${dLoc}.additionalInstruction[0]`);
+    else report(`${dLoc}.additionalInstruction[${k}]`, firstCoding(ai)?.display, "Only one additional instruction is supported");
+  });
+
+  med.doseUnit = parseStepFields(dosage, dLoc, report, med);
+
+  if (dosage.asNeededBoolean) med.asNeeded = true;
+  if (dosage.asNeededCodeableConcept) {
+    // coded reasons open as their option label, anything else as free text
+    const cc = dosage.asNeededCodeableConcept;
+    const coding = firstCoding(cc);
+    const option = findOption(PRN_REASON_OPTIONS, coding?.code) || findOption(PRN_REASON_OPTIONS, coding?.display || cc.text);
+    med.asNeeded = true;
+    med.asNeededReason = option ? option.display : cc.text || coding?.display || "";
+  }
+  const maxDose = dosage.maxDosePerPeriod;
+  if (maxDose) {
+    const { numerator = {}, denominator = {} } = maxDose;
+    if (numerator.code && med.doseUnit && numerator.code !== med.doseUnit) {
+      report(`${dLoc}.maxDosePerPeriod`, `${numerator.value} ${numerator.unit || numerator.code}`, "Unit differs from the dose unit");
+    } else if (!PERIOD_UNIT_OPTIONS.some((o) => o.value === (denominator.code || "d"))) {
+      report(`${dLoc}.maxDosePerPeriod.denominator`, `${denominator.value} ${denominator.unit || denominator.code}`, "Not one of the period units");
+    } else {
+      med.maxDoseAmount = numerator.value ?? null;
+      med.maxDosePeriod = denominator.value ?? 1;
+      med.maxDosePeriodUnit = denominator.code || "d";
+    }
+  }
+  med.frequencyPreset = frequencyShorthand(med);
+
+  if (dosage.route) med.route = pickOption(dosage.route, ROUTE_OPTIONS, `${dLoc}.route`);
+  if (dosage.method) med.method = pickOption(dosage.method, METHOD_OPTIONS, `${dLoc}.method`);
+
+  Object.keys(dosage)
+    .filter((k) => !["sequence", ...STEP_KEYS, ...SHARED_KEYS].includes(k))
+    .forEach((k) => report(`${dLoc}.${k}`, dosage[k], "No form field"));
+
+  later.forEach(({ dosage: d, dLoc: sLoc }, k) => {
+    const previous = k === 0 ? dosage : later[k - 1].dosage;
+    if (d.sequence !== undefined && d.sequence === previous.sequence) {
+      report(sLoc, d.text, "Concurrent dosage instructions are not supported");
+      return;
+    }
+    const step = {
+      id: uuidv4(),
+      dosageText: "",
+      doseAmount: null,
+      frequencyPreset: "",
+      frequency: null,
+      period: null,
+      periodUnit: "d",
+      when: [],
+      timeOfDay: "",
+      durationValue: null,
+      durationUnit: "d",
+    };
+    const unit = parseStepFields(d, sLoc, report, step);
+    if (unit && unit !== med.doseUnit) report(`${sLoc}.doseAndRate[0].doseQuantity`, unit, "Steps share the first step's dose unit");
+    step.frequencyPreset = frequencyShorthand(step);
+    // route, method, instructions and PRN settings belong to the whole row
+    SHARED_KEYS.filter((key) => JSON.stringify(d[key]) !== JSON.stringify(dosage[key])).forEach((key) =>
+      report(`${sLoc}.${key}`, d[key], "Steps share this with the first step")
+    );
+    Object.keys(d)
+      .filter((key) => !["sequence", ...STEP_KEYS, ...SHARED_KEYS].includes(key))
+      .forEach((key) => report(`${sLoc}.${key}`, d[key], "No form field"));
+    med.steps.push(step);
+  });
+
+  if (r.dispenseRequest) parseDispenseRequest(r.dispenseRequest, med, `${loc}.dispenseRequest`, report);
+
+  // requester/encounter/reasonCode/reasonReference are rebuilt from the practitioner, encounter and conditions
+  reportExtraKeys(r, loc, [
+    "status",
+    "intent",
+    "medicationCodeableConcept",
+    "medicationReference",
+    "authoredOn",
+    "requester",
+    "encounter",
+    "reasonCode",
+    "reasonReference",
+    "dosageInstruction",
+    "dispenseRequest",
+  ]);
+  return med;
+}
+
+// Dosage elements that may differ between tapering steps, and those every step shares
+const STEP_KEYS = ["text", "timing", "doseAndRate"];
+const SHARED_KEYS = ["additionalInstruction", "asNeededBoolean", "asNeededCodeableConcept", "route", "method", "maxDosePerPeriod"];
+
+/*
+  Text, dose amount, timing and duration of one Dosage into `target` (a row
+  or a step). Returns the dose unit code, or "" when there is none.
+*/
+function parseStepFields(dosage, dLoc, report, target) {
+  target.dosageText = dosage.text || "";
+
+  const repeat = dosage.timing?.repeat;
+  if (repeat) {
+    target.frequency = repeat.frequency ?? null;
+    target.period = repeat.period ?? null;
+    if (PERIOD_UNIT_OPTIONS.some((o) => o.value === repeat.periodUnit)) target.periodUnit = repeat.periodUnit;
+    else if (repeat.periodUnit) report(`${dLoc}.timing.repeat.periodUnit`, repeat.periodUnit, "Not one of the period units");
+    (repeat.when || []).forEach((w, k) => {
+      if (WHEN_LABELS[w]) target.when.push(w);
+      else report(`${dLoc}.timing.repeat.when[${k}]`, w, "Not one of the times of day");
+    });
+    if (repeat.timeOfDay) target.timeOfDay = repeat.timeOfDay.map((t) => t.slice(0, 5)).join(", ");
+    const bounds = repeat.boundsDuration;
+    if (bounds && DURATION_UNIT_OPTIONS.some((o) => o.value === bounds.code)) {
+      target.durationValue = bounds.value ?? null;
+      target.durationUnit = bounds.code;
+    } else if (bounds) report(`${dLoc}.timing.repeat.boundsDuration`, `${bounds.value} ${bounds.unit || bounds.code || ""}`, "Not one of the duration units");
+    Object.keys(repeat)
+      .filter((k) => !["frequency", "period", "periodUnit", "when", "timeOfDay", "boundsDuration"].includes(k))
+      .forEach((k) => report(`${dLoc}.timing.repeat.${k}`, repeat[k], "No form field"));
+  }
+  Object.keys(dosage.timing || {})
+    .filter((k) => k !== "repeat")
+    .forEach((k) => report(`${dLoc}.timing.${k}`, dosage.timing[k], "No form field"));
+
+  let unitCode = "";
+  const [doseAndRate, ...extraDoses] = dosage.doseAndRate || [];
+  extraDoses.forEach((d, k) => report(`${dLoc}.doseAndRate[${k + 1}]`, d, "Only one dose is supported"));
+  if (doseAndRate) {
+    const q = doseAndRate.doseQuantity;
+    if (q && q.value !== undefined) {
+      const unit = DOSE_UNIT_OPTIONS.find((u) => u.code === q.code && (!q.system || u.system === q.system));
+      target.doseAmount = q.value;
+      if (unit) unitCode = unit.code;
+      else report(`${dLoc}.doseAndRate[0].doseQuantity`, `${q.value} ${q.unit || q.code || ""}`, "Unit is not one of the dose units");
+    }
+    Object.keys(doseAndRate)
+      .filter((k) => !["type", "doseQuantity"].includes(k))
+      .forEach((k) => report(`${dLoc}.doseAndRate[0].${k}`, doseAndRate[k], "No form field"));
+  }
+  return unitCode;
+}
+
+/*
+  dispenseRequest -> dispense fields. Values that match what the form would
+  calculate stay null ("auto") so they keep following later dose edits.
+*/
+function parseDispenseRequest(dr, med, loc, report) {
+  if (dr.validityPeriod?.end) med.validUntil = datePart(dr.validityPeriod.end);
+  if (dr.numberOfRepeatsAllowed !== undefined) med.numberOfRepeats = dr.numberOfRepeatsAllowed;
+
+  const q = dr.quantity;
+  if (q && q.value !== undefined) {
+    if (q.code && med.doseUnit && q.code !== med.doseUnit) report(`${loc}.quantity`, `${q.value} ${q.unit || q.code}`, "Unit differs from the dose unit");
+    else if (q.value !== calculateDispenseQuantity(med)) med.dispenseQuantity = q.value;
+  }
+
+  const supply = dr.expectedSupplyDuration;
+  if (supply && supply.value !== undefined) {
+    const unit = DURATION_UNIT_OPTIONS.find((o) => o.value === (supply.code || "d"));
+    if (!unit) report(`${loc}.expectedSupplyDuration`, `${supply.value} ${supply.unit || supply.code}`, "Not one of the duration units");
+    else {
+      const days = supply.value * unit.days;
+      if (days !== scheduleDays(med)) med.expectedSupplyDays = days;
+    }
+  }
+
+  Object.keys(dr)
+    .filter((k) => !["validityPeriod", "numberOfRepeatsAllowed", "quantity", "expectedSupplyDuration"].includes(k))
+    .forEach((k) => report(`${loc}.${k}`, dr[k], "No form field"));
+}
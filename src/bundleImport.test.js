@@ -0,0 +1,217 @@
+import { parsePrescriptionBundle } from './bundleImport';
+import { buildPrescriptionBundle } from './prescriptionBundle';
+
+const input = {
+  facility: {
+    name: 'City General Hospital',
+    hfrId: 'IN2410000949',
+    line: '12 Station Road',
+    city: 'Gaya',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823001',
+    phone: '+916312345678',
+    logo: '',
+  },
+  practitioner: {
+    name: 'Dr. DEF',
+    license: '21-1521-3828-3227',
+    qualificationCode: 'MBBS',
+    qualificationDisplay: 'Bachelor of Medicine, Bachelor of Surgery',
+    council: 'Bihar Medical Council',
+  },
+  patient: {
+    name: 'ABC',
+    namePrefix: 'Mr',
+    mrn: 'CGH-2025-000123',
+    abhaNumber: '22-7225-4829-5255',
+    birthDate: '1981-01-12',
+    gender: 'male',
+    phone: '+919818512600',
+    email: 'abc@example.com',
+    addressLine: 'Ramdhanpur, Near Post Office',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823002',
+    abhaAddresses: ['abc@sbx'],
+    abhaAddress: 'abc@sbx',
+  },
+  conditions: [
+    {
+      id: 'c1',
+      text: 'Abdominal pain',
+      code: '21522001',
+      icd10Code: 'R10.4',
+      icd10Display: 'Other and unspecified abdominal pain',
+      icd10Mapped: false,
+      clinicalStatus: 'relapse',
+      verificationStatus: 'confirmed',
+      category: 'problem-list-item',
+      severity: '6736007',
+      onsetType: 'age',
+      onsetDate: '',
+      onsetAge: 40,
+      onsetAgeUnit: 'a',
+      note: 'Worse after meals',
+    },
+  ],
+  encounter: {
+    classCode: 'IMP',
+    admittedAt: '2025-08-08T10:30',
+    dischargedAt: '2025-08-12T16:00',
+    dischargeDisposition: 'home',
+    admitterName: 'Dr. DEF',
+    admitterLicense: '21-1521-3828-3227',
+    dischargerName: 'Dr. GHI',
+    dischargerLicense: 'MCI-45821',
+  },
+  composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+  medications: [
+    {
+      medicationText: 'Azithromycin 250 mg oral tablet',
+      medicationCode: '1145423002',
+      dosageText: 'One tablet at once',
+      dosageTextEdited: true,
+      doseAmount: 1,
+      doseUnit: '732936001',
+      additionalInstruction: '311501008',
+      frequency: 2,
+      period: 1,
+      periodUnit: 'd',
+      frequencyPreset: '1-0-1',
+      when: ['MORN', 'NIGHT'],
+      timeOfDay: '',
+      asNeeded: false,
+      asNeededReason: '',
+      maxDoseAmount: null,
+      maxDosePeriod: 1,
+      maxDosePeriodUnit: 'd',
+      route: '6064005',
+      method: '417924000',
+      durationValue: 5,
+      durationUnit: 'd',
+      steps: [],
+      reasonConditionIds: ['c1'],
+      dispenseQuantity: 12,
+      expectedSupplyDays: null,
+      numberOfRepeats: 1,
+      validUntil: '2025-09-12',
+      authoredOn: '2025-08-12',
+    },
+  ],
+  attachment: { data: 'JVBERi0xLjQK', contentType: 'application/pdf' },
+  signatureImage: { data: 'iVBORw0KGgo=', contentType: 'image/png' },
+};
+
+test('a built bundle opens back into the same form model', () => {
+  const { form, unmapped } = parsePrescriptionBundle(buildPrescriptionBundle(input));
+  expect(unmapped).toEqual([]);
+  const conditionId = form.conditions[0].id;
+  expect(form).toEqual({
+    ...input,
+    conditions: [{ ...input.conditions[0], id: conditionId }],
+    medications: [{ ...input.medications[0], id: expect.any(String), reasonConditionIds: [conditionId] }],
+  });
+});
+
+test('reports what the form cannot hold instead of dropping it', () => {
+  const bundle = buildPrescriptionBundle(input);
+  const medReq = bundle.entry[3].resource;
+  medReq.dosageInstruction[0].route = { coding: [{ system: 'http://snomed.info/sct', code: '12130007', display: 'Intra-articular route' }] };
+  medReq.dosageInstruction[0].site = { text: 'Left arm' };
+  bundle.entry[1].resource.maritalStatus = { text: 'Married' };
+
+  const { form, unmapped } = parsePrescriptionBundle(bundle);
+  expect(form.medications[0].route).toBe('');
+  expect(unmapped.map((u) => u.location)).toEqual([
+    'Bundle.entry[1].resource.maritalStatus',
+    'Bundle.entry[3].resource.dosageInstruction[0].route',
+    'Bundle.entry[3].resource.dosageInstruction[0].site',
+  ]);
+});
+
+test('corrects the fixed codes written by older builds from the display', () => {
+  const bundle = buildPrescriptionBundle(input);
+  bundle.entry[3].resource.dosageInstruction[0].method = {
+    coding: [{ system: 'http://snomed.info/sct', code: '421521009', display: 'Inhale' }],
+  };
+  const { form, unmapped } = parsePrescriptionBundle(bundle);
+  expect(form.medications[0].method).toBe('421134003');
+  expect(unmapped).toEqual([expect.objectContaining({ location: 'Bundle.entry[3].resource.dosageInstruction[0].method.coding[0].code' })]);
+});
+
+test('a dispense quantity equal to the calculated one opens as auto', () => {
+  const med = { ...input.medications[0], dispenseQuantity: null, expectedSupplyDays: 7 };
+  const { form } = parsePrescriptionBundle(buildPrescriptionBundle({ ...input, medications: [med] }));
+  expect(form.medications[0]).toMatchObject({ dispenseQuantity: null, expectedSupplyDays: 7, durationValue: 5 });
+});
+
+test('as-needed reasons open as the option label or as free text', () => {
+  const sos = { ...input.medications[0], asNeeded: true, asNeededReason: 'Pain', maxDoseAmount: 4, maxDosePeriod: 1, maxDosePeriodUnit: 'd' };
+  const { form, unmapped } = parsePrescriptionBundle(buildPrescriptionBundle({ ...input, medications: [sos] }));
+  expect(unmapped).toEqual([]);
+  expect(form.medications[0]).toMatchObject({ asNeeded: true, asNeededReason: 'Pain', maxDoseAmount: 4 });
+
+  const free = { ...sos, asNeededReason: 'if fever > 100°F' };
+  expect(parsePrescriptionBundle(buildPrescriptionBundle({ ...input, medications: [free] })).form.medications[0].asNeededReason).toBe(
+    'if fever > 100°F'
+  );
+});
+
+test('tapering steps open back in sequence order', () => {
+  const taper = {
+    ...input.medications[0],
+    doseAmount: 40,
+    doseUnit: 'mg',
+    frequencyPreset: 'OD',
+    when: [],
+    frequency: 1,
+    dispenseQuantity: null,
+    steps: [
+      { id: 's1', dosageText: '30 mg once a day for 5 days', doseAmount: 30, frequencyPreset: 'OD', frequency: 1, period: 1, periodUnit: 'd', when: [], timeOfDay: '', durationValue: 5, durationUnit: 'd' },
+    ],
+  };
+  const bundle = buildPrescriptionBundle({ ...input, medications: [taper] });
+  bundle.entry[3].resource.dosageInstruction.reverse();
+  const { form, unmapped } = parsePrescriptionBundle(bundle);
+  expect(unmapped).toEqual([]);
+  expect(form.medications[0]).toMatchObject({ doseAmount: 40, durationValue: 5, steps: [{ ...taper.steps[0], id: expect.any(String) }] });
+});
+
+test('links each medication to the diagnoses chosen for it', () => {
+  const conditions = [...input.conditions, { id: 'c2', text: 'Fever', code: '386661006', clinicalStatus: 'active' }];
+  const medications = [
+    { ...input.medications[0], reasonConditionIds: ['c2'] },
+    { ...input.medications[0], reasonConditionIds: ['c1', 'c2'] },
+  ];
+  const { form, unmapped } = parsePrescriptionBundle(buildPrescriptionBundle({ ...input, conditions, medications }));
+  expect(unmapped).toEqual([]);
+  const [abdominal, fever] = form.conditions.map((c) => c.id);
+  expect(form.conditions.map((c) => c.text)).toEqual(['Abdominal pain', 'Fever']);
+  expect(form.medications.map((m) => m.reasonConditionIds)).toEqual([[fever], [abdominal, fever]]);
+});
+
+test('reports Encounter participants the card has no field for', () => {
+  const bundle = buildPrescriptionBundle(input);
+  const encounter = bundle.entry.find((e) => e.resource.resourceType === 'Encounter').resource;
+  encounter.participant.push({
+    type: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'ATND' }] }],
+    individual: { reference: encounter.participant[0].individual.reference },
+  });
+  const { form, unmapped } = parsePrescriptionBundle(bundle);
+  expect(form.encounter).toEqual(input.encounter);
+  expect(unmapped).toEqual([expect.objectContaining({ value: 'ATND', reason: 'Only admitting and discharging practitioners are supported' })]);
+});
+
+test('sorts patient identifiers into MRN, ABHA number and ABHA address', () => {
+  const bundle = buildPrescriptionBundle(input);
+  // as written by older builds: the ABHA number typed MR under the health ID system
+  bundle.entry[1].resource.identifier = [
+    { type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }] }, system: 'https://healthid.ndhm.gov.in', value: '22-7225-4829-5255' },
+    { system: 'https://phr.abdm.gov.in', value: 'abc@sbx' },
+    { system: 'urn:example:aadhaar', value: '1234' },
+  ];
+  const { form, unmapped } = parsePrescriptionBundle(bundle);
+  expect(form.patient).toMatchObject({ mrn: '1234', abhaNumber: '22-7225-4829-5255', abhaAddress: 'abc@sbx' });
+  expect(unmapped).toEqual([]);
+});
@@ -0,0 +1,232 @@
+// src/bundleValidator.js
+/*
+  Offline validator for Prescription DocumentBundles.
+
+  Checks every entry against the local copies of the NRCES StructureDefinitions
+  in ./profiles (trimmed snapshots: only the elements we constrain) and the
+  value-set expansions in ./profiles/valuesets.json. No network is used.
+
+  Each issue is { severity, resource, location, message } where `location` is a
+  FHIRPath expression rooted at the Bundle, e.g.
+  "Bundle.entry[3].resource.dosageInstruction[0].timing.repeat.periodUnit".
+*/
+import documentBundleProfile from "./profiles/StructureDefinition-DocumentBundle.json";
+import prescriptionRecordProfile from "./profiles/StructureDefinition-PrescriptionRecord.json";
+import patientProfile from "./profiles/StructureDefinition-Patient.json";
+import practitionerProfile from "./profiles/StructureDefinition-Practitioner.json";
+import medicationRequestProfile from "./profiles/StructureDefinition-MedicationRequest.json";
+import conditionProfile from "./profiles/StructureDefinition-Condition.json";
+import encounterProfile from "./profiles/StructureDefinition-Encounter.json";
+import organizationProfile from "./profiles/StructureDefinition-Organization.json";
+import practitionerRoleProfile from "./profiles/StructureDefinition-PractitionerRole.json";
+import binaryProfile from "./profiles/StructureDefinition-Binary.json";
+import valueSetBundle from "./profiles/valuesets.json";
+
+export const PROFILES = [
+  documentBundleProfile,
+  prescriptionRecordProfile,
+  patientProfile,
+  practitionerProfile,
+  medicationRequestProfile,
+  conditionProfile,
+  encounterProfile,
+  organizationProfile,
+  practitionerRoleProfile,
+  binaryProfile,
+];
+
+const profilesByUrl = new Map(PROFILES.map((sd) => [sd.url, sd]));
+
+/* Value sets keyed by canonical url without the |version suffix */
+const valueSetsByUrl = new Map(valueSetBundle.entry.map((e) => [e.resource.url, e.resource]));
+
+const canonical = (url) => String(url).split("|")[0];
+
+/*
+  Step from a set of nodes ({ value, location }) into a child element.
+  Arrays are expanded with their index; choice elements (`medication[x]`)
+  match any property starting with the element name.
+*/
+function children(nodes, name) {
+  const out = [];
+  nodes.forEach(({ value, location }) => {
+    if (!value || typeof value !== "object") return;
+    const keys = name.endsWith("[x]")
+      ? Object.keys(value).filter((k) => k.startsWith(name.slice(0, -3)) && /^[A-Z]/.test(k.slice(name.length - 3)))
+      : Object.prototype.hasOwnProperty.call(value, name) ? [name] : [];
+    keys.forEach((key) => {
+      const v = value[key];
+      if (Array.isArray(v)) {
+        v.forEach((item, i) => out.push({ value: item, location: `${location}.${key}[${i}]` }));
+      } else if (v !== undefined && v !== null && v !== "") {
+        out.push({ value: v, location: `${location}.${key}` });
+      }
+    });
+  });
+  return out;
+}
+
+/* All nodes at a dotted element path below the root node */
+function collect(root, segments) {
+  return segments.reduce((nodes, seg) => children(nodes, seg), [root]);
+}
+
+const isEmpty = (v) =>
+  v === undefined || v === null || v === "" || (typeof v === "object" && Object.keys(v).length === 0);
+
+/* Pull Codings (system/code/display) out of a code, Coding or CodeableConcept */
+function codingsOf(value) {
+  if (typeof value === "string") return [{ code: value }];
+  if (value && Array.isArray(value.coding)) return value.coding;
+  if (value && value.code) return [value];
+  return [];
+}
+
+function checkBinding(node, binding, issue) {
+  const vs = valueSetsByUrl.get(canonical(binding.valueSet));
+  if (!vs || !["required", "extensible"].includes(binding.strength)) return;
+  const codings = codingsOf(node.value);
+  const matches = codings
+    .map((c) => ({ c, hit: vs.expansion.contains.find((x) => x.code === c.code && (!c.system || x.system === c.system)) }))
+    .filter((m) => m.hit);
+
+  if (matches.length === 0) {
+    const shown = codings.map((c) => (c.system ? `${c.system}#${c.code}` : c.code)).join(", ") || "(no code)";
+    issue(
+      binding.strength === "required" ? "error" : "warning",
+      node.location,
+      `${shown} is not in the ${binding.strength} value set ${canonical(binding.valueSet)}`
+    );
+    return;
+  }
+  matches.forEach(({ c, hit }) => {
+    if (c.display && c.display !== hit.display) {
+      issue("warning", node.location, `Display "${c.display}" for code ${hit.code} should be "${hit.display}"`);
+    }
+  });
+}
+
+function checkPattern(node, pattern, issue) {
+  const have = codingsOf(node.value);
+  (pattern.coding || []).forEach((want) => {
+    if (!have.some((c) => c.system === want.system && c.code === want.code)) {
+      issue("error", node.location, `Must contain the coding ${want.system}#${want.code}`);
+    }
+  });
+}
+
+/* Validate one resource against its StructureDefinition */
+function validateAgainstProfile(resource, profile, rootLocation, issue) {
+  const root = { value: resource, location: rootLocation };
+
+  profile.snapshot.element.forEach((element) => {
+    const [, ...segments] = element.path.split(".");
+    if (segments.length === 0) return;
+    const parents = collect(root, segments.slice(0, -1));
+    const name = segments[segments.length - 1];
+
+    parents.forEach((parent) => {
+      const nodes = children([parent], name).filter((n) => !isEmpty(n.value));
+      const where = `${parent.location}.${name}`;
+
+      if (element.min && nodes.length < element.min) {
+        issue("error", where, `Minimum cardinality of ${element.path} is ${element.min}, found ${nodes.length}`);
+      }
+      if (element.max && element.max !== "*" && nodes.length > Number(element.max)) {
+        issue("error", where, `Maximum cardinality of ${element.path} is ${element.max}, found ${nodes.length}`);
+      }
+
+      nodes.forEach((node) => {
+        const fixedKey = Object.keys(element).find((k) => k.startsWith("fixed"));
+        if (fixedKey && node.value !== element[fixedKey]) {
+          issue("error", node.location, `Value must be "${element[fixedKey]}", found "${node.value}"`);
+        }
+        if (element.patternCodeableConcept) checkPattern(node, element.patternCodeableConcept, issue);
+        if (element.binding) checkBinding(node, element.binding, issue);
+      });
+    });
+  });
+}
+
+/* Every "reference" string anywhere inside a value */
+function findReferences(value, location, out = []) {
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => findReferences(v, `${location}[${i}]`, out));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([k, v]) => {
+      if (k === "reference" && typeof v === "string") out.push({ reference: v, location: `${location}.reference` });
+      else findReferences(v, `${location}.${k}`, out);
+    });
+  }
+  return out;
+}
+
+/*
+  Validate a DocumentBundle and all of its entries.
+  Returns an array of issues (empty when the bundle conforms).
+*/
+export function validateBundle(bundle) {
+  const issues = [];
+  const issueFor = (resourceLabel) => (severity, location, message) =>
+    issues.push({ severity, resource: resourceLabel, location, message });
+
+  if (!bundle || bundle.resourceType !== "Bundle") {
+    issueFor("Bundle")("error", "Bundle", "Not a FHIR Bundle");
+    return issues;
+  }
+
+  const bundleIssue = issueFor(`Bundle/${bundle.id || "?"}`);
+  validateAgainstProfile(bundle, documentBundleProfile, "Bundle", bundleIssue);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  if (entries[0] && entries[0].resource?.resourceType !== "Composition") {
+    bundleIssue("error", "Bundle.entry[0].resource", "The first entry of a document Bundle must be a Composition");
+  }
+
+  const fullUrls = new Set();
+  entries.forEach((entry, i) => {
+    if (!entry.fullUrl) return;
+    if (fullUrls.has(entry.fullUrl)) {
+      bundleIssue("error", `Bundle.entry[${i}].fullUrl`, `Duplicate fullUrl ${entry.fullUrl}`);
+    }
+    fullUrls.add(entry.fullUrl);
+  });
+
+  if (bundle.signature && !bundle.signature.data) {
+    bundleIssue("warning", "Bundle.signature.data", "The document is not digitally signed");
+  }
+
+  findReferences(bundle.signature, "Bundle.signature")
+    .filter((r) => r.reference.startsWith("urn:uuid:") && !fullUrls.has(r.reference))
+    .forEach((r) => bundleIssue("error", r.location, `Reference ${r.reference} does not resolve to an entry in the Bundle`));
+
+  entries.forEach((entry, i) => {
+    const resource = entry.resource;
+    if (!resource) return;
+    const location = `Bundle.entry[${i}].resource`;
+    const issue = issueFor(`${resource.resourceType}/${resource.id || i}`);
+
+    const profileUrls = resource.meta?.profile || [];
+    const known = profileUrls.map((u) => profilesByUrl.get(canonical(u))).filter(Boolean);
+    if (profileUrls.length === 0) {
+      issue("warning", `${location}.meta.profile`, "No profile declared; resource was not validated");
+    } else if (known.length === 0) {
+      issue("warning", `${location}.meta.profile`, `No local StructureDefinition for ${profileUrls.join(", ")}`);
+    }
+    known.forEach((profile) => {
+      if (profile.type !== resource.resourceType) {
+        issue("error", `${location}.meta.profile`, `Profile ${profile.url} applies to ${profile.type}, not ${resource.resourceType}`);
+        return;
+      }
+      validateAgainstProfile(resource, profile, location, issue);
+    });
+
+    findReferences(resource, location)
+      .filter((r) => r.reference.startsWith("urn:uuid:") && !fullUrls.has(r.reference))
+      .forEach((r) => issue("error", r.location, `Reference ${r.reference} does not resolve to an entry in the Bundle`));
+  });
+
+  return issues;
+}
+
+export const hasErrors = (issues) => issues.some((i) => i.severity === "error");
@@ -0,0 +1,56 @@
+import { validateBundle, hasErrors } from './bundleValidator';
+import { buildPrescriptionBundle } from './prescriptionBundle';
+import exampleBundle from './Bundle-Prescription-example-06.json';
+
+const input = {
+  facility: {
+    name: 'City General Hospital',
+    hfrId: 'IN2410000949',
+    line: '12 Station Road',
+    city: 'Gaya',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823001',
+    phone: '+916312345678',
+    logo: '',
+  },
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+  patient: { name: 'ABC', mrn: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+  conditions: [{ id: 'c1', text: 'Abdominal pain', code: '21522001', clinicalStatus: 'active' }],
+  encounter: { classCode: 'IMP', admittedAt: '2025-08-08T10:30', dischargedAt: '2025-08-12T16:00', dischargeDisposition: 'home' },
+  composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+  medications: [
+    {
+      medicationText: 'Azithromycin 250 mg oral tablet',
+      medicationCode: '1145423002',
+      frequency: 2,
+      period: 1,
+      periodUnit: 'd',
+      reasonConditionIds: ['c1'],
+    },
+  ],
+};
+
+test('the NRCES example bundle has no errors', () => {
+  expect(validateBundle(exampleBundle).filter((i) => i.severity === 'error')).toEqual([]);
+});
+
+test('a bundle built from a complete form has no errors', () => {
+  expect(hasErrors(validateBundle(buildPrescriptionBundle(input)))).toBe(false);
+});
+
+test('reports cardinality, binding and reference problems with a location', () => {
+  const bundle = buildPrescriptionBundle({ ...input, patient: { ...input.patient, gender: 'M', name: '' } });
+  const medReq = bundle.entry[3].resource;
+  delete medReq.intent;
+  medReq.reasonReference[0].reference = 'urn:uuid:missing';
+
+  const issues = validateBundle(bundle);
+  expect(issues).toEqual(
+    expect.arrayContaining([
+      expect.objectContaining({ severity: 'error', resource: `Patient/${bundle.entry[1].resource.id}`, location: 'Bundle.entry[1].resource.gender' }),
+      expect.objectContaining({ severity: 'error', location: 'Bundle.entry[3].resource.intent' }),
+      expect.objectContaining({ severity: 'error', location: 'Bundle.entry[3].resource.reasonReference[0].reference' }),
+    ])
+  );
+});
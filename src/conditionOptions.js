@@ -0,0 +1,62 @@
+// src/conditionOptions.js
+/*
+  Coded choices for the diagnosis editor. The form stores each option's
+  `code`; the bundle builder emits the option's system/code/display, so the
+  display always matches what was picked.
+
+  Shared by the form, the bundle builder and bundle import.
+*/
+import { SNOMED } from "./dosageOptions.js";
+
+const CLINICAL = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const VERIFICATION = "http://terminology.hl7.org/CodeSystem/condition-ver-status";
+const CATEGORY = "http://terminology.hl7.org/CodeSystem/condition-category";
+
+// Full FHIR R4 condition-clinical value set
+export const CLINICAL_STATUS_OPTIONS = [
+  { system: CLINICAL, code: "active", display: "Active" },
+  { system: CLINICAL, code: "recurrence", display: "Recurrence" },
+  { system: CLINICAL, code: "relapse", display: "Relapse" },
+  { system: CLINICAL, code: "inactive", display: "Inactive" },
+  { system: CLINICAL, code: "remission", display: "Remission" },
+  { system: CLINICAL, code: "resolved", display: "Resolved" },
+];
+
+// Full FHIR R4 condition-ver-status value set
+export const VERIFICATION_STATUS_OPTIONS = [
+  { system: VERIFICATION, code: "unconfirmed", display: "Unconfirmed" },
+  { system: VERIFICATION, code: "provisional", display: "Provisional" },
+  { system: VERIFICATION, code: "differential", display: "Differential" },
+  { system: VERIFICATION, code: "confirmed", display: "Confirmed" },
+  { system: VERIFICATION, code: "refuted", display: "Refuted" },
+  { system: VERIFICATION, code: "entered-in-error", display: "Entered in Error" },
+];
+
+export const CATEGORY_OPTIONS = [
+  { system: CATEGORY, code: "encounter-diagnosis", display: "Encounter Diagnosis" },
+  { system: CATEGORY, code: "problem-list-item", display: "Problem List Item" },
+];
+
+// FHIR condition-severity (SNOMED CT)
+export const SEVERITY_OPTIONS = [
+  { system: SNOMED, code: "255604002", display: "Mild" },
+  { system: SNOMED, code: "6736007", display: "Moderate" },
+  { system: SNOMED, code: "24484000", display: "Severe" },
+];
+
+// Units for onset age (UCUM); `word` is the singular used in Age.unit
+export const AGE_UNIT_OPTIONS = [
+  { value: "a", label: "Years", word: "year" },
+  { value: "mo", label: "Months", word: "month" },
+  { value: "wk", label: "Weeks", word: "week" },
+  { value: "d", label: "Days", word: "day" },
+];
+
+/* Option with this code, or null */
+export const optionByCode = (options, code) => options.find((o) => o.code === code) || null;
+
+/* CodeableConcept for the option with this code, or null */
+export function optionConcept(options, code) {
+  const option = optionByCode(options, code);
+  return option ? { coding: [{ system: option.system, code: option.code, display: option.display }] } : null;
+}
@@ -0,0 +1,15 @@
+// src/dateText.js
+/*
+  Human-readable dates for the printed prescription and the generated
+  narratives. Pure, so the bundle builder can use it too.
+*/
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/* "2025-08-12" -> "12 Aug 2025"; "2025-08-08T10:30" -> "08 Aug 2025, 10:30" */
+export function displayDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}:\d{2}))?/.exec(String(value || ""));
+  if (!m) return value || "";
+  const date = `${m[3]} ${MONTHS[Number(m[2]) - 1]} ${m[1]}`;
+  return m[4] ? `${date}, ${m[4]}` : date;
+}
@@ -0,0 +1,69 @@
+// src/dispense.js
+/*
+  Dispense quantity arithmetic for a medication row.
+
+  The quantity to dispense is dose × doses per day × treatment days, summed
+  over the steps of a tapering schedule, in the dose unit, rounded up for
+  countable units (you cannot dispense 0.5 tablet boxes). A row may override
+  it with `dispenseQuantity`; null means "auto".
+*/
+import { UCUM } from "./dosageOptions.js";
+import { scheduleSteps } from "./dosageSteps.js";
+
+export const DURATION_UNIT_OPTIONS = [
+  { value: "d", label: "Day(s)", days: 1, display: "days" },
+  { value: "wk", label: "Week(s)", days: 7, display: "weeks" },
+  { value: "mo", label: "Month(s)", days: 30, display: "months" },
+];
+
+// Length of one timing period unit, in days
+const PERIOD_DAYS = { s: 1 / 86400, min: 1 / 1440, h: 1 / 24, d: 1, wk: 7, mo: 30, a: 365 };
+
+// Dose units that are dispensed as whole items
+const COUNTABLE_UNITS = ["732936001", "732937005", "732981002", "[drp]"];
+
+/* Treatment duration in days, or 0 when not set */
+export function durationInDays(value, unit = "d") {
+  const v = Number(value);
+  const u = DURATION_UNIT_OPTIONS.find((o) => o.value === unit);
+  return v > 0 && u ? v * u.days : 0;
+}
+
+/* Administrations per day from frequency/period/periodUnit, or 0 */
+export function dosesPerDay(med) {
+  const { frequency, period, periodUnit = "d" } = med;
+  const f = Number(frequency);
+  const p = (Number(period) || 1) * (PERIOD_DAYS[periodUnit] || 1);
+  return f > 0 ? f / p : 0;
+}
+
+/* Calculated quantity to dispense, or null when dose, timing or duration is missing */
+export function calculateDispenseQuantity(med) {
+  let total = 0;
+  for (const step of scheduleSteps(med)) {
+    const dose = Number(step.doseAmount);
+    const days = durationInDays(step.durationValue, step.durationUnit);
+    const perDay = dosesPerDay(step);
+    if (!(dose > 0) || !days || !perDay) return null;
+    total += dose * perDay * days;
+  }
+  return COUNTABLE_UNITS.includes(med.doseUnit) ? Math.ceil(total - 1e-9) : Math.round(total * 100) / 100;
+}
+
+/* Length of the whole schedule (all steps) in days, or 0 when a step has no duration */
+export function scheduleDays(med) {
+  const days = scheduleSteps(med).map((step) => durationInDays(step.durationValue, step.durationUnit));
+  return days.includes(0) ? 0 : days.reduce((a, b) => a + b, 0);
+}
+
+/* The override when one is set, else the calculated quantity */
+export const effectiveDispenseQuantity = (med) =>
+  med.dispenseQuantity !== null && med.dispenseQuantity !== undefined && med.dispenseQuantity !== ""
+    ? Number(med.dispenseQuantity)
+    : calculateDispenseQuantity(med);
+
+/* Expected supply in days: explicit value, else the length of the schedule */
+export const effectiveSupplyDays = (med) => (Number(med.expectedSupplyDays) > 0 ? Number(med.expectedSupplyDays) : scheduleDays(med));
+
+/* UCUM Duration for a number of days */
+export const daysDuration = (days) => ({ value: days, unit: "days", system: UCUM, code: "d" });
@@ -0,0 +1,98 @@
+// src/dosageOptions.js
+/*
+  Coded choices for the medication row dropdowns. This is the one place to
+  change what the form offers: each entry is a SNOMED CT concept, the form
+  stores its `code`, and the bundle builder emits the matching coding.
+
+  Shared by the form, the bundle builder and bundle import.
+*/
+
+export const SNOMED = "http://snomed.info/sct";
+
+// Additional dosage instructions (SNOMED "additional dosage instructions" qualifiers)
+export const ADDITIONAL_INSTRUCTION_OPTIONS = [
+  { code: "311504000", display: "With or after food" },
+  { code: "311501008", display: "Half to one hour before food", aliases: ["Before food"] },
+  { code: "717154004", display: "Take on an empty stomach", aliases: ["Empty stomach"] },
+  { code: "418914006", display: "Warning. May cause drowsiness" },
+  { code: "421984009", display: "Until finished" },
+];
+
+// Route of administration values
+export const ROUTE_OPTIONS = [
+  { code: "26643006", display: "Oral route" },
+  { code: "37839007", display: "Sublingual route" },
+  { code: "6064005", display: "Topical route", aliases: ["Topical"] },
+  { code: "47625008", display: "Intravenous route", aliases: ["Intravenous"] },
+  { code: "78421000", display: "Intramuscular route", aliases: ["Intramuscular"] },
+  { code: "34206005", display: "Subcutaneous route" },
+  { code: "447694001", display: "Respiratory tract route" },
+  { code: "46713006", display: "Nasal route" },
+  { code: "54485002", display: "Ophthalmic route" },
+  { code: "10547007", display: "Otic route" },
+  { code: "37161004", display: "Rectal route" },
+  { code: "16857009", display: "Vaginal route" },
+];
+
+// Administration methods
+export const METHOD_OPTIONS = [
+  { code: "421521009", display: "Swallow" },
+  { code: "419747000", display: "Chew" },
+  { code: "421134003", display: "Inhale" },
+  { code: "417924000", display: "Apply" },
+  { code: "422145002", display: "Inject" },
+];
+
+// "As needed" (PRN) reasons; anything else typed is kept as free text
+export const PRN_REASON_OPTIONS = [
+  { code: "22253000", display: "Pain" },
+  { code: "386661006", display: "Fever" },
+  { code: "25064002", display: "Headache" },
+  { code: "422587007", display: "Nausea" },
+  { code: "422400008", display: "Vomiting" },
+  { code: "62315008", display: "Diarrhea", aliases: ["Diarrhoea", "Loose stools"] },
+  { code: "49727002", display: "Cough" },
+  { code: "267036007", display: "Dyspnea", aliases: ["Breathlessness", "Shortness of breath"] },
+  { code: "193462001", display: "Insomnia", aliases: ["Sleeplessness"] },
+];
+
+export const UCUM = "http://unitsofmeasure.org";
+
+/*
+  Dose units: UCUM for measured doses, SNOMED "unit of presentation" for
+  countable forms. `plural` is used in the generated dosage text.
+*/
+export const DOSE_UNIT_OPTIONS = [
+  { system: SNOMED, code: "732936001", display: "tablet", plural: "tablets" },
+  { system: SNOMED, code: "732937005", display: "capsule", plural: "capsules" },
+  { system: SNOMED, code: "732981002", display: "actuation", plural: "actuations" },
+  { system: UCUM, code: "mg", display: "mg" },
+  { system: UCUM, code: "g", display: "g" },
+  { system: UCUM, code: "ug", display: "microgram", plural: "micrograms" },
+  { system: UCUM, code: "mL", display: "mL" },
+  { system: UCUM, code: "[drp]", display: "drop", plural: "drops" },
+  { system: UCUM, code: "[iU]", display: "IU" },
+];
+
+// UCUM period units; `word` is the singular used in text ("a day", "8 hours")
+export const PERIOD_UNIT_OPTIONS = [
+  { value: "d", label: "Day(s)", word: "day" },
+  { value: "h", label: "Hour(s)", word: "hour" },
+  { value: "wk", label: "Week(s)", word: "week" },
+  { value: "mo", label: "Month(s)", word: "month" },
+];
+
+/*
+  Find an option by code, or by display/alias (case-insensitive). `aliases`
+  are the labels the dropdowns used before the lists were coded, so older
+  form state and bundles ("Oral Route", "Before food") still resolve.
+*/
+export function findOption(options, value) {
+  if (!value) return null;
+  const v = String(value).trim().toLowerCase();
+  return (
+    options.find((o) => o.code === value) ||
+    options.find((o) => [o.display, ...(o.aliases || [])].some((label) => label.toLowerCase() === v)) ||
+    null
+  );
+}
@@ -0,0 +1,37 @@
+// src/dosageSteps.js
+/*
+  Multi-step (tapering / loading dose) schedules for a medication row.
+
+  The row's own dose and timing fields are the first step. `med.steps` holds
+  the steps that follow, each with only the fields that may change between
+  steps (STEP_FIELDS); drug, dose unit, route, method, instructions and PRN
+  settings are shared by every step.
+*/
+
+export const STEP_FIELDS = [
+  "dosageText",
+  "doseAmount",
+  "frequencyPreset",
+  "frequency",
+  "period",
+  "periodUnit",
+  "when",
+  "timeOfDay",
+  "durationValue",
+  "durationUnit",
+];
+
+/*
+  Every step of the row's schedule as a complete row (shared fields filled
+  in), first step first. A step without its own dosageText gets "".
+*/
+export function scheduleSteps(med = {}) {
+  const { steps = [], ...first } = med;
+  return [first, ...steps.map((step) => ({ ...first, dosageText: "", when: [], timeOfDay: "", ...step }))];
+}
+
+/* The row's steps with each one's dosageText regenerated by `describe(step)` */
+export function describeSteps(med, describe) {
+  const resolved = scheduleSteps(med).slice(1);
+  return (med.steps || []).map((step, k) => ({ ...step, dosageText: describe(resolved[k]) }));
+}
@@ -0,0 +1,111 @@
+// src/dosageText.js
+/*
+  Plain-language dosage text ("sig") generated from the structured fields of a
+  medication row, so Dosage.text always agrees with doseAndRate and timing.
+*/
+import {
+  ADDITIONAL_INSTRUCTION_OPTIONS,
+  ROUTE_OPTIONS,
+  METHOD_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+  PRN_REASON_OPTIONS,
+  findOption,
+} from "./dosageOptions.js";
+import { DURATION_UNIT_OPTIONS } from "./dispense.js";
+import { WHEN_LABELS, parseTimesOfDay } from "./frequencyPresets.js";
+
+const UNIT_WORDS = { s: "second", min: "minute", h: "hour", d: "day", wk: "week", mo: "month", a: "year" };
+const TIMES = { 1: "once", 2: "twice", 3: "three times", 4: "four times" };
+
+/* Dose unit option for a code */
+export const findDoseUnit = (code) => DOSE_UNIT_OPTIONS.find((u) => u.code === code) || null;
+
+/* "1 tablet", "2.5 mL", "2 tablets" */
+export function describeDose(amount, unitCode) {
+  const value = Number(amount);
+  if (!amount || !(value > 0)) return "";
+  const unit = findDoseUnit(unitCode);
+  const word = unit ? (value > 1 && unit.plural ? unit.plural : unit.display) : unitCode || "";
+  return `${value} ${word}`.trim();
+}
+
+/* "twice a day", "every 8 hours", "3 times every 2 days" */
+export function describeFrequency(frequency, period, periodUnit = "d") {
+  const f = Number(frequency) || 0;
+  const p = Number(period) || 1;
+  const unit = UNIT_WORDS[periodUnit] || periodUnit;
+  if (!f) return "";
+  if (f === 1 && p > 1) return `every ${p} ${unit}s`;
+  const times = TIMES[f] || `${f} times`;
+  return p === 1 ? `${times} a ${unit}` : `${times} every ${p} ${unit}s`;
+}
+
+/* "morning, afternoon and night" */
+const listWords = (words) => (words.length > 1 ? `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}` : words[0] || "");
+
+/* "(morning and night)", "at bedtime", "at 08:00 and 20:00" */
+export function describeTimesOfDay(when = [], timeOfDay = "") {
+  const times = parseTimesOfDay(timeOfDay) || [];
+  if (times.length) return `at ${listWords(times.map((t) => t.slice(0, 5)))}`;
+  const words = when.map((w) => WHEN_LABELS[w]).filter(Boolean);
+  if (words.length === 1 && when[0] === "HS") return "at bedtime";
+  return words.length ? `(${listWords(words)})` : "";
+}
+
+/* "when required", "when required for pain", "when required if fever > 100°F" */
+export function describeAsNeeded(reason) {
+  const option = findOption(PRN_REASON_OPTIONS, reason);
+  const text = option ? option.display.toLowerCase() : String(reason || "").trim();
+  if (!text) return "when required";
+  return /^(for|if|when|in case)\b/i.test(text) ? `when required ${text}` : `when required for ${text}`;
+}
+
+/* "no more than 4 tablets a day", "no more than 8 tablets in 24 hours" */
+export function describeMaxDose(amount, unitCode, period, periodUnit = "d") {
+  const dose = describeDose(amount, unitCode);
+  if (!dose) return "";
+  const p = Number(period) > 0 ? Number(period) : 1;
+  const unit = UNIT_WORDS[periodUnit] || periodUnit;
+  return `no more than ${dose} ${p === 1 ? `a ${unit}` : `in ${p} ${unit}s`}`;
+}
+
+/* "for 5 days", "for 1 week" */
+export function describeDuration(value, unit = "d") {
+  const v = Number(value);
+  const u = DURATION_UNIT_OPTIONS.find((o) => o.value === unit);
+  if (!(v > 0) || !u) return "";
+  return `for ${v} ${v === 1 ? u.display.replace(/s$/, "") : u.display}`;
+}
+
+/*
+  med: { doseAmount, doseUnit, frequency, period, periodUnit, when, timeOfDay,
+         asNeeded, asNeededReason, maxDoseAmount, maxDosePeriod,
+         maxDosePeriodUnit, durationValue, durationUnit, route, method, additionalInstruction }
+  e.g. "Swallow 1 tablet twice a day (oral route), with or after food"
+*/
+export function buildSigText(med = {}) {
+  const method = findOption(METHOD_OPTIONS, med.method);
+  const route = findOption(ROUTE_OPTIONS, med.route);
+  const extra = findOption(ADDITIONAL_INSTRUCTION_OPTIONS, med.additionalInstruction);
+
+  const dose = describeDose(med.doseAmount, med.doseUnit);
+  const often = describeFrequency(med.frequency, med.period, med.periodUnit);
+  const times = describeTimesOfDay(med.when, med.timeOfDay);
+  const duration = describeDuration(med.durationValue, med.durationUnit);
+
+  const main = [
+    method ? method.display : "Take",
+    dose || (method ? "" : "as directed"),
+    often,
+    times,
+    med.asNeeded ? describeAsNeeded(med.asNeededReason) : "",
+    duration,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const parts = [route ? `${main} (${route.display.toLowerCase()})` : main];
+  if (extra) parts.push(extra.display.charAt(0).toLowerCase() + extra.display.slice(1));
+  const maxDose = describeMaxDose(med.maxDoseAmount, med.doseUnit, med.maxDosePeriod, med.maxDosePeriodUnit);
+  if (maxDose) parts.push(maxDose);
+  return parts.join(", ");
+}
@@ -0,0 +1,33 @@
+import { buildSigText, describeFrequency } from './dosageText';
+
+test('describes common frequencies in words', () => {
+  expect(describeFrequency(1, 1, 'd')).toBe('once a day');
+  expect(describeFrequency(2, 1, 'd')).toBe('twice a day');
+  expect(describeFrequency(1, 8, 'h')).toBe('every 8 hours');
+  expect(describeFrequency(3, 2, 'd')).toBe('three times every 2 days');
+});
+
+test('builds the sig from dose, timing, route, method and instruction', () => {
+  expect(
+    buildSigText({
+      doseAmount: 2,
+      doseUnit: '732936001',
+      frequency: 2,
+      period: 1,
+      periodUnit: 'd',
+      route: '26643006',
+      method: '421521009',
+      additionalInstruction: '311504000',
+    })
+  ).toBe('Swallow 2 tablets twice a day (oral route), with or after food');
+  expect(buildSigText({ doseAmount: 5, doseUnit: 'mL', frequency: 1, period: 8, periodUnit: 'h' })).toBe('Take 5 mL every 8 hours');
+});
+
+test('reads as-needed reasons and the maximum dose naturally', () => {
+  const sos = { doseAmount: 1, doseUnit: '732936001', asNeeded: true, maxDoseAmount: 4 };
+  expect(buildSigText({ ...sos, asNeededReason: '22253000' })).toBe('Take 1 tablet when required for pain, no more than 4 tablets a day');
+  expect(buildSigText({ ...sos, asNeededReason: 'if fever > 100°F', maxDoseAmount: null })).toBe('Take 1 tablet when required if fever > 100°F');
+  expect(buildSigText({ ...sos, asNeededReason: '', maxDosePeriod: 24, maxDosePeriodUnit: 'h' })).toBe(
+    'Take 1 tablet when required, no more than 4 tablets in 24 hours'
+  );
+});
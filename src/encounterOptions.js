@@ -0,0 +1,46 @@
+// src/encounterOptions.js
+/*
+  Coded choices for the admission (Encounter) card. Like conditionOptions.js,
+  the form stores each option's `code` and the bundle builder emits the
+  option's system/code/display.
+
+  Shared by the form, the bundle builder and bundle import.
+*/
+
+const ACT_CODE = "http://terminology.hl7.org/CodeSystem/v3-ActCode";
+const DISPOSITION = "http://terminology.hl7.org/CodeSystem/discharge-disposition";
+const PARTICIPATION = "http://terminology.hl7.org/CodeSystem/v3-ParticipationType";
+
+// Encounter.class (v3 ActEncounterCode); a discharge prescription is normally IMP
+export const ENCOUNTER_CLASS_OPTIONS = [
+  { system: ACT_CODE, code: "IMP", display: "inpatient encounter" },
+  { system: ACT_CODE, code: "ACUTE", display: "inpatient acute" },
+  { system: ACT_CODE, code: "NONAC", display: "inpatient non-acute" },
+  { system: ACT_CODE, code: "SS", display: "short stay" },
+  { system: ACT_CODE, code: "EMER", display: "emergency" },
+  { system: ACT_CODE, code: "AMB", display: "ambulatory" },
+];
+
+// Encounter.hospitalization.dischargeDisposition (FHIR R4 discharge-disposition)
+export const DISCHARGE_DISPOSITION_OPTIONS = [
+  { system: DISPOSITION, code: "home", display: "Home" },
+  { system: DISPOSITION, code: "alt-home", display: "Alternative home" },
+  { system: DISPOSITION, code: "other-hcf", display: "Other healthcare facility" },
+  { system: DISPOSITION, code: "hosp", display: "Hospice" },
+  { system: DISPOSITION, code: "long", display: "Long-term care" },
+  { system: DISPOSITION, code: "aadvice", display: "Left against advice" },
+  { system: DISPOSITION, code: "exp", display: "Expired" },
+  { system: DISPOSITION, code: "psy", display: "Psychiatric hospital" },
+  { system: DISPOSITION, code: "rehab", display: "Rehabilitation" },
+  { system: DISPOSITION, code: "snf", display: "Skilled nursing facility" },
+  { system: DISPOSITION, code: "oth", display: "Other" },
+];
+
+/*
+  Encounter.participant roles the card captures, keyed by the prefix of the
+  form fields that hold the practitioner (admitterName / admitterLicense).
+*/
+export const PARTICIPANT_ROLES = [
+  { field: "admitter", label: "Admitting", type: { system: PARTICIPATION, code: "ADM", display: "admitter" } },
+  { field: "discharger", label: "Discharging", type: { system: PARTICIPATION, code: "DIS", display: "discharger" } },
+];
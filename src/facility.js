@@ -0,0 +1,72 @@
+// src/facility.js
+/*
+  Facility (hospital / HIP) configuration: who issues the prescription.
+
+  { name, hfrId, line, city, district, state, postalCode, phone, logo }
+  hfrId is the ABDM Health Facility Registry id (e.g. IN2410000949); logo is
+  a data: URL used on the printed letterhead only. The configuration is kept
+  in localStorage so it is entered once per installation.
+
+  The builder emits it as an Organization and derives the identifier systems
+  of the documents it issues from the HFR id (see identifierSystem).
+*/
+
+const STORAGE_KEY = "prescription-form.facility";
+
+// ABDM Health Facility Registry
+export const HFR_SYSTEM = "https://facility.ndhm.gov.in";
+
+// "IN" followed by 10 digits
+export const HFR_ID_PATTERN = /^IN\d{10}$/;
+
+// Nothing configured: blank, so validation asks for the name and HFR id before anything is submitted
+export const DEFAULT_FACILITY = {
+  name: "",
+  hfrId: "",
+  line: "",
+  city: "",
+  district: "",
+  state: "",
+  postalCode: "",
+  phone: "",
+  logo: "",
+};
+
+// Placeholders used when no facility is configured (older builds wrote these)
+const LEGACY_SYSTEMS = { bundle: "http://hip.in", composition: "https://ndhm.in/phr" };
+
+/*
+  Identifier system for identifiers of `kind` ("bundle", "composition",
+  "patient" for MRNs, ...) issued by the facility: a namespace under its HFR id, e.g.
+  https://facility.ndhm.gov.in/IN2410000949/bundle.
+*/
+export function identifierSystem(facility, kind) {
+  const hfrId = (facility?.hfrId || "").trim();
+  if (!hfrId) return LEGACY_SYSTEMS[kind] || `http://hip.in/${kind}`;
+  return `${HFR_SYSTEM}/${encodeURIComponent(hfrId)}/${kind}`;
+}
+
+/* One-line postal address ("12 Station Road, Gaya, Bihar 823001") */
+export function formatAddress(facility = {}) {
+  const place = [facility.city, facility.district !== facility.city ? facility.district : ""].filter(Boolean);
+  const statePin = [facility.state, facility.postalCode].filter(Boolean).join(" ");
+  return [facility.line, ...place, statePin].filter(Boolean).join(", ");
+}
+
+const browserStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+/* The stored configuration, else the blank default */
+export function loadFacility(storage = browserStorage()) {
+  try {
+    const stored = storage && JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    if (stored && typeof stored === "object") return { ...DEFAULT_FACILITY, ...stored };
+  } catch (e) {
+    // fall through to the default
+  }
+  return DEFAULT_FACILITY;
+}
+
+export function saveFacility(facility, storage = browserStorage()) {
+  if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(facility));
+  return facility;
+}
@@ -0,0 +1,216 @@
+// src/fhirClient.js
+/*
+  Minimal FHIR REST client for submitting Prescription bundles.
+
+  POSTs the DocumentBundle to `${baseUrl}/Bundle` with a per-attempt timeout,
+  retries transient failures, and turns any OperationOutcome in the response
+  into issues that the form can show next to its fields.
+
+  The POST is a conditional create on Bundle.identifier (If-None-Exist), so a
+  retry after a timeout or a lost response finds the stored document instead
+  of storing it twice. A bundle without an identifier is only retried when the
+  server surely did not process it (429 / 503).
+
+  Configuration comes from the CRA environment (.env.local) by default:
+    REACT_APP_FHIR_BASE_URL    e.g. https://fhir.example.org/fhir; required. "mock" opts in to
+                               the in-browser mock server (nothing is stored)
+    REACT_APP_FHIR_AUTH_TOKEN  sent as "Authorization: Bearer <token>"
+    REACT_APP_FHIR_TIMEOUT_MS  per-attempt timeout (default 15000)
+    REACT_APP_FHIR_RETRIES     retries after the first attempt (default 2)
+*/
+
+const env = (typeof process !== "undefined" && process.env) || {};
+
+export const DEFAULT_FHIR_CONFIG = {
+  baseUrl: env.REACT_APP_FHIR_BASE_URL || "",
+  authToken: env.REACT_APP_FHIR_AUTH_TOKEN || "",
+  headers: {},
+  timeoutMs: Number(env.REACT_APP_FHIR_TIMEOUT_MS) || 15000,
+  retries: env.REACT_APP_FHIR_RETRIES !== undefined ? Number(env.REACT_APP_FHIR_RETRIES) : 2,
+  retryDelayMs: 500,
+};
+
+// HTTP statuses where the server did not process the request (rate limit / unavailable)
+const NOT_PROCESSED_STATUS = [429, 503];
+// HTTP statuses where it may have: only retried as a conditional create
+const MAYBE_PROCESSED_STATUS = [408, 502, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* If-None-Exist query for the bundle's business identifier, or "" without one */
+export function ifNoneExist(bundle) {
+  const { system, value } = bundle?.identifier || {};
+  return system && value ? `identifier=${encodeURIComponent(system)}|${encodeURIComponent(value)}` : "";
+}
+
+/* Retry-After (seconds) in ms, or 0 */
+function retryAfterMs(res) {
+  const seconds = Number(res.headers?.get?.("Retry-After"));
+  return seconds > 0 ? seconds * 1000 : 0;
+}
+
+/* Issues of an OperationOutcome as { severity, code, location, message } */
+export function outcomeIssues(outcome) {
+  if (!outcome || outcome.resourceType !== "OperationOutcome") return [];
+  return (outcome.issue || []).map((i) => ({
+    severity: i.severity,
+    code: i.code,
+    location: (i.expression && i.expression[0]) || (i.location && i.location[0]) || "",
+    message: i.diagnostics || i.details?.text || i.code,
+  }));
+}
+
+/*
+  Resource element -> form field. MedicationRequest and Condition fields are
+  per row, so they carry a "{n}" placeholder that is filled with the row index
+  (the entry's position among resources of its type).
+*/
+const FIELD_BY_ELEMENT = {
+  Organization: { name: "facility.name", identifier: "facility.hfrId", telecom: "facility.phone", address: "facility.line" },
+  Practitioner: { name: "practitioner.name", identifier: "practitioner.license", qualification: "practitioner.qualificationDisplay" },
+  Patient: {
+    name: "patient.name",
+    identifier: "patient.mrn",
+    birthDate: "patient.birthDate",
+    gender: "patient.gender",
+    telecom: "patient.phone",
+    address: "patient.addressLine",
+  },
+  Condition: {
+    code: "conditions.{n}.text",
+    clinicalStatus: "conditions.{n}.clinicalStatus",
+    verificationStatus: "conditions.{n}.verificationStatus",
+    category: "conditions.{n}.category",
+    severity: "conditions.{n}.severity",
+    onsetDateTime: "conditions.{n}.onsetDate",
+    onsetAge: "conditions.{n}.onsetAge",
+    note: "conditions.{n}.note",
+  },
+  Encounter: {
+    class: "encounter.classCode",
+    period: "encounter.admittedAt",
+    hospitalization: "encounter.dischargeDisposition",
+  },
+  Composition: { title: "composition.title", date: "composition.date", status: "composition.status" },
+  MedicationRequest: {
+    medicationCodeableConcept: "medications.{n}.medicationText",
+    authoredOn: "medications.{n}.authoredOn",
+    dosageInstruction: "medications.{n}.dosageText",
+  },
+};
+
+/*
+  Map a FHIRPath location from an OperationOutcome back to a form field path,
+  using the submitted bundle to resolve which entry it points at. Returns null
+  when the location has no form counterpart.
+*/
+export function fieldForLocation(bundle, location) {
+  const match = /^Bundle\.entry\[(\d+)\]\.resource\.(\w+)/.exec(location || "");
+  if (!match || !bundle) return null;
+  const entries = bundle.entry || [];
+  const index = Number(match[1]);
+  const resource = entries[index]?.resource;
+  const template = resource && FIELD_BY_ELEMENT[resource.resourceType]?.[match[2]];
+  if (!template) return null;
+  const rowIndex = entries
+    .slice(0, index)
+    .filter((e) => e.resource?.resourceType === resource.resourceType).length;
+  return template.replace("{n}", rowIndex);
+}
+
+/* { fieldPath: message } for every issue that maps to a form field */
+export function mapIssuesToFields(bundle, issues) {
+  return issues.reduce((fields, issue) => {
+    const field = fieldForLocation(bundle, issue.location);
+    if (field && !fields[field]) fields[field] = issue.message;
+    return fields;
+  }, {});
+}
+
+/*
+  POST a bundle. Never throws; resolves to
+    { ok, status, resource, issues, error, attempts }
+  status is 201 for a new document and 200 when the server already had it.
+  options override DEFAULT_FHIR_CONFIG and may add `fetchImpl` (defaults to global fetch).
+*/
+export async function submitBundle(bundle, options = {}) {
+  const config = { ...DEFAULT_FHIR_CONFIG, ...options };
+  if (!config.baseUrl) {
+    return {
+      ok: false,
+      status: 0,
+      resource: null,
+      issues: [],
+      error: "No FHIR server is configured (set REACT_APP_FHIR_BASE_URL)",
+      attempts: 0,
+    };
+  }
+  const fetchImpl = config.fetchImpl || ((...args) => fetch(...args));
+  const url = `${config.baseUrl.replace(/\/+$/, "")}/Bundle`;
+  const condition = ifNoneExist(bundle);
+  const headers = {
+    "Content-Type": "application/fhir+json",
+    Accept: "application/fhir+json",
+    ...(condition ? { "If-None-Exist": condition } : {}),
+    ...(config.authToken ? { Authorization: `Bearer ${config.authToken}` } : {}),
+    ...config.headers,
+  };
+
+  let attempts = 0;
+  let last = { ok: false, status: 0, resource: null, issues: [], error: "" };
+  let retry = false;
+  let waitMs = 0;
+
+  while (attempts <= config.retries) {
+    if (attempts > 0) {
+      if (!retry) break;
+      await sleep(Math.max(config.retryDelayMs * 2 ** (attempts - 1), waitMs));
+    }
+    attempts++;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    try {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(bundle),
+        signal: controller.signal,
+      });
+      const text = await res.text();
+      let resource = null;
+      try {
+        resource = text ? JSON.parse(text) : null;
+      } catch (e) {
+        resource = null;
+      }
+      last = {
+        ok: res.ok,
+        status: res.status,
+        resource,
+        issues: outcomeIssues(resource),
+        error: res.ok ? "" : `Server responded ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`,
+      };
+      waitMs = retryAfterMs(res);
+      // a Retry-After longer than an attempt is reported rather than waited out
+      retry =
+        (NOT_PROCESSED_STATUS.includes(res.status) || (Boolean(condition) && MAYBE_PROCESSED_STATUS.includes(res.status))) &&
+        waitMs <= config.timeoutMs;
+    } catch (err) {
+      last = {
+        ok: false,
+        status: 0,
+        resource: null,
+        issues: [],
+        error: err.name === "AbortError" ? `Timed out after ${config.timeoutMs} ms` : `Network error: ${err.message}`,
+      };
+      // the request may have reached the server
+      retry = Boolean(condition);
+      waitMs = 0;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { ...last, attempts };
+}
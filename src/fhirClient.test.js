@@ -0,0 +1,78 @@
+import { submitBundle, mapIssuesToFields } from './fhirClient';
+import { createMockFhirServer } from './mockFhirServer';
+import { buildPrescriptionBundle } from './prescriptionBundle';
+
+const bundle = buildPrescriptionBundle({
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+  patient: { name: 'ABC', mrn: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+  conditions: [{ id: 'c1', text: 'Abdominal pain', code: '21522001', clinicalStatus: 'active' }],
+  composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+  medications: [{ medicationText: 'Azithromycin 250 mg oral tablet', medicationCode: '1145423002' }],
+});
+
+const fast = { baseUrl: 'http://fhir.test/fhir', retryDelayMs: 1 };
+
+test('posts the bundle with FHIR and auth headers', async () => {
+  const server = createMockFhirServer({ requireAuth: true });
+  const result = await submitBundle(bundle, { ...fast, authToken: 'secret', fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: true, status: 201, attempts: 1 });
+  expect(server.requests[0]).toMatchObject({
+    url: 'http://fhir.test/fhir/Bundle',
+    method: 'POST',
+    headers: expect.objectContaining({
+      authorization: 'Bearer secret',
+      'content-type': 'application/fhir+json',
+      'if-none-exist': `identifier=${encodeURIComponent(bundle.identifier.system)}|${bundle.identifier.value}`,
+    }),
+  });
+});
+
+test('refuses to submit until a server is configured', async () => {
+  const server = createMockFhirServer();
+  const result = await submitBundle(bundle, { baseUrl: '', fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: false, attempts: 0 });
+  expect(result.error).toMatch(/REACT_APP_FHIR_BASE_URL/);
+  expect(server.requests).toHaveLength(0);
+});
+
+test('retries transient failures', async () => {
+  const server = createMockFhirServer({ failFirst: 2 });
+  const result = await submitBundle(bundle, { ...fast, retries: 2, fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: true, attempts: 3 });
+});
+
+test('retries a lost response without storing the bundle twice', async () => {
+  const server = createMockFhirServer({ dropFirst: 1 });
+  const result = await submitBundle(bundle, { ...fast, retries: 2, fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: true, status: 200, attempts: 2 });
+  expect(server.stored).toHaveLength(1);
+  expect(result.resource.id).toBe(server.stored[0].id);
+});
+
+test('does not retry a bundle without an identifier once it may have reached the server', async () => {
+  const { identifier, ...anonymous } = bundle;
+  const server = createMockFhirServer({ dropFirst: 1 });
+  const result = await submitBundle(anonymous, { ...fast, retries: 2, fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: false, status: 0, attempts: 1 });
+  expect(result.error).toMatch(/Network error/);
+  expect(server.requests[0].headers['if-none-exist']).toBeUndefined();
+});
+
+test('gives up after a timeout on every attempt', async () => {
+  const server = createMockFhirServer({ latencyMs: 50 });
+  const result = await submitBundle(bundle, { ...fast, retries: 1, timeoutMs: 5, fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: false, status: 0, attempts: 2 });
+  expect(result.error).toMatch(/Timed out/);
+});
+
+test('maps OperationOutcome issues back to form fields', async () => {
+  const broken = JSON.parse(JSON.stringify(bundle));
+  broken.entry[1].resource.gender = 'M';
+  delete broken.entry[3].resource.authoredOn;
+  const result = await submitBundle(broken, { ...fast, fetchImpl: createMockFhirServer().fetch });
+  expect(result.status).toBe(422);
+  expect(mapIssuesToFields(broken, result.issues)).toMatchObject({
+    'patient.gender': expect.any(String),
+    'medications.0.authoredOn': expect.any(String),
+  });
+});
@@ -0,0 +1,188 @@
+// src/formValidation.js
+/*
+  Validation for the prescription form model (the plain state objects the
+  form keeps before a bundle is built). Pure functions only.
+
+  validateForm() returns a flat map of field path -> message, e.g.
+    { "patient.birthDate": "Date of birth cannot be in the future",
+      "medications.0.dosageText": "Dosage instructions are required" }
+  An empty object means the model is valid.
+*/
+import { parseFrequency, parseTimesOfDay } from "./frequencyPresets";
+import { ICD10_CODE_PATTERN } from "./icd10";
+import { PARTICIPANT_ROLES } from "./encounterOptions";
+import { HFR_ID_PATTERN } from "./facility";
+import { ABHA_ADDRESS_PATTERN, ABHA_NUMBER_PATTERN } from "./abha";
+import { PIN_CODE_PATTERN } from "./address";
+
+// HPR ID / registration no.: letters, digits and - / . separators
+export const LICENSE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9\-/. ]{2,29}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/* Today's date as YYYY-MM-DD in local time (date inputs are local, not UTC) */
+export function localDateString(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const blank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/*
+  form: { facility, practitioner, patient, encounter, conditions, composition, medications }
+  options: { today: 'YYYY-MM-DD' } — defaults to the local date
+*/
+export function validateForm(form, options = {}) {
+  const { facility = null, practitioner = {}, patient = {}, encounter = null, conditions = [], composition = {}, medications = [] } = form || {};
+  const today = options.today || localDateString();
+  const errors = {};
+  const fail = (path, message) => {
+    if (!errors[path]) errors[path] = message;
+  };
+
+  const checkDate = (path, value, label) => {
+    if (blank(value)) return;
+    if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+      fail(path, `${label} is not a valid date`);
+    } else if (value > today) {
+      fail(path, `${label} cannot be in the future`);
+    }
+  };
+
+  /* 0. Facility */
+  if (facility) {
+    if (blank(facility.name)) fail("facility.name", "Facility name is required");
+    if (blank(facility.hfrId)) fail("facility.hfrId", "HFR facility ID is required");
+    else if (!HFR_ID_PATTERN.test(facility.hfrId.trim())) fail("facility.hfrId", "HFR facility ID is IN followed by 10 digits, e.g. IN2410000949");
+    if (!blank(facility.postalCode) && !/^\d{6}$/.test(facility.postalCode.trim())) fail("facility.postalCode", "PIN code must be 6 digits");
+  }
+
+  /* 1. Practitioner */
+  if (blank(practitioner.name)) fail("practitioner.name", "Practitioner name is required");
+  if (blank(practitioner.license)) fail("practitioner.license", "HPR ID is required");
+  else if (!LICENSE_PATTERN.test(practitioner.license.trim()))
+    fail("practitioner.license", "HPR ID may contain only letters, digits and - / . (3–30 characters)");
+  if (!blank(practitioner.council) && blank(practitioner.qualificationDisplay) && blank(practitioner.qualificationCode))
+    fail("practitioner.qualificationDisplay", "Enter the qualification the council registered");
+
+  /* 2. Patient */
+  if (blank(patient.name)) fail("patient.name", "Patient name is required");
+  if (blank(patient.mrn) && blank(patient.abhaNumber)) fail("patient.mrn", "Enter the medical record number or the ABHA number");
+  if (!blank(patient.abhaNumber) && !ABHA_NUMBER_PATTERN.test(patient.abhaNumber.trim()))
+    fail("patient.abhaNumber", "ABHA number is 14 digits, e.g. 91-7104-3321-8355");
+  if (blank(patient.birthDate)) fail("patient.birthDate", "Date of birth is required");
+  else checkDate("patient.birthDate", patient.birthDate, "Date of birth");
+  if (blank(patient.gender)) fail("patient.gender", "Gender is required");
+  if (!blank(patient.email) && !EMAIL_PATTERN.test(patient.email.trim())) fail("patient.email", "Not a valid email address");
+  if (!blank(patient.postalCode) && !PIN_CODE_PATTERN.test(patient.postalCode.trim()))
+    fail("patient.postalCode", "PIN code is 6 digits, e.g. 823002");
+  if (!blank(patient.abhaAddress) && !ABHA_ADDRESS_PATTERN.test(patient.abhaAddress.trim()))
+    fail("patient.abhaAddress", "ABHA address looks like name@abdm");
+
+  /* 3. Encounter (admission) — times are datetime-local values */
+  if (encounter) {
+    const checkDateTime = (path, value, label) => {
+      if (!DATE_TIME_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) fail(path, `${label} is not a valid date and time`);
+    };
+    if (blank(encounter.classCode)) fail("encounter.classCode", "Encounter class is required");
+    if (blank(encounter.admittedAt)) fail("encounter.admittedAt", "Admission date and time is required");
+    else {
+      checkDateTime("encounter.admittedAt", encounter.admittedAt, "Admission");
+      if (encounter.admittedAt.slice(0, 10) > today) fail("encounter.admittedAt", "Admission cannot be in the future");
+      if (!blank(patient.birthDate) && encounter.admittedAt.slice(0, 10) < patient.birthDate)
+        fail("encounter.admittedAt", "Admission cannot be before the date of birth");
+    }
+    if (!blank(encounter.dischargedAt)) {
+      checkDateTime("encounter.dischargedAt", encounter.dischargedAt, "Discharge");
+      if (!errors["encounter.admittedAt"] && !blank(encounter.admittedAt) && encounter.dischargedAt < encounter.admittedAt)
+        fail("encounter.dischargedAt", "Discharge cannot be before admission");
+    }
+    PARTICIPANT_ROLES.forEach(({ field, label }) => {
+      const name = encounter[`${field}Name`];
+      const license = encounter[`${field}License`];
+      if (blank(name) && blank(license)) return;
+      if (blank(name)) fail(`encounter.${field}Name`, `${label} practitioner's name is required`);
+      if (blank(license)) fail(`encounter.${field}License`, `${label} practitioner's HPR ID is required`);
+      else if (!LICENSE_PATTERN.test(license.trim()))
+        fail(`encounter.${field}License`, "HPR ID may contain only letters, digits and - / . (3–30 characters)");
+    });
+  }
+
+  /* 4. Conditions */
+  if (conditions.length === 0) fail("conditions", "Add at least one diagnosis");
+  conditions.forEach((c, idx) => {
+    if (blank(c.text)) fail(`conditions.${idx}.text`, "Diagnosis is required");
+    if (!blank(c.icd10Code) && !ICD10_CODE_PATTERN.test(c.icd10Code.trim()))
+      fail(`conditions.${idx}.icd10Code`, "Pick an ICD-10 code from the list or enter one like R10.4");
+    if (c.onsetType === "date" && !blank(c.onsetDate)) {
+      checkDate(`conditions.${idx}.onsetDate`, c.onsetDate, "Onset date");
+      if (!errors[`conditions.${idx}.onsetDate`] && !blank(patient.birthDate) && c.onsetDate < patient.birthDate)
+        fail(`conditions.${idx}.onsetDate`, "Onset date cannot be before the date of birth");
+    }
+    if (c.onsetType === "age" && !(Number(c.onsetAge) > 0)) fail(`conditions.${idx}.onsetAge`, "Onset age must be greater than 0");
+  });
+
+  /* 5. Composition */
+  if (blank(composition.title)) fail("composition.title", "Title is required");
+  if (blank(composition.date)) fail("composition.date", "Prescription date is required");
+  else checkDate("composition.date", composition.date, "Prescription date");
+
+  if (
+    !errors["patient.birthDate"] &&
+    !errors["composition.date"] &&
+    !blank(patient.birthDate) &&
+    !blank(composition.date) &&
+    patient.birthDate > composition.date
+  ) {
+    fail("patient.birthDate", "Date of birth must be on or before the prescription date");
+  }
+
+  /* 6. Medications */
+  medications.forEach((m, idx) => {
+    if (blank(m.medicationText)) fail(`medications.${idx}.medicationText`, "Drug name is required");
+    checkDate(`medications.${idx}.authoredOn`, m.authoredOn, "Authored on");
+    if (blank(m.dosageText)) fail(`medications.${idx}.dosageText`, "Dosage instructions are required");
+    if (!blank(m.doseAmount) && !(Number(m.doseAmount) > 0)) fail(`medications.${idx}.doseAmount`, "Dose must be greater than 0");
+    if (!blank(m.doseAmount) && blank(m.doseUnit)) fail(`medications.${idx}.doseUnit`, "Choose a unit for the dose");
+    if (!blank(m.frequencyPreset) && !parseFrequency(m.frequencyPreset))
+      fail(`medications.${idx}.frequencyPreset`, "Use OD, BD, TDS, QID, HS, SOS or a pattern like 1-0-1 with the same dose at each time");
+    if (!blank(m.timeOfDay) && !parseTimesOfDay(m.timeOfDay))
+      fail(`medications.${idx}.timeOfDay`, "Times must be 24-hour HH:MM, separated by commas");
+    if (m.asNeeded && !blank(m.maxDoseAmount)) {
+      if (!(Number(m.maxDoseAmount) > 0)) fail(`medications.${idx}.maxDoseAmount`, "Maximum dose must be greater than 0");
+      else if (Number(m.doseAmount) > Number(m.maxDoseAmount))
+        fail(`medications.${idx}.maxDoseAmount`, "Maximum dose cannot be less than a single dose");
+    }
+    // tapering: every step but an open-ended last one needs a duration
+    const steps = m.steps || [];
+    if (steps.length && !(Number(m.durationValue) > 0))
+      fail(`medications.${idx}.durationValue`, "Set how long the first step lasts before the next one starts");
+    steps.forEach((step, k) => {
+      const path = `medications.${idx}.steps.${k}`;
+      if (!(Number(step.doseAmount) > 0)) fail(`${path}.doseAmount`, "Dose must be greater than 0");
+      if (!blank(step.frequencyPreset) && !parseFrequency(step.frequencyPreset))
+        fail(`${path}.frequencyPreset`, "Use OD, BD, TDS, QID, HS or a pattern like 1-0-1");
+      if (k < steps.length - 1 && !(Number(step.durationValue) > 0))
+        fail(`${path}.durationValue`, "Set how long this step lasts before the next one starts");
+    });
+    if (!blank(m.dispenseQuantity) && !(Number(m.dispenseQuantity) > 0))
+      fail(`medications.${idx}.dispenseQuantity`, "Quantity must be greater than 0");
+    if (!blank(m.numberOfRepeats) && !(Number.isInteger(Number(m.numberOfRepeats)) && Number(m.numberOfRepeats) >= 0))
+      fail(`medications.${idx}.numberOfRepeats`, "Refills must be a whole number, 0 or more");
+    if (!blank(m.validUntil) && !blank(composition.date) && m.validUntil < composition.date)
+      fail(`medications.${idx}.validUntil`, "Valid until cannot be before the prescription date");
+  });
+
+  return errors;
+}
+
+/* Form cards in on-screen order; a field path's first segment names its card */
+export const FORM_CARDS = ["facility", "practitioner", "patient", "encounter", "conditions", "composition", "medications"];
+
+/* First card (in on-screen order) holding an invalid field, or null */
+export function firstInvalidCard(errors) {
+  const invalid = new Set(Object.keys(errors).map((path) => path.split(".")[0]));
+  return FORM_CARDS.find((card) => invalid.has(card)) || null;
+}
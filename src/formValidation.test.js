@@ -0,0 +1,88 @@
+import { validateForm, firstInvalidCard } from './formValidation';
+import { loadFacility } from './facility';
+
+const valid = {
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+  patient: { name: 'ABC', mrn: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male' },
+  conditions: [{ id: 'c1', text: 'Abdominal pain' }],
+  composition: { title: 'Prescription record', date: '2025-08-12' },
+  medications: [{ medicationText: 'Azithromycin 250 mg oral tablet', dosageText: 'One tablet at once' }],
+};
+const today = '2025-08-12';
+
+test('a complete model has no errors', () => {
+  expect(validateForm(valid, { today })).toEqual({});
+});
+
+test('reports missing required fields by path', () => {
+  const errors = validateForm(
+    { ...valid, conditions: [{ id: 'c1', text: '' }], medications: [{ medicationText: '', dosageText: '' }] },
+    { today }
+  );
+  expect(Object.keys(errors)).toEqual(['conditions.0.text', 'medications.0.medicationText', 'medications.0.dosageText']);
+  expect(firstInvalidCard(errors)).toBe('conditions');
+});
+
+test('checks ABHA and license formats and date ordering', () => {
+  const errors = validateForm(
+    {
+      ...valid,
+      practitioner: { ...valid.practitioner, license: '#' },
+      patient: { ...valid.patient, abhaNumber: '1234', birthDate: '2025-08-20' },
+      composition: { ...valid.composition, date: '2025-08-01' },
+    },
+    { today }
+  );
+  expect(errors['practitioner.license']).toBeDefined();
+  expect(errors['patient.abhaNumber']).toMatch(/14 digits/);
+  expect(errors['patient.birthDate']).toMatch(/future/);
+});
+
+test('date of birth must not be after the prescription date', () => {
+  const errors = validateForm({ ...valid, patient: { ...valid.patient, birthDate: '2025-08-10' }, composition: { ...valid.composition, date: '2025-08-01' } }, { today });
+  expect(errors['patient.birthDate']).toMatch(/on or before/);
+});
+
+test('checks the admission and discharge times and participants', () => {
+  const encounter = { classCode: 'IMP', admittedAt: '2025-08-08T10:30', dischargedAt: '2025-08-12T16:00' };
+  expect(validateForm({ ...valid, encounter }, { today })).toEqual({});
+  expect(
+    validateForm({ ...valid, encounter: { ...encounter, dischargedAt: '2025-08-07T09:00', dischargerName: 'Dr. GHI' } }, { today })
+  ).toEqual({
+    'encounter.dischargedAt': 'Discharge cannot be before admission',
+    'encounter.dischargerLicense': "Discharging practitioner's HPR ID is required",
+  });
+  expect(validateForm({ ...valid, encounter: { ...encounter, admittedAt: '2025-08-13T08:00' } }, { today })).toMatchObject({
+    'encounter.admittedAt': 'Admission cannot be in the future',
+  });
+});
+
+test('checks the facility HFR id and PIN code', () => {
+  const facility = { name: 'City General Hospital', hfrId: 'IN2410000949', postalCode: '823001' };
+  expect(validateForm({ ...valid, facility }, { today })).toEqual({});
+  expect(validateForm({ ...valid, facility: { ...facility, hfrId: '2410000949', postalCode: '8230' } }, { today })).toEqual({
+    'facility.hfrId': 'HFR facility ID is IN followed by 10 digits, e.g. IN2410000949',
+    'facility.postalCode': 'PIN code must be 6 digits',
+  });
+});
+
+test('an unconfigured facility fails validation until it is filled in', () => {
+  expect(validateForm({ ...valid, facility: loadFacility(null) }, { today })).toEqual({
+    'facility.name': 'Facility name is required',
+    'facility.hfrId': 'HFR facility ID is required',
+  });
+});
+
+test('checks the patient email, PIN code and ABHA address when given', () => {
+  const patient = { ...valid.patient, email: 'abc@', postalCode: '02300', abhaAddress: 'abc' };
+  const errors = validateForm({ ...valid, patient }, { today });
+  expect(Object.keys(errors)).toEqual(['patient.email', 'patient.postalCode', 'patient.abhaAddress']);
+  const fixed = { ...patient, email: 'abc@example.com', postalCode: '823002', abhaAddress: 'abc.1@sbx' };
+  expect(validateForm({ ...valid, patient: fixed }, { today })).toEqual({});
+});
+
+test('needs the hospital MRN or the ABHA number', () => {
+  const errors = validateForm({ ...valid, patient: { ...valid.patient, mrn: '' } }, { today });
+  expect(Object.keys(errors)).toEqual(['patient.mrn']);
+  expect(validateForm({ ...valid, patient: { ...valid.patient, mrn: '', abhaNumber: '91710433218355' } }, { today })).toEqual({});
+});
@@ -0,0 +1,102 @@
+// src/frequencyPresets.js
+/*
+  Frequency shorthand as written on Indian prescriptions, mapped to the
+  structured timing the form keeps for a medication row:
+  { frequency, period, periodUnit, when, asNeeded, doseAmount }.
+
+  - Abbreviations: OD, BD, TDS, QID, HS, SOS (and their Latin synonyms)
+  - Slot patterns: "1-0-1" is morning-afternoon-night, "1-1-1-1" is
+    morning-afternoon-evening-night. Each number is the dose taken at that
+    time, so "2-0-2" is two tablets morning and night.
+
+  `when` holds FHIR event-timing codes (Timing.repeat.when).
+*/
+
+export const WHEN_LABELS = { MORN: "morning", AFT: "afternoon", EVE: "evening", NIGHT: "night", HS: "bedtime" };
+
+const SLOTS = { 3: ["MORN", "AFT", "NIGHT"], 4: ["MORN", "AFT", "EVE", "NIGHT"] };
+
+const ABBREVIATIONS = [
+  { value: "OD", aliases: ["QD"], label: "once a day", frequency: 1 },
+  { value: "BD", aliases: ["BID"], label: "twice a day", frequency: 2 },
+  { value: "TDS", aliases: ["TID"], label: "three times a day", frequency: 3 },
+  { value: "QID", aliases: ["QDS"], label: "four times a day", frequency: 4 },
+  { value: "HS", aliases: [], label: "at bedtime", frequency: 1, when: ["HS"] },
+  { value: "SOS", aliases: ["PRN"], label: "when required", asNeeded: true },
+];
+
+// What the preset picker suggests; anything parseFrequency accepts may be typed
+export const FREQUENCY_PRESETS = [
+  ...ABBREVIATIONS.map((a) => ({ value: a.value, label: `${a.value} — ${a.label}` })),
+  { value: "1-0-0", label: "1-0-0 — morning" },
+  { value: "0-0-1", label: "0-0-1 — night" },
+  { value: "1-0-1", label: "1-0-1 — morning and night" },
+  { value: "1-1-1", label: "1-1-1 — morning, afternoon and night" },
+  { value: "1-1-1-1", label: "1-1-1-1 — morning, afternoon, evening and night" },
+];
+
+const slotAmount = (s) => (s === "½" ? 0.5 : Number(s));
+
+/*
+  Timing fields for a shorthand, or null when it is not recognised. Slot
+  patterns with different doses at different times are not recognised: one
+  dosage line carries a single dose.
+*/
+export function parseFrequency(text) {
+  const t = String(text || "").trim().toUpperCase();
+  if (!t) return null;
+
+  const abbr = ABBREVIATIONS.find((a) => a.value === t || a.aliases.includes(t));
+  if (abbr) {
+    if (abbr.asNeeded) return { frequency: null, period: null, periodUnit: "d", when: [], asNeeded: true };
+    return { frequency: abbr.frequency, period: 1, periodUnit: "d", when: abbr.when || [], asNeeded: false };
+  }
+
+  const parts = t.split(/\s*-\s*/);
+  if (!SLOTS[parts.length] || !parts.every((p) => /^(\d+(\.\d+)?|½)$/.test(p))) return null;
+  const amounts = parts.map(slotAmount);
+  const given = amounts.filter((a) => a > 0);
+  if (given.length === 0 || given.some((a) => a !== given[0])) return null;
+
+  return {
+    frequency: given.length,
+    period: 1,
+    periodUnit: "d",
+    when: SLOTS[parts.length].filter((_, i) => amounts[i] > 0),
+    asNeeded: false,
+    doseAmount: given[0],
+  };
+}
+
+/* The shorthand for a row's timing ("BD", "1-0-1", "SOS"), or "" when none fits */
+export function frequencyShorthand(med = {}) {
+  const when = med.when || [];
+  const frequency = Number(med.frequency) || 0;
+  if (!frequency) return med.asNeeded ? "SOS" : "";
+  if ((Number(med.period) || 1) !== 1 || (med.periodUnit || "d") !== "d") return "";
+
+  if (when.length === 0) return ABBREVIATIONS.find((a) => !a.when && a.frequency === frequency)?.value || "";
+  if (when.length === 1 && when[0] === "HS" && frequency === 1) return "HS";
+  if (when.length !== frequency) return "";
+
+  const slots = when.includes("EVE") ? SLOTS[4] : SLOTS[3];
+  if (!when.every((w) => slots.includes(w))) return "";
+  const dose = Number(med.doseAmount) > 0 ? Number(med.doseAmount) : 1;
+  const digit = dose === 0.5 ? "½" : String(dose);
+  return slots.map((s) => (when.includes(s) ? digit : "0")).join("-");
+}
+
+/*
+  "8:00, 20:30" -> ["08:00:00", "20:30:00"] (FHIR time), [] when blank,
+  null when any entry is not a valid 24-hour time.
+*/
+export function parseTimesOfDay(text) {
+  const parts = String(text || "")
+    .split(/[,\s]+/)
+    .filter(Boolean);
+  const times = parts.map((p) => {
+    const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(p);
+    return m ? `${m[1].padStart(2, "0")}:${m[2]}:00` : null;
+  });
+  return times.includes(null) ? null : times;
+}
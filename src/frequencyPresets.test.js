@@ -0,0 +1,36 @@
+import { parseFrequency, frequencyShorthand, parseTimesOfDay } from './frequencyPresets';
+import { buildSigText } from './dosageText';
+import { buildDosageInstruction } from './prescriptionBundle';
+
+test('maps abbreviations and slot patterns to timing', () => {
+  expect(parseFrequency('bd')).toEqual({ frequency: 2, period: 1, periodUnit: 'd', when: [], asNeeded: false });
+  expect(parseFrequency('HS')).toMatchObject({ frequency: 1, when: ['HS'] });
+  expect(parseFrequency('SOS')).toMatchObject({ frequency: null, asNeeded: true });
+  expect(parseFrequency('1-0-1')).toMatchObject({ frequency: 2, when: ['MORN', 'NIGHT'], doseAmount: 1 });
+  expect(parseFrequency('1-1-1-1')).toMatchObject({ frequency: 4, when: ['MORN', 'AFT', 'EVE', 'NIGHT'] });
+  expect(parseFrequency('½-0-½')).toMatchObject({ frequency: 2, doseAmount: 0.5 });
+});
+
+test('rejects unknown shorthand and uneven slot doses', () => {
+  expect(parseFrequency('twice')).toBeNull();
+  expect(parseFrequency('0-0-0')).toBeNull();
+  expect(parseFrequency('1-0-2')).toBeNull();
+});
+
+test('gives back the shorthand for structured timing', () => {
+  expect(frequencyShorthand({ ...parseFrequency('0-0-1'), doseAmount: 2 })).toBe('0-0-2');
+  expect(frequencyShorthand(parseFrequency('TID'))).toBe('TDS');
+  expect(frequencyShorthand({ frequency: 1, period: 8, periodUnit: 'h' })).toBe('');
+});
+
+test('emits when or timeOfDay and generates the sig from the same fields', () => {
+  const med = { ...parseFrequency('1-0-1'), doseUnit: '732936001', method: '421521009' };
+  expect(buildDosageInstruction(med)[0].timing.repeat).toEqual({ frequency: 2, period: 1, periodUnit: 'd', when: ['MORN', 'NIGHT'] });
+  expect(buildSigText(med)).toBe('Swallow 1 tablet twice a day (morning and night)');
+
+  const timed = { ...med, timeOfDay: '8:00, 20:00' };
+  expect(buildDosageInstruction(timed)[0].timing.repeat).toMatchObject({ timeOfDay: ['08:00:00', '20:00:00'] });
+  expect(buildDosageInstruction(timed)[0].timing.repeat.when).toBeUndefined();
+  expect(buildSigText(timed)).toBe('Swallow 1 tablet twice a day at 08:00 and 20:00');
+  expect(parseTimesOfDay('25:00')).toBeNull();
+});
@@ -0,0 +1,47 @@
+// src/icd10.js
+/*
+  Local ICD-10 lookup for the diagnosis editor, plus an optional SNOMED CT ->
+  ICD-10 map used to suggest the ICD-10 code for a SNOMED-coded diagnosis.
+
+  Concepts are { code, display }. The terminology is passed in by the caller
+  (the form loads ./terminology/icd10.json and ./terminology/snomed-icd10-map.json),
+  so this module has no JSON imports and loads in plain Node.
+*/
+
+export const ICD10 = "http://hl7.org/fhir/sid/icd-10";
+
+// "R10", "R10.4", "E11.9" (WHO ICD-10 category / subcategory)
+export const ICD10_CODE_PATTERN = /^[A-Z]\d{2}(\.\d{1,2})?$/;
+
+const tokenize = (text) => String(text || "").toLowerCase().split(/[^a-z0-9.]+/).filter(Boolean);
+
+/*
+  In-memory index over ICD-10 concepts. search() matches every query word as
+  a prefix of a word in the code or display ("r10", "abdominal pain"); codes
+  starting with the query rank first, then shorter codes. map is a list of
+  { snomed, icd10 } pairs and may be empty.
+*/
+export function createIcd10Index(concepts = [], map = []) {
+  const byCode = new Map(concepts.map((c) => [c.code, c]));
+  const icd10BySnomed = new Map((map || []).filter((m) => byCode.has(m.icd10)).map((m) => [m.snomed, m.icd10]));
+  const rows = concepts.map((c) => ({ concept: c, tokens: tokenize(`${c.code} ${c.display}`), code: c.code.toLowerCase() }));
+
+  const search = (query, limit = 10) => {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+    const q = String(query).trim().toLowerCase();
+    return rows
+      .filter((r) => words.every((w) => r.tokens.some((t) => t.startsWith(w))))
+      .sort((a, b) => (b.code.startsWith(q) - a.code.startsWith(q)) || a.code.localeCompare(b.code))
+      .slice(0, limit)
+      .map((r) => r.concept);
+  };
+
+  /* Concept for an ICD-10 code, or null */
+  const lookup = (code) => byCode.get(String(code || "").trim().toUpperCase()) || null;
+
+  /* ICD-10 concept mapped from a SNOMED code, or null */
+  const forSnomed = (snomedCode) => lookup(icd10BySnomed.get(snomedCode));
+
+  return { search, lookup, forSnomed, size: rows.length };
+}
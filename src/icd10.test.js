@@ -0,0 +1,33 @@
+import { createIcd10Index } from './icd10';
+import icd10Terminology from './terminology/icd10.json';
+import snomedIcd10Map from './terminology/snomed-icd10-map.json';
+
+const index = createIcd10Index(
+  [
+    { code: 'R10.1', display: 'Pain localized to upper abdomen' },
+    { code: 'R10.4', display: 'Other and unspecified abdominal pain' },
+    { code: 'R50.9', display: 'Fever, unspecified' },
+  ],
+  [
+    { snomed: '21522001', icd10: 'R10.4' },
+    { snomed: '1234', icd10: 'Z99.9' },
+  ]
+);
+
+test('finds codes by code prefix or by words', () => {
+  expect(index.search('r10').map((c) => c.code)).toEqual(['R10.1', 'R10.4']);
+  expect(index.search('abdominal pain').map((c) => c.code)).toEqual(['R10.4']);
+  expect(index.search('  ')).toEqual([]);
+  expect(index.lookup('r50.9').display).toBe('Fever, unspecified');
+});
+
+test('maps SNOMED codes only onto codes in the list', () => {
+  expect(index.forSnomed('21522001')).toEqual({ code: 'R10.4', display: 'Other and unspecified abdominal pain' });
+  expect(index.forSnomed('1234')).toBeNull();
+  expect(createIcd10Index(undefined, []).forSnomed('21522001')).toBeNull();
+});
+
+test('the bundled map points at codes in the bundled list', () => {
+  const bundled = createIcd10Index(icd10Terminology.concepts, snomedIcd10Map.map);
+  expect(bundled.forSnomed('386661006').code).toBe('R50.9');
+});
@@ -0,0 +1,82 @@
+// src/medicationIndex.js
+/*
+  Local SNOMED CT medication index for the Drug Name typeahead.
+
+  Concepts are { code, display, strength, form }. The bundled seed list lives
+  in ./terminology/medications.json; a newer list can be built from an RF2
+  description file and its language reference set (see rf2Descriptions.js)
+  and is kept in localStorage so it survives reloads when it fits there.
+*/
+import seed from "./terminology/medications.json";
+
+const STORAGE_KEY = "prescription-form.medicationIndex";
+
+export {
+  GB_ENGLISH_REFSET,
+  US_ENGLISH_REFSET,
+  describeProduct,
+  isLanguageRefset,
+  preferredDescriptionIds,
+  parseRf2Descriptions,
+} from "./rf2Descriptions.js";
+
+const tokenize = (text) => String(text || "").toLowerCase().split(/[^a-z0-9.%]+/).filter(Boolean);
+
+/*
+  In-memory index. search() matches every query word as a prefix of some word
+  in the display, strength or form; results rank names starting with the
+  query first, then shorter names.
+*/
+export function createMedicationIndex(concepts) {
+  const rows = concepts.map((c) => ({
+    concept: c,
+    tokens: tokenize(`${c.display} ${c.strength || ""} ${c.form || ""} ${c.code}`),
+    lower: c.display.toLowerCase(),
+  }));
+
+  const search = (query, limit = 10) => {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+    const q = String(query).trim().toLowerCase();
+    return rows
+      .filter((r) => words.every((w) => r.tokens.some((t) => t.startsWith(w))))
+      .sort((a, b) => (b.lower.startsWith(q) - a.lower.startsWith(q)) || a.lower.length - b.lower.length)
+      .slice(0, limit)
+      .map((r) => r.concept);
+  };
+
+  return { search, size: rows.length };
+}
+
+const browserStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+/* The stored release if one was loaded, else the bundled seed */
+export function loadMedicationConcepts(storage = browserStorage()) {
+  try {
+    const stored = storage && JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    if (stored && Array.isArray(stored.concepts)) return stored;
+  } catch (e) {
+    // fall through to the seed list
+  }
+  return seed;
+}
+
+/* The record for concepts parsed from a release file, as loadMedicationConcepts returns it */
+export function rf2Release(concepts, version) {
+  return { source: "RF2 release file", version, concepts };
+}
+
+/*
+  Persist a release so it survives reloads. A full release may not fit in
+  localStorage: setItem then throws, and the caller keeps using the release
+  in memory for the session.
+*/
+export function saveMedicationConcepts(release, storage = browserStorage()) {
+  storage.setItem(STORAGE_KEY, JSON.stringify(release));
+  return release;
+}
+
+export function resetMedicationConcepts(storage = browserStorage()) {
+  storage.removeItem(STORAGE_KEY);
+  return seed;
+}
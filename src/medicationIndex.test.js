@@ -0,0 +1,101 @@
+import {
+  createMedicationIndex,
+  parseRf2Descriptions,
+  isLanguageRefset,
+  describeProduct,
+  US_ENGLISH_REFSET,
+  rf2Release,
+  saveMedicationConcepts,
+  loadMedicationConcepts,
+} from './medicationIndex';
+
+const header = 'id\teffectiveTime\tactive\tmoduleId\tconceptId\tlanguageCode\ttypeId\tterm\tcaseSignificanceId';
+const row = (id, time, active, conceptId, typeId, term) =>
+  [id, time, active, '1', conceptId, 'en', typeId, term, '900000000000448009'].join('\t');
+const FSN = '900000000000003001';
+const SYNONYM = '900000000000013009';
+
+test('reads active clinical drug FSNs from an RF2 description file', () => {
+  const concepts = parseRf2Descriptions(
+    [
+      header,
+      row('1', '20240101', '1', '322236009', FSN, 'Paracetamol 500 mg oral tablet (clinical drug)'),
+      row('2', '20240101', '1', '322236009', SYNONYM, 'Paracetamol 500mg tablet'),
+      row('3', '20240101', '1', '387517004', FSN, 'Paracetamol (substance)'),
+      row('4', '20230101', '1', '1145423002', FSN, 'Azithromycin 250 mg oral tablet (clinical drug)'),
+      row('4', '20240101', '0', '1145423002', FSN, 'Azithromycin 250 mg oral tablet (clinical drug)'),
+    ].join('\n')
+  );
+  expect(concepts).toEqual([
+    { code: '322236009', display: 'Paracetamol 500 mg oral tablet', strength: '500 mg', form: 'oral tablet' },
+  ]);
+});
+
+test('names clinical drugs by their preferred synonym in the language reference set', () => {
+  const descriptions = [
+    header,
+    row('10', '20240101', '1', '322236009', FSN, 'Product containing precisely paracetamol 500 milligram/1 each conventional release oral tablet (clinical drug)'),
+    row('11', '20240101', '1', '322236009', SYNONYM, 'Paracetamol 500 mg oral tablet'),
+    row('12', '20240101', '1', '322236009', SYNONYM, 'Acetaminophen 500 mg oral tablet'),
+    row('13', '20240101', '1', '322236009', SYNONYM, 'Paracetamol 500mg tablet'),
+  ].join('\n');
+  const member = (id, active, refsetId, descriptionId, acceptability) =>
+    [id, '20240101', active, '1', refsetId, descriptionId, acceptability].join('\t');
+  const GB = '900000000000508004';
+  const PREFERRED = '900000000000548007';
+  const ACCEPTABLE = '900000000000549004';
+  const language = [
+    'id\teffectiveTime\tactive\tmoduleId\trefsetId\treferencedComponentId\tacceptabilityId',
+    member('a', '1', GB, '11', PREFERRED),
+    member('b', '1', US_ENGLISH_REFSET, '12', PREFERRED),
+    member('c', '1', GB, '13', ACCEPTABLE),
+  ].join('\n');
+
+  expect(isLanguageRefset(language)).toBe(true);
+  expect(isLanguageRefset(descriptions)).toBe(false);
+  expect(parseRf2Descriptions(descriptions, language)).toEqual([
+    { code: '322236009', display: 'Paracetamol 500 mg oral tablet', strength: '500 mg', form: 'oral tablet' },
+  ]);
+  expect(parseRf2Descriptions(descriptions, language, US_ENGLISH_REFSET)[0].display).toBe('Acetaminophen 500 mg oral tablet');
+});
+
+test('matches every query word by prefix across name, strength and form', () => {
+  const index = createMedicationIndex([
+    { code: '1', display: 'Ibuprofen 400 mg oral tablet', strength: '400 mg', form: 'oral tablet' },
+    { code: '2', display: 'Ibuprofen 200 mg oral tablet', strength: '200 mg', form: 'oral tablet' },
+    { code: '3', display: 'Paracetamol 500 mg oral tablet', strength: '500 mg', form: 'oral tablet' },
+  ]);
+  expect(index.search('ibu 4').map((c) => c.code)).toEqual(['1']);
+  expect(index.search('tab').map((c) => c.code)).toHaveLength(3);
+  expect(index.search('')).toEqual([]);
+});
+
+test('reads strengths with the units SNOMED CT spells out', () => {
+  expect(describeProduct('Product containing precisely paracetamol 500 milligram/1 each conventional release oral tablet')).toEqual({
+    strength: '500 milligram/1 each',
+    form: 'conventional release oral tablet',
+  });
+  expect(describeProduct('Amoxicillin 250 milligram oral tablet')).toEqual({ strength: '250 milligram', form: 'oral tablet' });
+  expect(describeProduct('Gentamicin 40 microgram/mL solution for injection')).toEqual({ strength: '40 microgram/mL', form: 'solution for injection' });
+  expect(describeProduct('Amoxicillin 250 milligram/5 milliliter oral suspension').strength).toBe('250 milligram/5 milliliter');
+  expect(describeProduct('Salbutamol 100 micrograms/actuation pressurised inhalation').strength).toBe('100 micrograms/actuation');
+  expect(describeProduct('Paracetamol 500mg tablet').strength).toBe('500mg');
+  expect(describeProduct('Aloe vera 500 gel')).toEqual({ strength: '', form: '' });
+});
+
+test('keeps a loaded release across reloads, and a release too big to store throws on save', () => {
+  const store = {};
+  const storage = { getItem: (k) => store[k] ?? null, setItem: (k, v) => (store[k] = v) };
+  const release = rf2Release([{ code: '1', display: 'Paracetamol 500 mg oral tablet', strength: '500 mg', form: 'oral tablet' }], 'sct2_Description.txt');
+  expect(saveMedicationConcepts(release, storage)).toBe(release);
+  expect(loadMedicationConcepts(storage)).toEqual(release);
+
+  const full = {
+    getItem: () => null,
+    setItem: () => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    },
+  };
+  expect(() => saveMedicationConcepts(release, full)).toThrow('quota');
+  expect(loadMedicationConcepts(full).version).toBe('seed');
+});
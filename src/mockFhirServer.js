@@ -0,0 +1,110 @@
+// src/mockFhirServer.js
+/*
+  In-process stand-in for a FHIR server, so submission can be exercised
+  without network access (REACT_APP_FHIR_BASE_URL=mock, and in tests).
+
+  createMockFhirServer() returns { fetch, requests, stored }: `fetch` is a
+  drop-in for window.fetch that understands POST <base>/Bundle and answers
+  like a server:
+    201  bundle accepted (id and meta.versionId assigned, Location header set)
+    200  If-None-Exist matched a stored bundle, which is returned as is
+    401  requireAuth is set and no Bearer token was sent
+    415  body is not application/fhir+json
+    422  bundle fails the local NRCES profile checks (OperationOutcome)
+    503  for the first `failFirst` requests, to exercise retries
+  With `dropFirst`, the next requests are processed (and stored) but their
+  responses are lost: fetch fails with a network error, as when a connection
+  drops.
+*/
+import { validateBundle } from "./bundleValidator";
+import { uuidv4 } from "./prescriptionBundle";
+
+/* Small Response look-alike (jsdom has no Response) */
+function mockResponse(status, body, headers = {}) {
+  const statusText = { 200: "OK", 201: "Created", 401: "Unauthorized", 404: "Not Found", 415: "Unsupported Media Type", 422: "Unprocessable Entity", 503: "Service Unavailable" }[status] || "";
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+    text: async () => (body === undefined ? "" : JSON.stringify(body)),
+    json: async () => body,
+  };
+}
+
+const operationOutcome = (issues) => ({
+  resourceType: "OperationOutcome",
+  issue: issues.map((i) => ({
+    severity: i.severity,
+    code: i.code || "invalid",
+    diagnostics: i.message,
+    ...(i.location ? { expression: [i.location] } : {}),
+  })),
+});
+
+export function createMockFhirServer({ failFirst = 0, dropFirst = 0, latencyMs = 0, requireAuth = false } = {}) {
+  const requests = [];
+  const stored = []; // accepted bundles
+
+  const fetchImpl = (url, init = {}) =>
+    new Promise((resolve, reject) => {
+      const signal = init.signal;
+      const respond = () => {
+        const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+        requests.push({ url, method: init.method || "GET", headers, body: init.body });
+
+        if (requests.length <= failFirst) {
+          return resolve(mockResponse(503, operationOutcome([{ severity: "error", code: "transient", message: "Mock server temporarily unavailable" }])));
+        }
+        // processed, but the first `dropFirst` responses never arrive
+        const answer = (response) =>
+          requests.length <= failFirst + dropFirst ? reject(new TypeError("Failed to fetch")) : resolve(response);
+        if (init.method !== "POST" || !/\/Bundle$/.test(url)) {
+          return answer(mockResponse(404, operationOutcome([{ severity: "error", code: "not-supported", message: `No handler for ${init.method} ${url}` }])));
+        }
+        if (requireAuth && !/^Bearer \S+/.test(headers.authorization || "")) {
+          return answer(mockResponse(401, operationOutcome([{ severity: "error", code: "login", message: "Bearer token required" }])));
+        }
+        if (!String(headers["content-type"] || "").startsWith("application/fhir+json")) {
+          return answer(mockResponse(415, operationOutcome([{ severity: "error", code: "structure", message: "Expected application/fhir+json" }])));
+        }
+
+        let bundle;
+        try {
+          bundle = JSON.parse(init.body);
+        } catch (e) {
+          return answer(mockResponse(422, operationOutcome([{ severity: "error", code: "structure", message: `Body is not JSON: ${e.message}` }])));
+        }
+        const issues = validateBundle(bundle);
+        if (issues.some((i) => i.severity === "error")) {
+          return answer(mockResponse(422, operationOutcome(issues)));
+        }
+
+        // conditional create: "identifier=<system>|<value>"
+        const condition = /^identifier=([^|]*)\|(.*)$/.exec(headers["if-none-exist"] || "");
+        const existing =
+          condition &&
+          stored.find((b) => b.identifier?.system === decodeURIComponent(condition[1]) && b.identifier?.value === decodeURIComponent(condition[2]));
+        let response;
+        if (existing) {
+          response = mockResponse(200, existing, { Location: `${url}/${existing.id}/_history/1` });
+        } else {
+          const id = uuidv4();
+          const resource = { ...bundle, id, meta: { ...bundle.meta, versionId: "1", lastUpdated: new Date().toISOString() } };
+          stored.push(resource);
+          response = mockResponse(201, resource, { Location: `${url}/${id}/_history/1` });
+        }
+        return answer(response);
+      };
+
+      if (signal?.aborted) return reject(Object.assign(new Error("Aborted"), { name: "AbortError" }));
+      const timer = setTimeout(respond, latencyMs);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error("Aborted"), { name: "AbortError" }));
+      });
+    });
+
+  return { fetch: fetchImpl, requests, stored };
+}
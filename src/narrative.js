@@ -0,0 +1,226 @@
+// src/narrative.js
+/*
+  Generated XHTML narratives (Resource.text) for the prescription bundle, so
+  viewers without FHIR rendering can still show the prescription.
+
+  Narratives are rendered from the built resources themselves, never from
+  raw form input, and every value is XML-escaped. The markup keeps to the
+  FHIR XHTML rules: a single <div> in the XHTML namespace with plain
+  elements (p, b, table, ol) and no scripts, styles, event attributes or
+  named entities.
+*/
+import { displayDate } from "./dateText.js";
+import { PARTICIPANT_ROLES } from "./encounterOptions.js";
+
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/* Characters XML 1.0 cannot hold: C0 controls other than tab, LF and CR, and U+FFFE / U+FFFF */
+const xmlChar = (c) => {
+  const code = c.charCodeAt(0);
+  return code >= 0x20 ? code !== 0xfffe && code !== 0xffff : code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+/* Text -> XML character data; characters XML cannot hold are dropped */
+export function escapeXml(value) {
+  return Array.from(String(value ?? ""))
+    .filter(xmlChar)
+    .join("")
+    .replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+const present = (value) => value !== "" && value !== null && value !== undefined;
+
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : "");
+
+/* CodeableConcept -> its text, else the first coding's display or code */
+const conceptText = (concept) => concept?.text || concept?.coding?.[0]?.display || concept?.coding?.[0]?.code || "";
+
+const quantityText = (q) => (q && present(q.value) ? `${q.value} ${q.unit || q.code || ""}`.trim() : "");
+
+/* [label, value] rows as a two-column table; blank values are left out */
+function table(rows) {
+  const body = rows
+    .filter(([, value]) => present(value))
+    .map(([label, value]) => `<tr><th>${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`)
+    .join("");
+  return body ? `<table><tbody>${body}</tbody></table>` : "";
+}
+
+const orderedList = (items) => (items.length ? `<ol>${items.map((i) => `<li>${escapeXml(i)}</li>`).join("")}</ol>` : "");
+
+const wrap = (heading, ...parts) =>
+  `<div xmlns="${XHTML_NS}" lang="en-IN" xml:lang="en-IN"><p><b>${escapeXml(heading)}</b></p>${parts.join("")}</div>`;
+
+/* "SNOMED CT 21522001 · ICD-10 R10.9" for the codings of a concept */
+const SYSTEM_NAMES = { "http://snomed.info/sct": "SNOMED CT", "http://hl7.org/fhir/sid/icd-10": "ICD-10" };
+const codesText = (concept) =>
+  (concept?.coding || [])
+    .filter((c) => c.code)
+    .map((c) => `${SYSTEM_NAMES[c.system] || c.system || ""} ${c.code}`.trim())
+    .join(" · ");
+
+const humanName = (name) => [...(name?.prefix || []), name?.text].filter(Boolean).join(" ");
+
+/* Dosage texts of a MedicationRequest, in sequence: "...; then ..." */
+const directions = (medicationRequest) =>
+  (medicationRequest.dosageInstruction || [])
+    .map((d) => d.text)
+    .filter(Boolean)
+    .join("; then ");
+
+const medicationName = (medicationRequest) => conceptText(medicationRequest.medicationCodeableConcept);
+
+const periodText = (period) =>
+  [period?.start && `from ${displayDate(period.start)}`, period?.end && `to ${displayDate(period.end)}`].filter(Boolean).join(" ");
+
+function patientNarrative(patient) {
+  return wrap(
+    humanName(patient.name?.[0]) || "Patient",
+    table([
+      ...(patient.identifier || []).map((i) => [i.type?.coding?.[0]?.display || "Identifier", i.value]),
+      ["Gender", capitalize(patient.gender)],
+      ["Date of birth", displayDate(patient.birthDate)],
+      ...(patient.telecom || []).map((t) => [capitalize(t.system), t.value]),
+      ["Address", patient.address?.[0]?.text],
+    ])
+  );
+}
+
+function practitionerNarrative(practitioner) {
+  const qualification = practitioner.qualification?.[0];
+  return wrap(
+    humanName(practitioner.name?.[0]) || "Practitioner",
+    table([
+      ...(practitioner.identifier || []).map((i) => [i.type?.coding?.[0]?.display || "Identifier", i.value]),
+      ["Qualification", conceptText(qualification?.code)],
+      ["Issued by", qualification?.issuer?.display],
+    ])
+  );
+}
+
+function medicationRequestNarrative(medicationRequest) {
+  const dispense = medicationRequest.dispenseRequest || {};
+  const additional = (medicationRequest.dosageInstruction || []).flatMap((d) => (d.additionalInstruction || []).map(conceptText));
+  const reasons = (medicationRequest.reasonReference || []).map((r) => r.display).filter(Boolean);
+  return wrap(
+    medicationName(medicationRequest) || "Medication",
+    table([
+      ["Directions", directions(medicationRequest)],
+      ["Additional instructions", [...new Set(additional)].join("; ")],
+      ["Reason", (reasons.length ? reasons : (medicationRequest.reasonCode || []).map(conceptText)).join("; ")],
+      ["Quantity", quantityText(dispense.quantity)],
+      ["Repeats allowed", dispense.numberOfRepeatsAllowed],
+      ["Supply for", quantityText(dispense.expectedSupplyDuration)],
+      ["Valid until", displayDate(dispense.validityPeriod?.end)],
+      ["Status", `${medicationRequest.status} (${medicationRequest.intent})`],
+      ["Prescribed on", displayDate(medicationRequest.authoredOn)],
+      ["Prescriber", medicationRequest.requester?.display],
+    ])
+  );
+}
+
+function conditionNarrative(condition) {
+  const onset = condition.onsetDateTime ? displayDate(condition.onsetDateTime) : condition.onsetAge ? `at ${quantityText(condition.onsetAge)}` : "";
+  return wrap(
+    conceptText(condition.code) || "Condition",
+    table([
+      ["Codes", codesText(condition.code)],
+      ["Clinical status", conceptText(condition.clinicalStatus)],
+      ["Verification", conceptText(condition.verificationStatus)],
+      ["Category", (condition.category || []).map(conceptText).join(", ")],
+      ["Severity", conceptText(condition.severity)],
+      ["Onset", onset],
+      ["Note", (condition.note || []).map((n) => n.text).join(" ")],
+    ])
+  );
+}
+
+/* "Admitting practitioner" for an Encounter.participant, by its type code */
+function participantRole(participant) {
+  const coding = participant.type?.[0]?.coding?.[0];
+  const role = PARTICIPANT_ROLES.find((r) => r.type.system === coding?.system && r.type.code === coding?.code);
+  return role ? `${role.label} practitioner` : conceptText(participant.type?.[0]) || "Participant";
+}
+
+function encounterNarrative(encounter) {
+  return wrap(
+    `Encounter: ${encounter.class?.display || encounter.class?.code || ""}`.replace(/: $/, ""),
+    table([
+      ["Status", encounter.status],
+      ["Admitted", displayDate(encounter.period?.start)],
+      ["Discharged", displayDate(encounter.period?.end)],
+      ...(encounter.participant || []).map((p) => [participantRole(p), p.individual?.display]),
+      ["Discharged to", conceptText(encounter.hospitalization?.dischargeDisposition)],
+    ])
+  );
+}
+
+/*
+  The Composition narrative summarises the document: who, when, and the
+  section entries (medications with their directions, attachments), looked
+  up through `resolve(reference)`.
+*/
+function compositionNarrative(composition, resolve) {
+  const patient = resolve(composition.subject?.reference);
+  const encounter = composition.encounter && resolve(composition.encounter.reference);
+  const authors = (composition.author || []).map((a) => humanName(resolve(a.reference)?.name?.[0]) || a.display);
+  const sections = (composition.section || []).map((section) => {
+    const items = (section.entry || []).map((ref) => {
+      const resource = resolve(ref.reference);
+      if (resource?.resourceType === "MedicationRequest") {
+        const how = directions(resource);
+        return how ? `${medicationName(resource)}: ${how}` : medicationName(resource);
+      }
+      if (resource?.resourceType === "Binary") return `Attached document (${resource.contentType})`;
+      return ref.display || ref.type || ref.reference;
+    });
+    return `<p><b>${escapeXml(section.title || conceptText(section.code))}</b></p>${orderedList(items)}`;
+  });
+  return wrap(
+    composition.title || conceptText(composition.type) || "Composition",
+    table([
+      ["Document", conceptText(composition.type)],
+      ["Status", composition.status],
+      ["Date", displayDate(String(composition.date || "").slice(0, 10))], // the document date, without the nominal midnight
+      ["Patient", (patient && humanName(patient.name?.[0])) || composition.subject?.display],
+      ["Author", authors.filter(Boolean).join(", ")],
+      ["Encounter", encounter ? periodText(encounter.period) || encounter.status : ""],
+      ["Custodian", composition.custodian?.display],
+    ]),
+    ...sections
+  );
+}
+
+const NARRATIVES = {
+  Composition: compositionNarrative,
+  Patient: patientNarrative,
+  Practitioner: practitionerNarrative,
+  MedicationRequest: medicationRequestNarrative,
+  Condition: conditionNarrative,
+  Encounter: encounterNarrative,
+};
+
+/* XHTML narrative div for a resource, or null for types without one */
+export function narrativeFor(resource, resolve = () => null) {
+  const render = NARRATIVES[resource?.resourceType];
+  return render ? render(resource, resolve) : null;
+}
+
+/*
+  Give every supported resource in the bundle a generated narrative, placed
+  after id/meta as in FHIR's own examples. References are resolved against
+  the bundle's fullUrls. Returns the bundle.
+*/
+export function addNarratives(bundle) {
+  const byUrl = new Map((bundle.entry || []).map((e) => [e.fullUrl, e.resource]));
+  const resolve = (reference) => (reference && byUrl.get(reference)) || null;
+  (bundle.entry || []).forEach((entry) => {
+    const div = narrativeFor(entry.resource, resolve);
+    if (!div) return;
+    const { resourceType, id, meta, text, ...rest } = entry.resource;
+    entry.resource = { resourceType, id, ...(meta ? { meta } : {}), text: { status: "generated", div }, ...rest };
+  });
+  return bundle;
+}
@@ -0,0 +1,48 @@
+import { buildPrescriptionBundle } from './prescriptionBundle';
+import { escapeXml, narrativeFor } from './narrative';
+
+const input = {
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227', qualificationDisplay: 'MBBS' },
+  patient: { name: 'ABC <script>alert(1)</script>', mrn: 'MRN-1', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+  conditions: [{ id: 'c1', text: 'Pain & "fever"', code: '21522001', clinicalStatus: 'active' }],
+  encounter: { classCode: 'IMP', admittedAt: '2025-08-08T10:30', dischargedAt: '2025-08-12T09:00', admitterName: 'Dr. GHI', admitterLicense: '71-1111-2222-3333' },
+  composition: { title: 'Discharge prescription', status: 'final', date: '2025-08-12' },
+  medications: [{ medicationText: 'Azithromycin 250 mg oral tablet', dosageText: 'One tablet <b>daily</b>', reasonConditionIds: ['c1'] }],
+};
+
+const parse = (div) => new DOMParser().parseFromString(div, 'application/xml');
+
+test('escapes XML markup and drops characters XML cannot hold', () => {
+  expect(escapeXml(`<a href="x">Tom & 'Jerry'</a>\u0007`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/a&gt;');
+  expect(escapeXml(undefined)).toBe('');
+  expect(escapeXml('a\tb\nc\u0000\uffff 😀')).toBe('a\tb\nc 😀');
+});
+
+test('gives every clinical resource a well-formed generated narrative after its meta', () => {
+  const bundle = buildPrescriptionBundle(input);
+  const narrated = bundle.entry.map((e) => e.resource).filter((r) => r.text);
+  expect(narrated.map((r) => r.resourceType)).toEqual(['Composition', 'Patient', 'Practitioner', 'MedicationRequest', 'Condition', 'Encounter', 'Practitioner']);
+
+  narrated.forEach((resource) => {
+    expect(Object.keys(resource).slice(0, 4)).toEqual(['resourceType', 'id', 'meta', 'text']);
+    expect(resource.text.status).toBe('generated');
+    const doc = parse(resource.text.div);
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(doc.documentElement.namespaceURI).toBe('http://www.w3.org/1999/xhtml');
+    expect(doc.getElementsByTagName('script')).toHaveLength(0);
+    expect(doc.getElementsByTagName('b').length).toBeGreaterThan(0);
+  });
+
+  const [composition, patient, , medicationRequest, condition, encounter] = narrated;
+  expect(parse(patient.text.div).documentElement.textContent).toContain('ABC <script>alert(1)</script>');
+  expect(parse(condition.text.div).documentElement.textContent).toContain('Pain & "fever"');
+  const summary = parse(composition.text.div).documentElement.textContent;
+  expect(summary).toContain('Azithromycin 250 mg oral tablet: One tablet <b>daily</b>');
+  expect(summary).toContain('from 08 Aug 2025');
+  expect(parse(medicationRequest.text.div).documentElement.textContent).toContain('Reason');
+  expect(parse(encounter.text.div).documentElement.textContent).toContain('Admitting practitionerDr. GHI');
+});
+
+test('has no narrative for resources without one', () => {
+  expect(narrativeFor({ resourceType: 'Binary', contentType: 'application/pdf' })).toBeNull();
+});
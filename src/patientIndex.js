@@ -0,0 +1,98 @@
+// src/patientIndex.js
+/*
+  In-memory search index over the patient registry (/patients.json) for the
+  patient typeahead.
+
+  Records are the registry's own objects ({ user_id, name, mobile, abha_ref,
+  additional_attributes: { abha_addresses } ... }). Each record is reduced to
+  search keys: its name words, mobile number (with and without the country
+  code), ABHA number digits and ABHA addresses (whole and the part before @).
+
+  All keys go into one sorted array, so the records matching a query word are
+  a contiguous range found by binary search; a multi-word query intersects
+  those ranges, smallest first. Building is O(n log n) and a search touches
+  only the keys starting with its words, which keeps lookups in the low
+  milliseconds at 50k patients.
+*/
+
+const digitsOnly = (s) => String(s || "").replace(/\D/g, "");
+
+const NUMBER_QUERY = /^\+?[\d\s-]+$/;
+
+/* Query -> lower-case words; a number typed with spaces or hyphens ("91-7104 3321") is one word of digits */
+function queryWords(query) {
+  const q = String(query || "").trim();
+  if (NUMBER_QUERY.test(q)) return [digitsOnly(q)].filter(Boolean);
+  return q.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/* Search keys of a registry record */
+export function patientKeys(record) {
+  const keys = new Set(
+    String(record.name || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  );
+  const mobile = digitsOnly(record.mobile);
+  if (mobile) {
+    keys.add(mobile);
+    if (mobile.length > 10) keys.add(mobile.slice(-10));
+  }
+  const abhaNumber = digitsOnly(record.abha_ref);
+  if (abhaNumber) keys.add(abhaNumber);
+  (record.additional_attributes?.abha_addresses || []).forEach((address) => {
+    const a = String(address).toLowerCase();
+    keys.add(a);
+    keys.add(a.split("@")[0]);
+  });
+  return [...keys];
+}
+
+/* Index of the first key >= prefix */
+function lowerBound(keys, prefix) {
+  let lo = 0;
+  let hi = keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (keys[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function createPatientIndex(records = []) {
+  const keysByRecord = records.map(patientKeys);
+  const entries = [];
+  keysByRecord.forEach((keys, i) => keys.forEach((key) => entries.push([key, i])));
+  entries.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] - b[1]));
+  const keys = entries.map((e) => e[0]);
+  const owners = Int32Array.from(entries, (e) => e[1]);
+
+  /* Record indexes having a key that starts with `prefix` */
+  const candidates = (prefix) => {
+    const found = new Set();
+    for (let k = lowerBound(keys, prefix); k < keys.length && keys[k].startsWith(prefix); k++) found.add(owners[k]);
+    return found;
+  };
+
+  /*
+    Records matching every query word as a key prefix ("rohit 7273",
+    "91-7104-3321", "rohitkumar30@sbx"), in registry order; at most `limit`.
+  */
+  const search = (query, limit = 500) => {
+    const words = queryWords(query);
+    if (words.length === 0) return [];
+    // walk the narrowest range first
+    const ranges = words.map(candidates).sort((a, b) => a.size - b.size);
+    const [first, ...rest] = ranges;
+    const out = [];
+    for (const i of [...first].sort((a, b) => a - b)) {
+      if (rest.every((set) => set.has(i))) out.push(records[i]);
+      if (out.length >= limit) break;
+    }
+    return out;
+  };
+
+  return { search, size: records.length };
+}
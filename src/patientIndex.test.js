@@ -0,0 +1,45 @@
+import { createPatientIndex } from './patientIndex';
+
+const patients = [
+  {
+    user_id: 46,
+    name: 'Rohit Kumar',
+    mobile: '7273000898',
+    abha_ref: '91-7104-3321-8355',
+    additional_attributes: { abha_addresses: ['rohitkumar30@sbx', '7273000898@sbx'] },
+  },
+  { user_id: 47, name: 'Rohini Sharma', mobile: '+919818512600', abha_ref: '22-7225-4829-5255' },
+  { user_id: 48, name: 'Amit Kumar', mobile: '9000000001' },
+];
+
+const ids = (results) => results.map((p) => p.user_id);
+
+test('finds patients by name words, mobile, ABHA number and ABHA address', () => {
+  const index = createPatientIndex(patients);
+  expect(ids(index.search('roh'))).toEqual([46, 47]);
+  expect(ids(index.search('kumar ro'))).toEqual([46]);
+  expect(ids(index.search('98185'))).toEqual([47]);
+  expect(ids(index.search('+91 98185'))).toEqual([47]);
+  expect(ids(index.search('91-7104-3321'))).toEqual([46]);
+  expect(ids(index.search('9171 0433'))).toEqual([46]);
+  expect(ids(index.search('rohitkumar30@'))).toEqual([46]);
+  expect(index.search('  ')).toEqual([]);
+  expect(index.search('zzz')).toEqual([]);
+});
+
+test('stays fast at 50k patients', () => {
+  const many = Array.from({ length: 50000 }, (_, i) => ({
+    user_id: i,
+    name: `Patient ${['Asha', 'Ravi', 'Meena', 'Suresh'][i % 4]} ${i}`,
+    mobile: String(9000000000 + i),
+    abha_ref: String(10000000000000 + i),
+  }));
+  const index = createPatientIndex(many);
+  const started = Date.now();
+  const queries = ['ravi', 'patient me', '9000012', 'suresh 4999', '1000000004'];
+  const results = queries.map((q) => index.search(q, 50));
+  // generous bound for slow CI machines; typical searches take a few ms
+  expect((Date.now() - started) / queries.length).toBeLessThan(100);
+  expect(ids(results[2])).toHaveLength(50);
+  expect(ids(results[3])).toEqual([4999, 49991, 49995, 49999]);
+});
@@ -0,0 +1,38 @@
+// src/patientRegistry.js
+/*
+  Patient registry records (/patients.json) -> the form's patient model.
+
+  A registry record looks like
+    { name, title, gender: "Male", dob: "30-12-1991", mobile, email,
+      address: "Ramdhanpur, Gaya, Bihar-823002", abha_ref,
+      additional_attributes: { abha_addresses: ["rohit@sbx", ...] } }
+*/
+import { parseIndianAddress } from "./address";
+import { formatAbhaNumber } from "./abha";
+
+// Registry titles that are name prefixes; others ("Patient") describe the account
+export const NAME_PREFIXES = ["Mr", "Mrs", "Ms", "Miss", "Master", "Dr", "Shri", "Smt", "Kumari", "Baby"];
+
+/* "30-12-1991" -> "1991-12-30"; "" when the date is not DD-MM-YYYY */
+export function registryDate(value) {
+  const m = /^(\d{2})-(\d{2})-(\d{4})$/.exec(String(value || "").trim());
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : "";
+}
+
+export function patientFromRegistry(record = {}) {
+  const title = String(record.title || "").replace(/\.$/, "").trim();
+  const abhaAddresses = (record.additional_attributes?.abha_addresses || []).filter(Boolean);
+  return {
+    name: record.name || "",
+    namePrefix: NAME_PREFIXES.find((p) => p.toLowerCase() === title.toLowerCase()) || "",
+    mrn: "", // the registry has no hospital MRN
+    abhaNumber: formatAbhaNumber(record.abha_ref),
+    birthDate: registryDate(record.dob),
+    gender: record.gender ? record.gender.toLowerCase() : "",
+    phone: record.mobile || "",
+    email: record.email || "",
+    ...parseIndianAddress(record.address),
+    abhaAddresses,
+    abhaAddress: abhaAddresses[0] || "",
+  };
+}
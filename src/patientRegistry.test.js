@@ -0,0 +1,59 @@
+import { patientFromRegistry, registryDate } from './patientRegistry';
+import { parseIndianAddress } from './address';
+import { formatAbhaNumber } from './abha';
+
+test('splits registry address strings into line, district, state and PIN code', () => {
+  expect(parseIndianAddress('Ramdhanpur, Gaya, Gaya, Gaya, Bihar-823002')).toEqual({
+    addressLine: 'Ramdhanpur',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823002',
+  });
+  expect(parseIndianAddress('Flat 12, MG Road, Bengaluru Urban, karnataka 560001')).toEqual({
+    addressLine: 'Flat 12, MG Road',
+    district: 'Bengaluru Urban',
+    state: 'Karnataka',
+    postalCode: '560001',
+  });
+  expect(parseIndianAddress('Near Bus Stand, Sector 4')).toEqual({ addressLine: 'Near Bus Stand, Sector 4', district: '', state: '', postalCode: '' });
+  expect(parseIndianAddress(null)).toEqual({ addressLine: '', district: '', state: '', postalCode: '' });
+});
+
+test('maps a registry record to the form patient', () => {
+  const record = {
+    name: 'Rohit Kumar',
+    title: 'Patient',
+    email: 'mailmerohit5@gmail.com',
+    mobile: '7273000898',
+    gender: 'Male',
+    dob: '30-12-1991',
+    address: 'Ramdhanpur, Gaya, Gaya, Gaya, Bihar-823002',
+    abha_ref: '91-7104-3321-8355',
+    additional_attributes: { abha_addresses: ['rohittestokay@sbx', 'rohitkumar30@sbx'] },
+  };
+  expect(patientFromRegistry(record)).toEqual({
+    name: 'Rohit Kumar',
+    namePrefix: '',
+    mrn: '',
+    abhaNumber: '91-7104-3321-8355',
+    birthDate: '1991-12-30',
+    gender: 'male',
+    phone: '7273000898',
+    email: 'mailmerohit5@gmail.com',
+    addressLine: 'Ramdhanpur',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823002',
+    abhaAddresses: ['rohittestokay@sbx', 'rohitkumar30@sbx'],
+    abhaAddress: 'rohittestokay@sbx',
+  });
+  expect(patientFromRegistry({ ...record, title: 'Mrs.' }).namePrefix).toBe('Mrs');
+  expect(registryDate('1991-12-30')).toBe('');
+});
+
+test('hyphenates 14-digit ABHA numbers and leaves anything else as typed', () => {
+  expect(formatAbhaNumber('91710433218355')).toBe('91-7104-3321-8355');
+  expect(formatAbhaNumber(' 91 7104 3321 8355 ')).toBe('91-7104-3321-8355');
+  expect(formatAbhaNumber('9171-0433')).toBe('9171-0433');
+  expect(formatAbhaNumber(undefined)).toBe('');
+});
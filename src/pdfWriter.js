@@ -0,0 +1,185 @@
+// src/pdfWriter.js
+/*
+  Minimal PDF 1.4 writer for the printed prescription: text in the standard
+  Helvetica fonts, lines and JPEG images, on any number of pages. No
+  dependencies, so the PDF is made entirely in the browser.
+
+  Coordinates are in points from the top-left corner of the page (PDF's own
+  origin is bottom-left; the writer flips y). Text is WinAnsi encoded;
+  characters outside it print as "?".
+
+  Images are { data, width, height } with data the JPEG bytes as a binary
+  string (one char per byte); other formats must be converted first.
+*/
+
+export const A4 = [595.28, 841.89];
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for codes 32-126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722,
+    778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556,
+    278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260,
+    334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722,
+    778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556,
+    333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280,
+    389, 584,
+  ],
+};
+
+// WinAnsi codes of the non-Latin-1 characters a prescription is likely to contain
+const WIN_ANSI = { "€": 0x80, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "…": 0x85, "™": 0x99 };
+
+/* Text -> WinAnsi binary string */
+function winAnsi(text) {
+  return Array.from(String(text), (ch) => {
+    const code = ch.charCodeAt(0);
+    if (WIN_ANSI[ch]) return String.fromCharCode(WIN_ANSI[ch]);
+    if (code < 32) return " ";
+    return code <= 255 && !(code >= 0x7f && code < 0xa0) ? ch : "?";
+  }).join("");
+}
+
+const escapePdfString = (s) => s.replace(/[\\()]/g, (c) => `\\${c}`);
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+/* Width of `text` in points */
+export function textWidth(text, size, bold = false) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let total = 0;
+  for (const ch of winAnsi(text)) {
+    const code = ch.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+/* Lines of at most `maxWidth` points, broken at spaces (long words are split) */
+export function wrapText(text, maxWidth, size, bold = false) {
+  const lines = [];
+  String(text || "")
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, size, bold) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        // a word wider than the column is cut into pieces
+        line = "";
+        for (const ch of word) {
+          if (line && textWidth(line + ch, size, bold) > maxWidth) {
+            lines.push(line);
+            line = "";
+          }
+          line += ch;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+}
+
+export function createPdf({ pageWidth = A4[0], pageHeight = A4[1] } = {}) {
+  const pages = []; // content stream operators per page
+  const images = []; // { name, image }
+  let current = -1;
+
+  const addPage = () => {
+    pages.push([]);
+    current = pages.length - 1;
+    return current;
+  };
+  addPage();
+
+  const draw = (op) => pages[current].push(op);
+  const pdfY = (y) => pageHeight - y;
+
+  const pdf = {
+    pageWidth,
+    pageHeight,
+    addPage,
+    get pageCount() {
+      return pages.length;
+    },
+    /* Go back to an earlier page (e.g. to write "page n of N" footers) */
+    setPage(index) {
+      current = index;
+    },
+    /* Text with its baseline at y; color is a gray level 0 (black) - 1 (white) */
+    text(value, x, y, { size = 10, bold = false, gray = 0 } = {}) {
+      const s = escapePdfString(winAnsi(value));
+      draw(`BT ${num(gray)} g /${bold ? "F2" : "F1"} ${num(size)} Tf ${num(x)} ${num(pdfY(y))} Td (${s}) Tj ET`);
+    },
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+      draw(`${num(gray)} G ${num(width)} w ${num(x1)} ${num(pdfY(y1))} m ${num(x2)} ${num(pdfY(y2))} l S`);
+    },
+    /* Filled rectangle with its top-left corner at x, y */
+    rect(x, y, w, h, { gray = 0.9 } = {}) {
+      draw(`${num(gray)} g ${num(x)} ${num(pdfY(y + h))} ${num(w)} ${num(h)} re f`);
+    },
+    /* JPEG image scaled to w x h with its top-left corner at x, y */
+    image(image, x, y, w, h) {
+      let entry = images.find((e) => e.image === image);
+      if (!entry) {
+        entry = { name: `Im${images.length + 1}`, image };
+        images.push(entry);
+      }
+      draw(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(pdfY(y + h))} cm /${entry.name} Do Q`);
+    },
+    /* The document as a binary string */
+    output() {
+      const objects = []; // object bodies; object n is objects[n - 1]
+      const add = (body) => objects.push(body); // -> the object's number
+      const stream = (dict, data) => `<< ${dict} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const xObjects = images
+        .map(({ name, image }) => {
+          const id = add(
+            stream(
+              `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+              image.data
+            )
+          );
+          return `/${name} ${id} 0 R`;
+        })
+        .join(" ");
+      const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ""} >>`;
+      const pageIds = pages.map((ops) => {
+        const contents = add(stream("", ops.join("\n")));
+        return add(
+          `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] /Resources ${resources} /Contents ${contents} 0 R >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      // the binary comment line marks the file as binary for transfer tools
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objects.map((body, i) => {
+        const offset = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+  };
+  return pdf;
+}
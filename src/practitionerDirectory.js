@@ -0,0 +1,92 @@
+// src/practitionerDirectory.js
+/*
+  Practitioner directory for the Practitioner card.
+
+  The directory (public/practitioners.json) is a list of FHIR Practitioner
+  resources; practitionerFromResource() turns one into the form's model:
+    { name, license, qualificationCode, qualificationDisplay, council }
+  where `license` is the HPR (Healthcare Professionals Registry) ID and
+  council is the registration council that issued the qualification.
+
+  The practitioner last picked or edited is kept in localStorage so the
+  prescriber does not have to pick themselves again on every visit.
+*/
+
+const STORAGE_KEY = "prescription-form.practitioner";
+
+// ABDM Healthcare Professionals Registry
+export const HPR_SYSTEM = "https://hpr.abdm.gov.in";
+
+// Qualification codes used by the directory
+export const QUALIFICATION_SYSTEM = "http://terminology.hl7.org/CodeSystem/v2-0360/2.7";
+
+// Nobody picked yet: blank, so validation asks for the name and HPR ID before anything is submitted
+export const DEFAULT_PRACTITIONER = {
+  name: "",
+  license: "",
+  qualificationCode: "",
+  qualificationDisplay: "",
+  council: "",
+};
+
+const humanName = (name) =>
+  (name && (name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(" "))) || "";
+
+/* Directory Practitioner resource -> form practitioner */
+export function practitionerFromResource(resource = {}) {
+  const identifiers = resource.identifier || [];
+  const hpr = identifiers.find((id) => id.system === HPR_SYSTEM) || identifiers[0];
+  const qualification = (resource.qualification || [])[0] || {};
+  const coding = (qualification.code?.coding || [])[0];
+  return {
+    name: humanName((resource.name || [])[0]),
+    license: hpr?.value || "",
+    qualificationCode: coding?.code || "",
+    qualificationDisplay: coding?.display || qualification.code?.text || "",
+    council: qualification.issuer?.display || "",
+  };
+}
+
+/*
+  In-memory index over directory practitioners. search() matches every query
+  word as a prefix of a word in the name, HPR ID, qualification or council.
+  Results are form practitioners plus `code` (the HPR ID) and `display` (the
+  name) so they can feed a ConceptTypeahead.
+*/
+export function createPractitionerIndex(resources = []) {
+  const rows = resources.map((r) => {
+    const p = practitionerFromResource(r);
+    const entry = { ...p, code: p.license || r.id, display: p.name };
+    const text = [p.name, p.license, p.license.replace(/-/g, ""), p.qualificationCode, p.qualificationDisplay, p.council].join(" ");
+    return { entry, tokens: text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean) };
+  });
+
+  const search = (query, limit = 10) => {
+    const words = String(query || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    if (words.length === 0) return [];
+    return rows
+      .filter((r) => words.every((w) => r.tokens.some((t) => t.startsWith(w))))
+      .slice(0, limit)
+      .map((r) => r.entry);
+  };
+
+  return { search, size: rows.length };
+}
+
+const browserStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+/* The practitioner picked last time, else the blank default */
+export function loadPractitioner(storage = browserStorage()) {
+  try {
+    const stored = storage && JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    if (stored && typeof stored === "object") return { ...DEFAULT_PRACTITIONER, ...stored };
+  } catch (e) {
+    // fall through to the default
+  }
+  return DEFAULT_PRACTITIONER;
+}
+
+export function savePractitioner(practitioner, storage = browserStorage()) {
+  if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(practitioner));
+  return practitioner;
+}
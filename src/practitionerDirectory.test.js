@@ -0,0 +1,54 @@
+import { createPractitionerIndex, practitionerFromResource, loadPractitioner, savePractitioner } from './practitionerDirectory';
+import { validateForm } from './formValidation';
+
+const directory = [
+  {
+    resourceType: 'Practitioner',
+    id: 'p1',
+    identifier: [{ system: 'https://hpr.abdm.gov.in', value: '71-2345-6789-0123' }],
+    name: [{ family: 'Smith', given: ['Alice'], prefix: ['Dr.'] }],
+    qualification: [
+      {
+        code: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0360/2.7', code: 'MD', display: 'Doctor of Medicine' }] },
+        issuer: { display: 'National Medical Commission' },
+      },
+    ],
+  },
+  {
+    resourceType: 'Practitioner',
+    id: 'p2',
+    identifier: [{ system: 'https://hpr.abdm.gov.in', value: '71-9876-5432-1098' }],
+    name: [{ text: 'Dr. Robert Johnson' }],
+  },
+];
+
+test('reads name, HPR ID, qualification and council from a directory entry', () => {
+  expect(practitionerFromResource(directory[0])).toEqual({
+    name: 'Dr. Alice Smith',
+    license: '71-2345-6789-0123',
+    qualificationCode: 'MD',
+    qualificationDisplay: 'Doctor of Medicine',
+    council: 'National Medical Commission',
+  });
+});
+
+test('searches by name, HPR ID (with or without hyphens), qualification and council', () => {
+  const index = createPractitionerIndex(directory);
+  expect(index.search('alice').map((p) => p.code)).toEqual(['71-2345-6789-0123']);
+  expect(index.search('71987654').map((p) => p.display)).toEqual(['Dr. Robert Johnson']);
+  expect(index.search('national md').map((p) => p.name)).toEqual(['Dr. Alice Smith']);
+  expect(index.search('dr')).toHaveLength(2);
+});
+
+test('remembers the chosen practitioner', () => {
+  const store = {};
+  const storage = { getItem: (k) => store[k] ?? null, setItem: (k, v) => (store[k] = v) };
+  expect(loadPractitioner(storage)).toEqual({ name: '', license: '', qualificationCode: '', qualificationDisplay: '', council: '' });
+  savePractitioner(practitionerFromResource(directory[1]), storage);
+  expect(loadPractitioner(storage)).toMatchObject({ name: 'Dr. Robert Johnson', license: '71-9876-5432-1098', council: '' });
+});
+
+test('nobody picked yet: the blank practitioner fails validation', () => {
+  const errors = validateForm({ practitioner: loadPractitioner(null) });
+  expect(errors).toMatchObject({ 'practitioner.name': 'Practitioner name is required', 'practitioner.license': 'HPR ID is required' });
+});
@@ -0,0 +1,724 @@
+// src/prescriptionBundle.js
+/*
+  Pure builder for the NRCES Prescription DocumentBundle.
+
+  No React, no DOM, no JSON imports — the same module is used by the form
+  (App.js / AppSubmit.js) and can be imported as-is by a Node server or CLI.
+  To keep it that way, every relative import in its module graph carries an
+  explicit ".js" and terminology is passed in rather than imported as JSON;
+  `npm run test:node` (scripts/node-smoke.mjs) loads it in plain Node.
+  Everything non-deterministic (ids, clock) is injectable through `options`
+  so callers can reproduce a bundle exactly.
+*/
+import {
+  SNOMED,
+  UCUM,
+  ADDITIONAL_INSTRUCTION_OPTIONS,
+  ROUTE_OPTIONS,
+  METHOD_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+  PERIOD_UNIT_OPTIONS,
+  PRN_REASON_OPTIONS,
+  findOption,
+} from "./dosageOptions.js";
+import {
+  CLINICAL_STATUS_OPTIONS,
+  VERIFICATION_STATUS_OPTIONS,
+  CATEGORY_OPTIONS,
+  SEVERITY_OPTIONS,
+  AGE_UNIT_OPTIONS,
+  optionByCode,
+  optionConcept,
+} from "./conditionOptions.js";
+import { ICD10 } from "./icd10.js";
+import { HFR_SYSTEM, identifierSystem, formatAddress } from "./facility.js";
+import { HPR_SYSTEM, QUALIFICATION_SYSTEM } from "./practitionerDirectory.js";
+import { ABHA_NUMBER_SYSTEM, ABHA_ADDRESS_SYSTEM, PATIENT_IDENTIFIER_TYPES, formatAbhaNumber } from "./abha.js";
+import { formatIndianAddress } from "./address.js";
+import { ENCOUNTER_CLASS_OPTIONS, DISCHARGE_DISPOSITION_OPTIONS, PARTICIPANT_ROLES } from "./encounterOptions.js";
+import { parseTimesOfDay } from "./frequencyPresets.js";
+import { scheduleSteps } from "./dosageSteps.js";
+import { buildSigText } from "./dosageText.js";
+import { DURATION_UNIT_OPTIONS, effectiveDispenseQuantity, effectiveSupplyDays, daysDuration } from "./dispense.js";
+import { addNarratives } from "./narrative.js";
+
+/*
+  Lightweight uuid generator (client-side, fine for UI use).
+  If you prefer, replace with `import { v4 as uuidv4 } from 'uuid'`.
+*/
+export function uuidv4() {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
+
+/*
+  Return ISO string with local timezone offset, e.g. 2025-08-12T14:35:21+05:30
+  `now` lets callers pin the clock; defaults to the current time.
+*/
+export function getISOWithOffsetFromDateInput(dateInput /* optional 'YYYY-MM-DD' */, now = new Date()) {
+  let d;
+  if (dateInput) {
+    // combine date with current time to preserve time-of-day
+    const [y, m, day] = dateInput.split("-");
+    const hh = String(now.getHours()).padStart(2, "0");
+    const mm = String(now.getMinutes()).padStart(2, "0");
+    const ss = String(now.getSeconds()).padStart(2, "0");
+    d = new Date(`${y}-${m}-${day}T${hh}:${mm}:${ss}`);
+  } else {
+    d = now;
+  }
+  const tzOffsetMin = d.getTimezoneOffset();
+  const sign = tzOffsetMin > 0 ? "-" : "+";
+  const pad = (n) => String(n).padStart(2, "0");
+  const offsetHr = pad(Math.floor(Math.abs(tzOffsetMin) / 60));
+  const offsetMin = pad(Math.abs(tzOffsetMin) % 60);
+  return d.toISOString().replace("Z", `${sign}${offsetHr}:${offsetMin}`);
+}
+
+/*
+  FHIR dateTime for a local "YYYY-MM-DDTHH:mm" (datetime-local input), with
+  the local timezone offset, e.g. 2025-08-12T09:30:00+05:30. "" stays "".
+*/
+export function dateTimeWithOffset(localValue) {
+  if (!localValue) return "";
+  const d = new Date(localValue);
+  const pad = (n) => String(n).padStart(2, "0");
+  const tzOffsetMin = d.getTimezoneOffset();
+  const sign = tzOffsetMin > 0 ? "-" : "+";
+  const offset = `${sign}${pad(Math.floor(Math.abs(tzOffsetMin) / 60))}:${pad(Math.abs(tzOffsetMin) % 60)}`;
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}${offset}`
+  );
+}
+
+/* Format date as YYYY-MM-DD */
+export function formatDateOnly(dateInput) {
+  return new Date(dateInput).toISOString().split("T")[0];
+}
+
+/*
+  CodeableConcept for a dropdown value. Accepts an option code, a display /
+  legacy label, or a {code, display} object; values that match no option are
+  sent as text only rather than under a wrong code.
+*/
+export function codedConcept(value, options) {
+  if (!value) return null;
+  if (typeof value === "object") {
+    return value.code
+      ? { coding: [{ system: value.system || SNOMED, code: value.code, display: value.display }] }
+      : { text: value.display || value.text };
+  }
+  const option = findOption(options, value);
+  return option ? { coding: [{ system: SNOMED, code: option.code, display: option.display }] } : { text: String(value) };
+}
+
+/* Dose quantity (1 tablet, 5 mL) as a FHIR SimpleQuantity, or null when no amount is given */
+export function buildDoseQuantity(amount, unitCode) {
+  const value = Number(amount);
+  if (amount === null || amount === undefined || amount === "" || !(value > 0)) return null;
+  const unit = DOSE_UNIT_OPTIONS.find((u) => u.code === unitCode);
+  if (!unit) return { value, ...(unitCode ? { unit: String(unitCode) } : {}) };
+  return { value, unit: unit.display, system: unit.system, code: unit.code };
+}
+
+// Build dosageInstruction dynamically and robustly.
+// Route, method, additional instruction and dose unit are coded from dosageOptions.js.
+// Returns an array (dosageInstruction must be an array): one Dosage, or one per
+// step of a tapering schedule (formValues.steps, see dosageSteps.js) numbered by `sequence`.
+export function buildDosageInstruction(formValues = {}) {
+  const steps = scheduleSteps(formValues);
+  if (steps.length === 1) return [buildDosage(steps[0])];
+  return steps.map((step, i) => ({
+    sequence: i + 1,
+    ...buildDosage(step),
+  }));
+}
+
+/* One Dosage from a row's (or a step's) fields; without typed directions, the text is the sig built from them */
+function buildDosage(formValues) {
+  const dosage = {
+    text: formValues.dosageText || buildSigText(formValues),
+  };
+
+  const additionalInstruction = codedConcept(formValues.additionalInstruction, ADDITIONAL_INSTRUCTION_OPTIONS);
+  if (additionalInstruction) dosage.additionalInstruction = [additionalInstruction];
+
+  // treatment duration -> timing.repeat.boundsDuration
+  const durationUnit = DURATION_UNIT_OPTIONS.find((u) => u.value === (formValues.durationUnit || "d"));
+  const boundsDuration =
+    Number(formValues.durationValue) > 0 && durationUnit
+      ? { value: Number(formValues.durationValue), unit: durationUnit.display, system: UCUM, code: durationUnit.value }
+      : null;
+
+  // clock times win over event codes: Timing.repeat may not carry both
+  const timeOfDay = parseTimesOfDay(formValues.timeOfDay) || [];
+  const when = timeOfDay.length ? [] : formValues.when || [];
+
+  const repeat = {
+    ...(boundsDuration ? { boundsDuration } : {}),
+    ...(formValues.frequency ? { frequency: Number(formValues.frequency) } : {}),
+    ...(formValues.frequency || formValues.period
+      ? { period: Number(formValues.period) || 1, periodUnit: formValues.periodUnit || "d" }
+      : {}),
+    ...(timeOfDay.length ? { timeOfDay } : {}),
+    ...(when.length ? { when: [...when] } : {}),
+  };
+  if (Object.keys(repeat).length) dosage.timing = { repeat };
+
+  // as needed: a reason (coded or free text) replaces the plain flag
+  if (formValues.asNeeded) {
+    const reason = codedConcept(formValues.asNeededReason, PRN_REASON_OPTIONS);
+    if (reason) dosage.asNeededCodeableConcept = reason;
+    else dosage.asNeededBoolean = true;
+  }
+
+  const route = codedConcept(formValues.route, ROUTE_OPTIONS);
+  if (route) dosage.route = route;
+
+  const method = codedConcept(formValues.method, METHOD_OPTIONS);
+  if (method) dosage.method = method;
+
+  const doseQuantity = buildDoseQuantity(formValues.doseAmount, formValues.doseUnit);
+  if (doseQuantity) {
+    dosage.doseAndRate = [
+      {
+        type: {
+          coding: [{ system: "http://terminology.hl7.org/CodeSystem/dose-rate-type", code: "ordered", display: "Ordered" }],
+        },
+        doseQuantity,
+      },
+    ];
+  }
+
+  const maxDosePerPeriod = buildMaxDosePerPeriod(formValues);
+  if (maxDosePerPeriod) dosage.maxDosePerPeriod = maxDosePerPeriod;
+
+  return dosage;
+}
+
+/* Upper limit ("no more than 4 tablets a day") as a Ratio of dose quantity to period, or null */
+export function buildMaxDosePerPeriod({ maxDoseAmount, doseUnit, maxDosePeriod, maxDosePeriodUnit = "d" } = {}) {
+  const numerator = buildDoseQuantity(maxDoseAmount, doseUnit);
+  if (!numerator) return null;
+  const unit = PERIOD_UNIT_OPTIONS.find((o) => o.value === maxDosePeriodUnit) || PERIOD_UNIT_OPTIONS[0];
+  const value = Number(maxDosePeriod) > 0 ? Number(maxDosePeriod) : 1;
+  return { numerator, denominator: { value, unit: value === 1 ? unit.word : `${unit.word}s`, system: UCUM, code: unit.value } };
+}
+
+/*
+  MedicationRequest.dispenseRequest from the row's dispense fields, or null
+  when nothing is set. Quantity is the manual override or the calculated
+  amount (see dispense.js); expected supply defaults to the treatment duration.
+*/
+export function buildDispenseRequest(m = {}, authoredOn) {
+  const request = {};
+  if (m.validUntil) request.validityPeriod = { ...(authoredOn ? { start: authoredOn } : {}), end: m.validUntil };
+  if (m.numberOfRepeats !== null && m.numberOfRepeats !== undefined && m.numberOfRepeats !== "") {
+    request.numberOfRepeatsAllowed = Number(m.numberOfRepeats);
+  }
+  const quantity = buildDoseQuantity(effectiveDispenseQuantity(m), m.doseUnit);
+  if (quantity) request.quantity = quantity;
+  const supplyDays = effectiveSupplyDays(m);
+  if (supplyDays) request.expectedSupplyDuration = daysDuration(supplyDays);
+  return Object.keys(request).length ? request : null;
+}
+
+/*
+  Condition.code / MedicationRequest.reasonCode for a diagnosis: the SNOMED
+  coding (for ABDM exchange) and the ICD-10 coding (for claims), each only
+  when its code is set.
+*/
+export function conditionCode(condition) {
+  const coding = [
+    ...(condition.code ? [{ system: SNOMED, code: condition.code, display: condition.text }] : []),
+    ...(condition.icd10Code
+      ? [{ system: ICD10, code: condition.icd10Code, ...(condition.icd10Display ? { display: condition.icd10Display } : {}) }]
+      : []),
+  ];
+  return { ...(coding.length ? { coding } : {}), text: condition.text };
+}
+
+/*
+  Condition resource for one diagnosis of the form:
+    { text, code, icd10Code, icd10Display, clinicalStatus, verificationStatus, category, severity,
+      onsetType: "" | "date" | "age", onsetDate, onsetAge, onsetAgeUnit, note }
+  Statuses, category and severity are option codes from conditionOptions.js.
+*/
+export function buildCondition(condition, id, patientId) {
+  const clinicalStatus = optionConcept(CLINICAL_STATUS_OPTIONS, condition.clinicalStatus);
+  const verificationStatus = optionConcept(VERIFICATION_STATUS_OPTIONS, condition.verificationStatus);
+  const category = optionConcept(CATEGORY_OPTIONS, condition.category);
+  const severity = optionConcept(SEVERITY_OPTIONS, condition.severity);
+  // a condition entered in error has no clinical status (FHIR invariant con-5)
+  const enteredInError = condition.verificationStatus === "entered-in-error";
+
+  const resource = {
+    resourceType: "Condition",
+    id,
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Condition"] },
+    ...(clinicalStatus && !enteredInError ? { clinicalStatus } : {}),
+    ...(verificationStatus ? { verificationStatus } : {}),
+    ...(category ? { category: [category] } : {}),
+    ...(severity ? { severity } : {}),
+    code: conditionCode(condition),
+    subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
+  };
+
+  if (condition.onsetType === "date" && condition.onsetDate) {
+    resource.onsetDateTime = condition.onsetDate;
+  } else if (condition.onsetType === "age" && Number(condition.onsetAge) > 0) {
+    const value = Number(condition.onsetAge);
+    const unit = AGE_UNIT_OPTIONS.find((u) => u.value === condition.onsetAgeUnit) || AGE_UNIT_OPTIONS[0];
+    resource.onsetAge = { value, unit: value === 1 ? unit.word : `${unit.word}s`, system: UCUM, code: unit.value };
+  }
+
+  if (condition.note && condition.note.trim()) resource.note = [{ text: condition.note.trim() }];
+  return resource;
+}
+
+/*
+  Practitioner resource for { name, license, qualificationCode, qualificationDisplay, council }
+  (see practitionerDirectory.js); license is the HPR ID.
+*/
+function buildPractitioner(practitioner, id, lastUpdated) {
+  const { qualificationCode, qualificationDisplay, council } = practitioner;
+  // qualification.code is mandatory, so the council is only sent alongside a qualification
+  const code = qualificationCode
+    ? { coding: [{ system: QUALIFICATION_SYSTEM, code: qualificationCode, display: qualificationDisplay }], text: qualificationDisplay }
+    : qualificationDisplay
+      ? { text: qualificationDisplay }
+      : null;
+  return {
+    resourceType: "Practitioner",
+    id,
+    meta: {
+      versionId: "1",
+      lastUpdated,
+      profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"],
+    },
+    identifier: [
+      {
+        type: {
+          coding: [
+            { system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "MD", display: "Medical License number" },
+          ],
+        },
+        system: HPR_SYSTEM,
+        value: practitioner.license,
+      },
+    ],
+    name: [{ text: practitioner.name }],
+    ...(code ? { qualification: [{ code, ...(council ? { issuer: { display: council } } : {}) }] } : {}),
+  };
+}
+
+/*
+  Patient identifiers in a fixed order: the hospital MRN (system per facility,
+  see identifierSystem), the ABHA number (hyphenated) and the chosen ABHA
+  address. Blank ones are left out.
+*/
+function patientIdentifiers(patient, facility) {
+  const values = {
+    mrn: [identifierSystem(facility, "patient"), String(patient.mrn || "").trim()],
+    abhaNumber: [ABHA_NUMBER_SYSTEM, formatAbhaNumber(patient.abhaNumber)],
+    abhaAddress: [ABHA_ADDRESS_SYSTEM, String(patient.abhaAddress || "").trim()],
+  };
+  return Object.entries(values)
+    .filter(([, [, value]]) => value)
+    .map(([kind, [system, value]]) => ({ type: { coding: [PATIENT_IDENTIFIER_TYPES[kind]] }, system, value }));
+}
+
+/*
+  FHIR Address for the form's { addressLine, district, state, postalCode }
+  (see address.js), or null when all are blank. The address line is split
+  at commas into line[].
+*/
+export function buildAddress({ addressLine, district, state, postalCode } = {}) {
+  const line = String(addressLine || "")
+    .split(",")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (!line.length && !district && !state && !postalCode) return null;
+  return {
+    use: "home",
+    text: formatIndianAddress({ addressLine, district, state, postalCode }),
+    ...(line.length ? { line } : {}),
+    ...(district ? { district } : {}),
+    ...(state ? { state } : {}),
+    ...(postalCode ? { postalCode } : {}),
+    country: "IN",
+  };
+}
+
+/*
+  Organization resource for the facility configuration (see facility.js),
+  identified by its HFR id. The logo is for print only and is not sent.
+*/
+export function buildOrganization(facility, id, lastUpdated) {
+  const address = {
+    ...(facility.line ? { line: [facility.line] } : {}),
+    ...(facility.city ? { city: facility.city } : {}),
+    ...(facility.district ? { district: facility.district } : {}),
+    ...(facility.state ? { state: facility.state } : {}),
+    ...(facility.postalCode ? { postalCode: facility.postalCode } : {}),
+  };
+  return {
+    resourceType: "Organization",
+    id,
+    meta: {
+      versionId: "1",
+      lastUpdated,
+      profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"],
+    },
+    identifier: [
+      {
+        type: {
+          coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "PRN", display: "Provider number" }],
+        },
+        system: HFR_SYSTEM,
+        value: facility.hfrId,
+      },
+    ],
+    name: facility.name,
+    ...(facility.phone ? { telecom: [{ system: "phone", value: facility.phone, use: "work" }] } : {}),
+    ...(Object.keys(address).length ? { address: [{ text: formatAddress(facility), ...address, country: "IN" }] } : {}),
+  };
+}
+
+/*
+  Encounter resource for the admission the prescription is written at:
+    { classCode, admittedAt, dischargedAt, dischargeDisposition,
+      admitterName, admitterLicense, dischargerName, dischargerLicense }
+  Times are local "YYYY-MM-DDTHH:mm" values; class and disposition are option
+  codes from encounterOptions.js. `participantRefs` maps each role's field
+  prefix (see PARTICIPANT_ROLES) to the reference of its Practitioner entry.
+  The encounter is finished once a discharge time is set.
+*/
+export function buildEncounter(encounter, id, patientRef, participantRefs = {}) {
+  const encounterClass = optionByCode(ENCOUNTER_CLASS_OPTIONS, encounter.classCode);
+  const disposition = optionConcept(DISCHARGE_DISPOSITION_OPTIONS, encounter.dischargeDisposition);
+  const participant = PARTICIPANT_ROLES.filter((role) => participantRefs[role.field]).map((role) => ({
+    type: [{ coding: [role.type] }],
+    individual: participantRefs[role.field],
+  }));
+  const start = dateTimeWithOffset(encounter.admittedAt);
+  const end = dateTimeWithOffset(encounter.dischargedAt);
+
+  return {
+    resourceType: "Encounter",
+    id,
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Encounter"] },
+    status: end ? "finished" : "in-progress",
+    class: encounterClass
+      ? { system: encounterClass.system, code: encounterClass.code, display: encounterClass.display }
+      : { code: encounter.classCode },
+    subject: patientRef,
+    ...(participant.length ? { participant } : {}),
+    ...(start || end ? { period: { ...(start ? { start } : {}), ...(end ? { end } : {}) } } : {}),
+    ...(disposition ? { hospitalization: { dischargeDisposition: disposition } } : {}),
+  };
+}
+
+/*
+  Build the Bundle JSON with correct structures:
+  - Dates in full ISO with timezone (dateTime)
+  - medicationCodeableConcept.coding[] (system/code/display)
+  - dosageInstruction: always include text; include extra fields only if provided
+  - Generated XHTML narrative (text) on Composition, Patient, Practitioners,
+    MedicationRequests, Conditions and Encounter
+  - Entry order: Composition, Patient, Practitioner, MedicationRequest..., Condition...,
+    Encounter, Practitioner... (admitting / discharging, when not the prescriber),
+    Organization, PractitionerRole... (one per Practitioner), Binary
+
+  input:
+    {
+      facility: { name, hfrId, ... } | null,  // see facility.js; null keeps the placeholder systems
+      practitioner: { name, license, qualificationCode, qualificationDisplay, council },
+      patient: { name, namePrefix, mrn, abhaNumber, birthDate, gender, phone, email,
+                 addressLine, district, state, postalCode, abhaAddress },
+      conditions: [{ id, text, code, clinicalStatus, ... }],  // see buildCondition
+      encounter: { classCode, admittedAt, ... } | null,        // see buildEncounter
+      // medications[].reasonConditionIds: ids of the conditions the drug is for
+      composition: { title, status, date },   // date as YYYY-MM-DD
+      medications: [{ medicationText, medicationCode, dosageText, ... }],
+      attachment: { data, contentType } | null  // data is base64
+      signatureImage: { data, contentType } | null  // handwritten signature, see signatureImage.js
+    }
+  options:
+    { generateId: () => string, now: () => Date }
+*/
+export function buildPrescriptionBundle(input, options = {}) {
+  const {
+    facility = null,
+    practitioner = {},
+    patient = {},
+    conditions = [],
+    encounter = null,
+    composition = {},
+    medications = [],
+    attachment = null,
+    signatureImage = null,
+  } = input || {};
+  const generateId = options.generateId || uuidv4;
+  const now = options.now || (() => new Date());
+  const timestamp = () => getISOWithOffsetFromDateInput(undefined, now());
+
+  const compId = generateId();
+  const patientId = generateId();
+  const practitionerId = generateId();
+  const conditionIds = conditions.map(() => generateId());
+  const conditionIdByFormId = Object.fromEntries(conditions.map((c, i) => [c.id, conditionIds[i]]));
+  const medReqIds = medications.map(() => generateId());
+  const binaryId = generateId();
+  const hasAttachment = Boolean(attachment && attachment.data && attachment.contentType);
+  const encounterId = encounter ? generateId() : null;
+  const encounterRef = encounter ? { reference: `urn:uuid:${encounterId}` } : null;
+  const organizationId = facility ? generateId() : null;
+
+  const bundle = {
+    resourceType: "Bundle",
+    id: `Prescription-${generateId()}`,
+    meta: {
+      versionId: "1",
+      lastUpdated: timestamp(),
+      profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentBundle"],
+      security: [
+        {
+          system: "http://terminology.hl7.org/CodeSystem/v3-Confidentiality",
+          code: "V",
+          display: "very restricted",
+        },
+      ],
+    },
+    identifier: {
+      system: identifierSystem(facility, "bundle"),
+      value: generateId(),
+    },
+    type: "document",
+    timestamp: timestamp(),
+    entry: [],
+  };
+
+  /* Composition */
+  const compositionResource = {
+    resourceType: "Composition",
+    id: compId,
+    meta: {
+      versionId: "1",
+      lastUpdated: timestamp(),
+      profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/PrescriptionRecord"],
+    },
+    language: "en-IN",
+    identifier: {
+      system: identifierSystem(facility, "composition"),
+      value: generateId(),
+    },
+    status: composition.status,
+    type: {
+      coding: [
+        {
+          system: "http://snomed.info/sct",
+          code: "440545006",
+          display: "Prescription record",
+        },
+      ],
+      text: "Prescription record",
+    },
+    subject: { reference: `urn:uuid:${patientId}`, display: "Patient" },
+    date: `${composition.date}T00:00:00+05:30`,
+    author: [{ reference: `urn:uuid:${practitionerId}`, display: "Practitioner" }],
+    title: composition.title,
+    ...(encounterRef ? { encounter: encounterRef } : {}),
+    ...(facility ? { custodian: { reference: `urn:uuid:${organizationId}`, display: facility.name } } : {}),
+    section: [
+      {
+        title: "Prescription record",
+        code: {
+          coding: [
+            {
+              system: "http://snomed.info/sct",
+              code: "440545006",
+              display: "Prescription record",
+            },
+          ],
+        },
+        entry: medReqIds.map((id) => ({
+          reference: `urn:uuid:${id}`,
+          type: "MedicationRequest",
+        })),
+      },
+    ],
+  };
+
+  /* Patient */
+  const patientAddress = buildAddress(patient);
+  const patientResource = {
+    resourceType: "Patient",
+    id: patientId,
+    meta: {
+      versionId: "1",
+      lastUpdated: timestamp(),
+      profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"],
+    },
+    identifier: patientIdentifiers(patient, facility),
+    name: [{ text: patient.name, ...(patient.namePrefix ? { prefix: [patient.namePrefix] } : {}) }],
+    telecom: [
+      { system: "phone", value: patient.phone, use: "home" },
+      ...(patient.email ? [{ system: "email", value: patient.email, use: "home" }] : []),
+    ],
+    gender: patient.gender,
+    birthDate: patient.birthDate,
+    ...(patientAddress ? { address: [patientAddress] } : {}),
+  };
+
+  /* Practitioner */
+  const practitionerResource = buildPractitioner(practitioner, practitionerId, timestamp());
+
+  /* MedicationRequests */
+  const medicationResources = medications.map((m, idx) => {
+    const dispenseRequest = buildDispenseRequest(m, formatDateOnly(composition.date));
+    const reasons = conditions.filter((c) => (m.reasonConditionIds || []).includes(c.id));
+    return {
+      resourceType: "MedicationRequest",
+      id: medReqIds[idx],
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationRequest"] },
+      status: "active",
+      intent: "order",
+      medicationCodeableConcept:
+        m.medicationCode && m.medicationCode.trim() !== ""
+          ? { coding: [{ system: "http://snomed.info/sct", code: m.medicationCode.trim(), display: m.medicationText }] }
+          : { text: m.medicationText },
+      subject: { reference: `urn:uuid:${patientId}`, display: patient.name },
+      authoredOn: formatDateOnly(composition.date),
+      requester: { reference: `urn:uuid:${practitionerId}`, display: practitioner.name },
+      ...(encounterRef ? { encounter: encounterRef } : {}),
+      ...(reasons.length
+        ? {
+          reasonCode: reasons.map(conditionCode),
+          reasonReference: reasons.map((c) => ({ reference: `urn:uuid:${conditionIdByFormId[c.id]}`, display: c.text })),
+        }
+        : {}),
+      dosageInstruction: buildDosageInstruction({
+        dosageText: m.dosageText,
+        additionalInstruction: m.additionalInstruction,
+        frequency: m.frequency,
+        period: m.period,
+        periodUnit: m.periodUnit,
+        when: m.when,
+        timeOfDay: m.timeOfDay,
+        asNeeded: m.asNeeded,
+        asNeededReason: m.asNeededReason,
+        maxDoseAmount: m.maxDoseAmount,
+        maxDosePeriod: m.maxDosePeriod,
+        maxDosePeriodUnit: m.maxDosePeriodUnit,
+        steps: m.steps,
+        route: m.route,
+        method: m.method,
+        doseAmount: m.doseAmount,
+        doseUnit: m.doseUnit,
+        durationValue: m.durationValue,
+        durationUnit: m.durationUnit,
+      }),
+      ...(dispenseRequest ? { dispenseRequest } : {}),
+    };
+  });
+
+  /* Conditions — one resource per diagnosis */
+  const conditionResources = conditions.map((condition, i) => buildCondition(condition, conditionIds[i], patientId));
+
+  /*
+    Encounter — admitting and discharging practitioners reuse the prescriber's
+    Practitioner when the licence matches, otherwise get an entry of their own
+    (one per licence).
+  */
+  const extraPractitioners = [];
+  let encounterResource = null;
+  if (encounter) {
+    const participantRefs = {};
+    PARTICIPANT_ROLES.forEach(({ field }) => {
+      const name = (encounter[`${field}Name`] || "").trim();
+      const license = (encounter[`${field}License`] || "").trim();
+      if (!name && !license) return;
+      let id = practitionerId;
+      if (!license || license !== (practitioner.license || "").trim()) {
+        const known = license && extraPractitioners.find((p) => p.identifier[0].value === license);
+        id = known ? known.id : generateId();
+        if (!known) extraPractitioners.push(buildPractitioner({ name, license }, id, timestamp()));
+      }
+      participantRefs[field] = { reference: `urn:uuid:${id}`, display: name || practitioner.name };
+    });
+    encounterResource = buildEncounter(encounter, encounterId, { reference: `urn:uuid:${patientId}`, display: patient.name }, participantRefs);
+  }
+
+  /* Add resources in example's order */
+  bundle.entry.push({ fullUrl: `urn:uuid:${compId}`, resource: compositionResource });
+  bundle.entry.push({ fullUrl: `urn:uuid:${patientId}`, resource: patientResource });
+  bundle.entry.push({ fullUrl: `urn:uuid:${practitionerId}`, resource: practitionerResource });
+  medicationResources.forEach((mr) => bundle.entry.push({ fullUrl: `urn:uuid:${mr.id}`, resource: mr }));
+  conditionResources.forEach((c) => bundle.entry.push({ fullUrl: `urn:uuid:${c.id}`, resource: c }));
+  if (encounterResource) bundle.entry.push({ fullUrl: `urn:uuid:${encounterId}`, resource: encounterResource });
+  extraPractitioners.forEach((p) => bundle.entry.push({ fullUrl: `urn:uuid:${p.id}`, resource: p }));
+
+  /* Organization — the custodian, and a PractitionerRole tying each Practitioner to it */
+  if (facility) {
+    bundle.entry.push({ fullUrl: `urn:uuid:${organizationId}`, resource: buildOrganization(facility, organizationId, timestamp()) });
+    [practitionerResource, ...extraPractitioners].forEach((p) => {
+      const roleId = generateId();
+      bundle.entry.push({
+        fullUrl: `urn:uuid:${roleId}`,
+        resource: {
+          resourceType: "PractitionerRole",
+          id: roleId,
+          meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/PractitionerRole"] },
+          practitioner: { reference: `urn:uuid:${p.id}`, display: p.name[0].text },
+          organization: { reference: `urn:uuid:${organizationId}`, display: facility.name },
+        },
+      });
+    });
+  }
+
+  /* Binary — include only if an attachment was supplied */
+  if (hasAttachment) {
+    const binaryResource = {
+      resourceType: "Binary",
+      id: binaryId,
+      meta: {
+        profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"],
+      },
+      contentType: attachment.contentType,
+      data: attachment.data,
+    };
+    bundle.entry.push({ fullUrl: `urn:uuid:${binaryId}`, resource: binaryResource });
+    compositionResource.section[0].entry.push({
+      reference: `urn:uuid:${binaryId}`,
+      type: "Binary",
+    });
+  }
+
+  /* Narratives (Resource.text) from the finished resources, see narrative.js */
+  addNarratives(bundle);
+
+  // Bundle-level signature: who signs and when, with the handwritten image if any;
+  // signBundle (signature.js) replaces the image with a JWS
+  bundle.signature = {
+    type: [
+      {
+        system: "urn:iso-astm:E1762-95:2013",
+        code: "1.2.840.10065.1.12.1.1",
+        display: "Author's Signature",
+      },
+    ],
+    when: timestamp(),
+    who: {
+      reference: `urn:uuid:${practitionerId}`,
+      display: practitioner.name || "Practitioner",
+    },
+    ...(signatureImage?.data ? { sigFormat: signatureImage.contentType, data: signatureImage.data } : {}),
+  };
+
+  return bundle;
+}
@@ -0,0 +1,324 @@
+import { buildPrescriptionBundle } from './prescriptionBundle';
+
+const input = {
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+  patient: { name: 'ABC', mrn: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+  conditions: [{ id: 'c1', text: 'Abdominal pain', code: '21522001', clinicalStatus: 'active' }],
+  composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+  medications: [
+    {
+      medicationText: 'Azithromycin 250 mg oral tablet',
+      medicationCode: '1145423002',
+      dosageText: 'One tablet at once',
+      frequency: 2,
+      period: 1,
+      periodUnit: 'd',
+    },
+  ],
+};
+
+const sequentialIds = () => {
+  let n = 0;
+  return () => `id-${++n}`;
+};
+
+test('builds the same bundle for the same input, ids and clock', () => {
+  const options = () => ({ generateId: sequentialIds(), now: () => new Date('2025-08-12T09:00:00Z') });
+  expect(buildPrescriptionBundle(input, options())).toEqual(buildPrescriptionBundle(input, options()));
+});
+
+test('emits entries in document order and links them by urn:uuid', () => {
+  const bundle = buildPrescriptionBundle(input, { generateId: sequentialIds() });
+  expect(bundle.entry.map((e) => e.resource.resourceType)).toEqual([
+    'Composition',
+    'Patient',
+    'Practitioner',
+    'MedicationRequest',
+    'Condition',
+  ]);
+  const [composition, patient] = bundle.entry.map((e) => e.resource);
+  expect(composition.subject.reference).toBe(`urn:uuid:${patient.id}`);
+  expect(composition.section[0].entry).toHaveLength(1);
+});
+
+test('adds a Binary entry only when an attachment is supplied', () => {
+  const bundle = buildPrescriptionBundle({
+    ...input,
+    attachment: { data: 'JVBERi0xLjQK', contentType: 'application/pdf' },
+  });
+  const binary = bundle.entry[bundle.entry.length - 1].resource;
+  expect(binary).toMatchObject({ resourceType: 'Binary', contentType: 'application/pdf' });
+  expect(bundle.entry[0].resource.section[0].entry.map((e) => e.type)).toContain('Binary');
+});
+
+test('codes route, method and additional instruction from the chosen option', () => {
+  const bundle = buildPrescriptionBundle({
+    ...input,
+    medications: [{ ...input.medications[0], route: '47625008', method: 'Inject', additionalInstruction: 'Free text only' }],
+  });
+  const [dosage] = bundle.entry[3].resource.dosageInstruction;
+  expect(dosage.route.coding).toEqual([{ system: 'http://snomed.info/sct', code: '47625008', display: 'Intravenous route' }]);
+  expect(dosage.method.coding[0].code).toBe('422145002');
+  expect(dosage.additionalInstruction).toEqual([{ text: 'Free text only' }]);
+});
+
+test('emits the structured dose as doseAndRate with a coded unit', () => {
+  const bundle = buildPrescriptionBundle({
+    ...input,
+    medications: [{ ...input.medications[0], doseAmount: 5, doseUnit: 'mL' }],
+  });
+  expect(bundle.entry[3].resource.dosageInstruction[0].doseAndRate[0].doseQuantity).toEqual({
+    value: 5,
+    unit: 'mL',
+    system: 'http://unitsofmeasure.org',
+    code: 'mL',
+  });
+});
+
+test('writes the directions from the structured dose when none are typed', () => {
+  const bundle = buildPrescriptionBundle({
+    ...input,
+    medications: [{ ...input.medications[0], dosageText: '', doseAmount: 5, doseUnit: 'mL' }],
+  });
+  expect(bundle.entry[3].resource.dosageInstruction[0].text).toBe('Take 5 mL twice a day');
+});
+
+test('calculates the dispense quantity from dose, timing and duration unless overridden', () => {
+  const med = { ...input.medications[0], doseAmount: 1, doseUnit: '732936001', durationValue: 1, durationUnit: 'wk', numberOfRepeats: 2 };
+  const build = (m) => buildPrescriptionBundle({ ...input, medications: [m] }).entry[3].resource;
+
+  const medReq = build(med);
+  expect(medReq.dosageInstruction[0].timing.repeat.boundsDuration).toMatchObject({ value: 1, code: 'wk' });
+  expect(medReq.dispenseRequest).toEqual({
+    numberOfRepeatsAllowed: 2,
+    quantity: { value: 14, unit: 'tablet', system: 'http://snomed.info/sct', code: '732936001' },
+    expectedSupplyDuration: { value: 7, unit: 'days', system: 'http://unitsofmeasure.org', code: 'd' },
+  });
+  expect(build({ ...med, dispenseQuantity: 20 }).dispenseRequest.quantity.value).toBe(20);
+});
+
+test('codes the as-needed reason and the maximum dose per period', () => {
+  const build = (m) => buildPrescriptionBundle({ ...input, medications: [{ ...input.medications[0], ...m }] }).entry[3].resource.dosageInstruction[0];
+  const dosage = build({ asNeeded: true, asNeededReason: 'Fever', doseAmount: 1, doseUnit: '732936001', maxDoseAmount: 3 });
+  expect(dosage.asNeededCodeableConcept.coding[0]).toMatchObject({ code: '386661006', display: 'Fever' });
+  expect(dosage.maxDosePerPeriod).toEqual({
+    numerator: { value: 3, unit: 'tablet', system: 'http://snomed.info/sct', code: '732936001' },
+    denominator: { value: 1, unit: 'day', system: 'http://unitsofmeasure.org', code: 'd' },
+  });
+  expect(build({ asNeeded: true })).toMatchObject({ asNeededBoolean: true });
+  expect(build({ asNeeded: true, asNeededReason: 'if vomiting persists' }).asNeededCodeableConcept).toEqual({ text: 'if vomiting persists' });
+});
+
+test('writes a tapering schedule as sequenced dosages with their own bounds', () => {
+  const taper = {
+    ...input.medications[0],
+    dosageText: '',
+    doseAmount: 40,
+    doseUnit: 'mg',
+    frequency: 1,
+    durationValue: 5,
+    steps: [{ doseAmount: 30, frequency: 1, period: 1, periodUnit: 'd', durationValue: 5, durationUnit: 'd' }],
+  };
+  const medReq = buildPrescriptionBundle({ ...input, medications: [taper] }).entry[3].resource;
+  expect(medReq.dosageInstruction.map((d) => [d.sequence, d.doseAndRate[0].doseQuantity.value, d.timing.repeat.boundsDuration.value])).toEqual([
+    [1, 40, 5],
+    [2, 30, 5],
+  ]);
+  expect(medReq.dosageInstruction[1].text).toBe('Take 30 mg once a day for 5 days');
+  expect(medReq.dispenseRequest.quantity.value).toBe(350);
+});
+
+test('emits one Condition per diagnosis and references only the chosen ones', () => {
+  const conditions = [...input.conditions, { id: 'c2', text: 'Fever', code: '386661006', clinicalStatus: 'active' }];
+  const bundle = buildPrescriptionBundle({ ...input, conditions, medications: [{ ...input.medications[0], reasonConditionIds: ['c2'] }] });
+  const resources = bundle.entry.map((e) => e.resource);
+  const [abdominal, fever] = resources.filter((r) => r.resourceType === 'Condition');
+  expect(abdominal.code.text).toBe('Abdominal pain');
+  expect(resources[3].reasonReference).toEqual([{ reference: `urn:uuid:${fever.id}`, display: 'Fever' }]);
+  expect(resources[3].reasonCode[0].coding[0].code).toBe('386661006');
+
+  const unlinked = buildPrescriptionBundle({ ...input, conditions }).entry[3].resource;
+  expect(unlinked.reasonReference).toBeUndefined();
+});
+
+test('codes condition statuses, category, severity and onset with their own displays', () => {
+  const condition = {
+    ...input.conditions[0],
+    clinicalStatus: 'inactive',
+    verificationStatus: 'provisional',
+    category: 'encounter-diagnosis',
+    severity: '24484000',
+    onsetType: 'date',
+    onsetDate: '2025-08-01',
+    note: 'Since last week',
+  };
+  const resource = (c) => buildPrescriptionBundle({ ...input, conditions: [c] }).entry[4].resource;
+  const r = resource(condition);
+  expect(r.clinicalStatus.coding[0]).toMatchObject({ code: 'inactive', display: 'Inactive' });
+  expect(r.verificationStatus.coding[0]).toMatchObject({ code: 'provisional', display: 'Provisional' });
+  expect(r.category[0].coding[0].display).toBe('Encounter Diagnosis');
+  expect(r.severity.coding[0]).toMatchObject({ system: 'http://snomed.info/sct', display: 'Severe' });
+  expect(r).toMatchObject({ onsetDateTime: '2025-08-01', note: [{ text: 'Since last week' }] });
+
+  expect(resource({ ...condition, onsetType: 'age', onsetAge: 1 }).onsetAge).toEqual({
+    value: 1,
+    unit: 'year',
+    system: 'http://unitsofmeasure.org',
+    code: 'a',
+  });
+  expect(resource({ ...condition, verificationStatus: 'entered-in-error' }).clinicalStatus).toBeUndefined();
+});
+
+test('codes a diagnosis in both SNOMED CT and ICD-10 for the Condition and the reason', () => {
+  const conditions = [{ ...input.conditions[0], icd10Code: 'R10.4', icd10Display: 'Other and unspecified abdominal pain' }];
+  const bundle = buildPrescriptionBundle({ ...input, conditions, medications: [{ ...input.medications[0], reasonConditionIds: ['c1'] }] });
+  const systems = (cc) => cc.coding.map((c) => `${c.system}|${c.code}`);
+  const expected = ['http://snomed.info/sct|21522001', 'http://hl7.org/fhir/sid/icd-10|R10.4'];
+  expect(systems(bundle.entry[4].resource.code)).toEqual(expected);
+  expect(systems(bundle.entry[3].resource.reasonCode[0])).toEqual(expected);
+});
+
+test('ties the Composition and every MedicationRequest to the admission Encounter', () => {
+  const encounter = {
+    classCode: 'IMP',
+    admittedAt: '2025-08-08T10:30',
+    dischargedAt: '2025-08-12T16:00',
+    dischargeDisposition: 'home',
+    admitterName: 'Dr. DEF',
+    admitterLicense: '21-1521-3828-3227',
+    dischargerName: 'Dr. GHI',
+    dischargerLicense: 'MCI-45821',
+  };
+  const bundle = buildPrescriptionBundle({ ...input, encounter }, { generateId: sequentialIds() });
+  const resources = bundle.entry.map((e) => e.resource);
+  expect(resources.map((r) => r.resourceType)).toEqual([
+    'Composition',
+    'Patient',
+    'Practitioner',
+    'MedicationRequest',
+    'Condition',
+    'Encounter',
+    'Practitioner',
+  ]);
+  const [composition, patient, prescriber, medReq, , enc, discharger] = resources;
+  expect(composition.encounter).toEqual({ reference: `urn:uuid:${enc.id}` });
+  expect(medReq.encounter).toEqual({ reference: `urn:uuid:${enc.id}` });
+  expect(enc).toMatchObject({
+    status: 'finished',
+    class: { code: 'IMP', display: 'inpatient encounter' },
+    subject: { reference: `urn:uuid:${patient.id}` },
+    period: { start: expect.stringMatching(/^2025-08-08T10:30:00[+-]\d\d:\d\d$/), end: expect.stringMatching(/^2025-08-12T16:00:00/) },
+    hospitalization: { dischargeDisposition: { coding: [expect.objectContaining({ code: 'home', display: 'Home' })] } },
+  });
+  // the prescriber admitted the patient; the discharging doctor gets a Practitioner of their own
+  expect(enc.participant.map((p) => [p.type[0].coding[0].code, p.individual.reference])).toEqual([
+    ['ADM', `urn:uuid:${prescriber.id}`],
+    ['DIS', `urn:uuid:${discharger.id}`],
+  ]);
+  expect(discharger.identifier[0].value).toBe('MCI-45821');
+});
+
+test('an encounter without a discharge time is still in progress', () => {
+  const bundle = buildPrescriptionBundle({ ...input, encounter: { classCode: 'IMP', admittedAt: '2025-08-08T10:30' } });
+  const enc = bundle.entry.find((e) => e.resource.resourceType === 'Encounter').resource;
+  expect(enc.status).toBe('in-progress');
+  expect(enc.period).toEqual({ start: expect.stringMatching(/^2025-08-08T10:30:00/) });
+  expect(enc.participant).toBeUndefined();
+});
+
+test('names the facility as custodian and derives identifier systems from its HFR id', () => {
+  const facility = { name: 'City General Hospital', hfrId: 'IN2410000949', line: '12 Station Road', city: 'Gaya', district: 'Gaya', state: 'Bihar', postalCode: '823001', phone: '+916312345678' };
+  const bundle = buildPrescriptionBundle({ ...input, facility }, { generateId: sequentialIds() });
+  const resources = bundle.entry.map((e) => e.resource);
+  const [composition, , practitioner] = resources;
+  const organization = resources.find((r) => r.resourceType === 'Organization');
+
+  expect(bundle.identifier.system).toBe('https://facility.ndhm.gov.in/IN2410000949/bundle');
+  expect(composition.identifier.system).toBe('https://facility.ndhm.gov.in/IN2410000949/composition');
+  expect(composition.custodian).toEqual({ reference: `urn:uuid:${organization.id}`, display: 'City General Hospital' });
+  expect(organization).toMatchObject({
+    identifier: [{ system: 'https://facility.ndhm.gov.in', value: 'IN2410000949' }],
+    telecom: [{ system: 'phone', value: '+916312345678', use: 'work' }],
+    address: [{ text: '12 Station Road, Gaya, Bihar 823001', line: ['12 Station Road'], city: 'Gaya', postalCode: '823001', country: 'IN' }],
+  });
+  expect(resources.filter((r) => r.resourceType === 'PractitionerRole')).toEqual([
+    expect.objectContaining({
+      practitioner: expect.objectContaining({ reference: `urn:uuid:${practitioner.id}` }),
+      organization: expect.objectContaining({ reference: `urn:uuid:${organization.id}` }),
+    }),
+  ]);
+});
+
+test('identifies the practitioner by HPR ID and lists the registered qualification', () => {
+  const practitioner = { ...input.practitioner, qualificationCode: 'MBBS', qualificationDisplay: 'Bachelor of Medicine', council: 'Bihar Medical Council' };
+  const resource = buildPrescriptionBundle({ ...input, practitioner }).entry[2].resource;
+  expect(resource.identifier[0]).toMatchObject({ system: 'https://hpr.abdm.gov.in', value: '21-1521-3828-3227' });
+  expect(resource.qualification).toEqual([
+    {
+      code: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0360/2.7', code: 'MBBS', display: 'Bachelor of Medicine' }],
+        text: 'Bachelor of Medicine',
+      },
+      issuer: { display: 'Bihar Medical Council' },
+    },
+  ]);
+  expect(buildPrescriptionBundle(input).entry[2].resource.qualification).toBeUndefined();
+});
+
+test('writes the patient title, email, home address and chosen ABHA address', () => {
+  const patient = {
+    ...input.patient,
+    namePrefix: 'Mr',
+    email: 'abc@example.com',
+    addressLine: 'Ramdhanpur, Near Post Office',
+    district: 'Gaya',
+    state: 'Bihar',
+    postalCode: '823002',
+    abhaAddress: 'abc@sbx',
+  };
+  const resource = buildPrescriptionBundle({ ...input, patient }).entry[1].resource;
+  expect(resource.name).toEqual([{ text: 'ABC', prefix: ['Mr'] }]);
+  expect(resource.telecom[1]).toEqual({ system: 'email', value: 'abc@example.com', use: 'home' });
+  expect(resource.identifier[1]).toMatchObject({ system: 'https://phr.abdm.gov.in', value: 'abc@sbx' });
+  expect(resource.address).toEqual([
+    {
+      use: 'home',
+      text: 'Ramdhanpur, Near Post Office, Gaya, Bihar 823002',
+      line: ['Ramdhanpur', 'Near Post Office'],
+      district: 'Gaya',
+      state: 'Bihar',
+      postalCode: '823002',
+      country: 'IN',
+    },
+  ]);
+  expect(buildPrescriptionBundle(input).entry[1].resource.address).toBeUndefined();
+});
+
+test('identifies the patient by hospital MRN, ABHA number and ABHA address, each typed', () => {
+  const patient = { ...input.patient, mrn: 'CGH-2025-000123', abhaNumber: '22722548295255', abhaAddress: 'abc@sbx' };
+  const facility = { name: 'City General Hospital', hfrId: 'IN2410000949' };
+  const resource = buildPrescriptionBundle({ ...input, facility, patient }).entry[1].resource;
+  expect(resource.identifier).toEqual([
+    {
+      type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR', display: 'Medical record number' }] },
+      system: 'https://facility.ndhm.gov.in/IN2410000949/patient',
+      value: 'CGH-2025-000123',
+    },
+    {
+      type: { coding: [{ system: 'https://nrces.in/ndhm/fhir/r4/CodeSystem/ndhm-identifier-type-code', code: 'ABHA', display: 'ABHA Number' }] },
+      system: 'https://healthid.abdm.gov.in',
+      value: '22-7225-4829-5255',
+    },
+    {
+      type: { coding: [{ system: 'https://nrces.in/ndhm/fhir/r4/CodeSystem/ndhm-identifier-type-code', code: 'ABHAAddress', display: 'ABHA Address' }] },
+      system: 'https://phr.abdm.gov.in',
+      value: 'abc@sbx',
+    },
+  ]);
+});
+
+test('carries the handwritten signature image with its format', () => {
+  const signatureImage = { contentType: 'image/jpeg', data: '/9j/4AAQ' };
+  expect(buildPrescriptionBundle({ ...input, signatureImage }).signature).toMatchObject({ sigFormat: 'image/jpeg', data: '/9j/4AAQ' });
+  expect(buildPrescriptionBundle(input).signature.data).toBeUndefined();
+});
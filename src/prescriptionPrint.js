@@ -0,0 +1,288 @@
+// src/prescriptionPrint.js
+/*
+  The paper copy of the prescription, from the same form model the bundle is
+  built from.
+
+  printablePrescription(form) reduces the form to what goes on paper
+  (letterhead, patient, practitioner, admission, diagnoses, medications with
+  their sig in plain language, signature date). The print view
+  (PrintedPrescription.js) renders it as HTML for window.print();
+  prescriptionPdf() lays it out as a PDF with pdfWriter.js, which can also be
+  embedded in the bundle as its Binary.
+*/
+import { createPdf, wrapText, textWidth } from "./pdfWriter";
+import { formatAddress } from "./facility";
+import { formatIndianAddress } from "./address";
+import { optionByCode } from "./conditionOptions";
+import { DISCHARGE_DISPOSITION_OPTIONS } from "./encounterOptions";
+import { buildSigText, describeDose, describeDuration } from "./dosageText";
+import { scheduleSteps } from "./dosageSteps";
+import { effectiveDispenseQuantity } from "./dispense";
+import { displayDate } from "./dateText";
+
+/* Whole years between two YYYY-MM-DD dates, or null */
+function ageInYears(birthDate, onDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate || "") || !/^\d{4}-\d{2}-\d{2}$/.test(onDate || "")) return null;
+  const years = Number(onDate.slice(0, 4)) - Number(birthDate.slice(0, 4));
+  return onDate.slice(5) < birthDate.slice(5) ? years - 1 : years;
+}
+
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : "");
+
+/* [label, value] rows without the blank ones */
+const rows = (pairs) => pairs.filter(([, value]) => value !== "" && value !== null && value !== undefined);
+
+/* The printed sig: each step of a tapering schedule in order */
+function sigOf(med) {
+  const steps = scheduleSteps(med);
+  if (steps.length === 1) return med.dosageText || buildSigText(med);
+  return steps.map((step, k) => (k === 0 ? med.dosageText : step.dosageText) || buildSigText(step)).join("; then ");
+}
+
+export function printablePrescription({ facility, practitioner = {}, patient = {}, encounter, conditions = [], composition = {}, medications = [] }) {
+  const age = ageInYears(patient.birthDate, composition.date);
+  const disposition = encounter && optionByCode(DISCHARGE_DISPOSITION_OPTIONS, encounter.dischargeDisposition);
+  return {
+    facility: facility
+      ? { name: facility.name || "", address: formatAddress(facility), phone: facility.phone || "", hfrId: facility.hfrId || "", logo: facility.logo || "" }
+      : null,
+    title: composition.title || "Prescription",
+    date: displayDate(composition.date),
+    patient: {
+      name: [patient.namePrefix, patient.name].filter(Boolean).join(" "),
+      rows: rows([
+        ["Age / Sex", [age !== null ? `${age} y` : "", capitalize(patient.gender)].filter(Boolean).join(" / ")],
+        ["Date of birth", displayDate(patient.birthDate)],
+        ["MRN", patient.mrn],
+        ["ABHA number", patient.abhaNumber],
+        ["ABHA address", patient.abhaAddress],
+        ["Phone", patient.phone],
+        ["Address", formatIndianAddress(patient)],
+      ]),
+    },
+    practitioner: {
+      name: practitioner.name || "",
+      rows: rows([
+        ["Qualification", practitioner.qualificationDisplay || practitioner.qualificationCode],
+        ["HPR ID", practitioner.license],
+        ["Council", practitioner.council],
+      ]),
+    },
+    admission: encounter
+      ? rows([
+          ["Admitted", displayDate(encounter.admittedAt)],
+          ["Discharged", displayDate(encounter.dischargedAt)],
+          ["Discharged to", disposition?.display],
+        ])
+      : [],
+    diagnoses: conditions
+      .filter((c) => c.text)
+      .map((c) => ({
+        text: c.text,
+        codes: [c.code && `SNOMED CT ${c.code}`, c.icd10Code && `ICD-10 ${c.icd10Code}`].filter(Boolean).join(" · "),
+      })),
+    medications: medications
+      .filter((m) => m.medicationText)
+      .map((m) => {
+        const quantity = effectiveDispenseQuantity(m);
+        return {
+          name: m.medicationText,
+          sig: sigOf(m),
+          duration: describeDuration(m.durationValue, m.durationUnit).replace(/^for /, ""),
+          quantity: quantity ? describeDose(quantity, m.doseUnit) || String(quantity) : "",
+        };
+      }),
+  };
+}
+
+/*
+  Image data URL -> JPEG { data (binary string), width, height } for
+  pdfWriter, drawn on white (PNG transparency would print black) and scaled
+  to at most `maxWidth` pixels. Browser only.
+*/
+export function pdfImage(dataUrl, maxWidth = 600) {
+  return new Promise((resolve, reject) => {
+    if (!dataUrl) {
+      resolve(null);
+      return;
+    }
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxWidth / img.width);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      const data = window.atob(canvas.toDataURL("image/jpeg", 0.9).split(",")[1]);
+      resolve({ data, width: canvas.width, height: canvas.height });
+    };
+    img.onerror = () => reject(new Error("Could not read the image"));
+    img.src = dataUrl;
+  });
+}
+
+const MARGIN = 40;
+const LINE = 12; // body line height at 9 pt
+
+/* Fit an image into a w x h box, keeping its aspect ratio */
+const fit = (image, w, h) => {
+  const scale = Math.min(w / image.width, h / image.height);
+  return [image.width * scale, image.height * scale];
+};
+
+/*
+  The printable prescription as a PDF (binary string).
+  The logo and signature are pdfImage() results, or null.
+*/
+export function prescriptionPdf(view, { logo = null, signature = null } = {}) {
+  const pdf = createPdf();
+  const right = pdf.pageWidth - MARGIN;
+  const bottom = pdf.pageHeight - MARGIN - 20; // leave room for the footer
+  let y = MARGIN;
+
+  const ensureRoom = (height) => {
+    if (y + height <= bottom) return false;
+    pdf.addPage();
+    y = MARGIN;
+    return true;
+  };
+
+  /* Letterhead */
+  let textLeft = MARGIN;
+  if (logo) {
+    const [w, h] = fit(logo, 60, 60);
+    pdf.image(logo, MARGIN, y, w, h);
+    textLeft = MARGIN + w + 12;
+  }
+  const head = view.facility || { name: "", address: "", phone: "", hfrId: "" };
+  pdf.text(head.name, textLeft, y + 16, { size: 16, bold: true });
+  let headY = y + 30;
+  wrapText(head.address, right - textLeft, 9).forEach((l) => {
+    pdf.text(l, textLeft, headY, { size: 9, gray: 0.3 });
+    headY += LINE;
+  });
+  const contact = [head.phone && `Phone ${head.phone}`, head.hfrId && `HFR ID ${head.hfrId}`].filter(Boolean).join("   ");
+  if (contact) pdf.text(contact, textLeft, headY, { size: 9, gray: 0.3 });
+  y = Math.max(y + 64, headY + 8);
+  pdf.line(MARGIN, y, right, y, { width: 1 });
+  y += 22;
+
+  /* Title and date */
+  pdf.text(view.title, MARGIN, y, { size: 13, bold: true });
+  if (view.date) pdf.text(`Date: ${view.date}`, right - textWidth(`Date: ${view.date}`, 10), y, { size: 10 });
+  y += 20;
+
+  /* Patient | practitioner, side by side */
+  const columnWidth = (right - MARGIN) / 2 - 10;
+  const block = (x, heading, name, items) => {
+    let by = y;
+    pdf.text(heading, x, by, { size: 8, bold: true, gray: 0.4 });
+    by += LINE;
+    pdf.text(name, x, by, { size: 11, bold: true });
+    by += LINE + 2;
+    items.forEach(([label, value]) => {
+      const lines = wrapText(value, columnWidth - 80, 9);
+      pdf.text(label, x, by, { size: 9, gray: 0.4 });
+      lines.forEach((l) => {
+        pdf.text(l, x + 80, by, { size: 9 });
+        by += LINE;
+      });
+    });
+    return by;
+  };
+  y = Math.max(block(MARGIN, "PATIENT", view.patient.name, view.patient.rows), block(MARGIN + columnWidth + 20, "PRESCRIBER", view.practitioner.name, view.practitioner.rows));
+
+  if (view.admission.length) {
+    y += 4;
+    pdf.text(view.admission.map(([label, value]) => `${label}: ${value}`).join("    "), MARGIN, y, { size: 9 });
+    y += LINE;
+  }
+
+  const heading = (text) => {
+    ensureRoom(40);
+    y += 12;
+    pdf.text(text, MARGIN, y, { size: 11, bold: true });
+    y += 4;
+    pdf.line(MARGIN, y, right, y);
+    y += LINE + 2;
+  };
+
+  /* Diagnoses */
+  if (view.diagnoses.length) {
+    heading("Diagnoses");
+    view.diagnoses.forEach((d, i) => {
+      const lines = wrapText(`${i + 1}. ${d.text}${d.codes ? ` (${d.codes})` : ""}`, right - MARGIN, 9);
+      ensureRoom(lines.length * LINE);
+      lines.forEach((l) => {
+        pdf.text(l, MARGIN, y, { size: 9 });
+        y += LINE;
+      });
+    });
+  }
+
+  /* Medications */
+  heading("Medications");
+  const columns = [
+    { key: "index", label: "#", width: 18 },
+    { key: "name", label: "Medicine", width: 160 },
+    { key: "sig", label: "Directions", width: 215 },
+    { key: "duration", label: "Duration", width: 60 },
+    { key: "quantity", label: "Quantity", width: right - MARGIN - 18 - 160 - 215 - 60 },
+  ];
+  const tableHeader = () => {
+    pdf.rect(MARGIN, y - 10, right - MARGIN, 14);
+    let x = MARGIN;
+    columns.forEach((c) => {
+      pdf.text(c.label, x + 2, y, { size: 9, bold: true });
+      x += c.width;
+    });
+    y += LINE + 2;
+  };
+  tableHeader();
+  view.medications.forEach((m, i) => {
+    const cells = columns.map((c) => wrapText(c.key === "index" ? String(i + 1) : m[c.key], c.width - 6, 9, c.key === "name"));
+    const height = Math.max(...cells.map((lines) => lines.length)) * LINE + 4;
+    if (ensureRoom(height)) tableHeader();
+    let x = MARGIN;
+    cells.forEach((lines, k) => {
+      lines.forEach((l, n) => pdf.text(l, x + 2, y + n * LINE, { size: 9, bold: columns[k].key === "name" }));
+      x += columns[k].width;
+    });
+    y += height;
+    pdf.line(MARGIN, y - LINE + 2, right, y - LINE + 2, { gray: 0.8 });
+  });
+
+  /* Signature */
+  ensureRoom(110);
+  y += 30;
+  const signLeft = right - 180;
+  if (signature) {
+    const [w, h] = fit(signature, 170, 50);
+    pdf.image(signature, signLeft, y, w, h);
+  }
+  y += 56;
+  pdf.line(signLeft, y, right, y);
+  y += LINE;
+  pdf.text(view.practitioner.name, signLeft, y, { size: 10, bold: true });
+  view.practitioner.rows
+    .filter(([label]) => label !== "Council")
+    .forEach(([label, value]) => {
+      y += LINE;
+      pdf.text(label === "HPR ID" ? `HPR ID ${value}` : value, signLeft, y, { size: 9 });
+    });
+  if (view.date) {
+    y += LINE;
+    pdf.text(`Signed on ${view.date}`, signLeft, y, { size: 9, gray: 0.3 });
+  }
+
+  /* Footers, once the page count is known */
+  for (let page = 0; page < pdf.pageCount; page++) {
+    pdf.setPage(page);
+    const footer = `${view.patient.name} · ${view.title} · Page ${page + 1} of ${pdf.pageCount}`;
+    pdf.text(footer, MARGIN, pdf.pageHeight - MARGIN + 10, { size: 8, gray: 0.5 });
+  }
+  return pdf.output();
+}
@@ -0,0 +1,54 @@
+import { printablePrescription, prescriptionPdf } from './prescriptionPrint';
+import { displayDate } from './dateText';
+import { wrapText } from './pdfWriter';
+
+const form = {
+  facility: { name: 'City Hospital', line: 'MG Road', city: 'Pune', state: 'Maharashtra', postalCode: '411001', phone: '020-2612 3456', hfrId: 'IN2710000123' },
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227', qualificationDisplay: 'MBBS', council: 'Maharashtra Medical Council' },
+  patient: { namePrefix: 'Mr.', name: 'ABC', mrn: 'MRN-1', abhaNumber: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male' },
+  encounter: { admittedAt: '2025-08-08T10:30', dischargedAt: '2025-08-12T09:00' },
+  conditions: [{ id: 'c1', text: 'Abdominal pain', code: '21522001', icd10Code: 'R10.9' }, { id: 'c2', text: '' }],
+  composition: { title: 'Discharge prescription', date: '2025-08-12' },
+  medications: [
+    { medicationText: 'Pantoprazole 40 mg tablet', doseAmount: 40, doseUnit: 'mg', frequency: 1, period: 1, periodUnit: 'd', durationValue: 5, durationUnit: 'd', steps: [{ doseAmount: 20, frequency: 1, period: 1, periodUnit: 'd', durationValue: 5, durationUnit: 'd' }] },
+    { medicationText: 'Paracetamol 500 mg tablet', dosageText: 'One tablet when needed for fever' },
+    { medicationText: '' },
+  ],
+};
+
+test('reduces the form to what is printed', () => {
+  const view = printablePrescription(form);
+  expect(view.facility).toMatchObject({ name: 'City Hospital', hfrId: 'IN2710000123' });
+  expect(view.title).toBe('Discharge prescription');
+  expect(view.date).toBe('12 Aug 2025');
+  expect(view.patient.name).toBe('Mr. ABC');
+  expect(view.patient.rows).toContainEqual(['Age / Sex', '44 y / Male']);
+  expect(view.practitioner.rows).toContainEqual(['HPR ID', '21-1521-3828-3227']);
+  expect(view.admission).toContainEqual(['Admitted', '08 Aug 2025, 10:30']);
+  expect(view.diagnoses).toEqual([{ text: 'Abdominal pain', codes: 'SNOMED CT 21522001 · ICD-10 R10.9' }]);
+  expect(view.medications.map((m) => m.name)).toEqual(['Pantoprazole 40 mg tablet', 'Paracetamol 500 mg tablet']);
+  expect(view.medications[0].sig).toMatch(/40 mg.*; then .*20 mg/);
+  expect(view.medications[1].sig).toBe('One tablet when needed for fever');
+  expect(displayDate('')).toBe('');
+});
+
+test('writes a PDF that breaks long medication lists across pages', () => {
+  const pdf = (medications) => prescriptionPdf(printablePrescription({ ...form, medications }));
+  const one = pdf(form.medications);
+  expect(one.startsWith('%PDF-1.4')).toBe(true);
+  expect(one.trimEnd().endsWith('%%EOF')).toBe(true);
+  expect(one).toContain('/Count 1');
+  expect(one).toContain('(Pantoprazole 40 mg tablet)');
+
+  const many = Array.from({ length: 80 }, (_, i) => ({ medicationText: `Medicine ${i + 1}`, dosageText: 'One tablet twice a day after food' }));
+  const long = pdf(many);
+  expect(long).toMatch(/\/Count [2-9]/);
+  expect(long).toContain('(Medicine 80)');
+  expect(long).toMatch(/Page 1 of [2-9]/);
+});
+
+test('wraps text at spaces and splits words wider than the column', () => {
+  expect(wrapText('One tablet twice a day after food', 60, 10)).toEqual(['One tablet', 'twice a day', 'after food']);
+  expect(wrapText('Pantoprazole', 30, 10).join('')).toBe('Pantoprazole');
+  expect(wrapText('', 100, 10)).toEqual(['']);
+});
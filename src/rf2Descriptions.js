@@ -0,0 +1,108 @@
+// src/rf2Descriptions.js
+/*
+  Reads SNOMED CT RF2 release files (description file and language reference
+  set) into medication concepts { code, display, strength, form }.
+
+  It has no imports, so the seed list build (scripts/build-medication-seed.mjs)
+  can load it in plain Node; the app reaches it through medicationIndex.js.
+*/
+
+// RF2 description type ids
+const FSN_TYPE = "900000000000003001";
+const SYNONYM_TYPE = "900000000000013009";
+
+// RF2 language reference sets, and the "preferred" acceptability
+export const GB_ENGLISH_REFSET = "900000000000508004";
+export const US_ENGLISH_REFSET = "900000000000509007";
+const PREFERRED = "900000000000548007";
+
+/*
+  "500 mg", "5 mg/mL", "0.5 %", "100 microgram", and SNOMED CT's spelled-out
+  units: "500 milligram/1 each", "40 microgram/mL", "250 milligram/5 milliliter".
+  A unit must not run on into a word ("500 gel" has no strength).
+*/
+const STRENGTH_UNIT =
+  "(?:milligrams?|micrograms?|nanograms?|grams?|international units?|units?|millimoles?|mmol|milliliters?|millilitres?|mg|mcg|g|mL|IU|%)";
+const PER_UNIT = "(?:each|actuations?|doses?|milliliters?|millilitres?|liters?|litres?|grams?|mL|L|g)";
+const STRENGTH_PATTERN = new RegExp(
+  `(\\d+(?:\\.\\d+)?\\s*${STRENGTH_UNIT}(?![a-z])(?:\\s*\\/\\s*(?:\\d+(?:\\.\\d+)?\\s*)?${PER_UNIT}(?![a-z]))?)`,
+  "i"
+);
+
+/* Split "Paracetamol 500 mg oral tablet" into strength and dose form */
+export function describeProduct(display) {
+  const match = STRENGTH_PATTERN.exec(display);
+  if (!match) return { strength: "", form: "" };
+  return {
+    strength: match[1].replace(/\s+/g, " ").trim(),
+    form: display.slice(match.index + match[0].length).trim(),
+  };
+}
+
+/*
+  Rows of an RF2 snapshot or full file as column arrays, keeping the latest
+  row per id (full files carry every version); the header line is skipped.
+*/
+function latestRows(text, columns) {
+  const latest = new Map();
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (i === 0 && line.startsWith("id\t")) return;
+      const cols = line.split("\t");
+      if (cols.length < columns) return;
+      const prev = latest.get(cols[0]);
+      if (!prev || prev[1] <= cols[1]) latest.set(cols[0], cols);
+    });
+  return [...latest.values()];
+}
+
+/* True for a language reference set file (der2_cRefset_Language*.txt) rather than a description file */
+export function isLanguageRefset(text) {
+  return /^id\teffectiveTime\tactive\tmoduleId\trefsetId\treferencedComponentId\tacceptabilityId/.test(String(text || ""));
+}
+
+/*
+  Ids of the descriptions that are preferred in `refsetId`, from a language
+  reference set file (id, effectiveTime, active, moduleId, refsetId,
+  referencedComponentId, acceptabilityId).
+*/
+export function preferredDescriptionIds(text, refsetId = GB_ENGLISH_REFSET) {
+  return new Set(
+    latestRows(text, 7)
+      .filter(([, , active, , refset, , acceptability]) => active === "1" && refset === refsetId && acceptability === PREFERRED)
+      .map((cols) => cols[5])
+  );
+}
+
+/*
+  Build concepts from an RF2 description snapshot/full file
+  (sct2_Description_*.txt: id, effectiveTime, active, moduleId, conceptId,
+  languageCode, typeId, term, caseSignificanceId). Clinical drugs are the
+  concepts with an active FSN tagged "(clinical drug)"; each is named by its
+  preferred synonym in the language reference set (see
+  preferredDescriptionIds), as prescribers write it ("Paracetamol 500 mg oral
+  tablet"). The FSN without its tag is the fallback when no synonym is
+  preferred, or no reference set is given.
+*/
+export function parseRf2Descriptions(text, languageRefset = "", refsetId = GB_ENGLISH_REFSET) {
+  const preferred = preferredDescriptionIds(languageRefset, refsetId);
+  const fsnByConcept = new Map();
+  const synonymByConcept = new Map();
+  latestRows(text, 9).forEach(([id, , active, , conceptId, , typeId, term]) => {
+    if (active !== "1") return;
+    if (typeId === FSN_TYPE) {
+      const m = /^(.*) \(clinical drug\)$/.exec(term);
+      if (m) fsnByConcept.set(conceptId, m[1]);
+    } else if (typeId === SYNONYM_TYPE && preferred.has(id)) {
+      synonymByConcept.set(conceptId, term);
+    }
+  });
+
+  const concepts = [];
+  fsnByConcept.forEach((fsn, conceptId) => {
+    const display = synonymByConcept.get(conceptId) || fsn;
+    concepts.push({ code: conceptId, display, ...describeProduct(display) });
+  });
+  return concepts.sort((a, b) => a.display.localeCompare(b.display));
+}
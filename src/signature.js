@@ -0,0 +1,273 @@
+// src/signature.js
+/*
+  Digital signature of the document Bundle.
+
+  Bundle.signature.data holds a detached JWS (RFC 7515, appendix F): the
+  compact form "header..signature" whose payload, left out, is the Bundle
+  in FHIR JSON canonical form (Bundle.signature removed, keys sorted, no
+  whitespace). sigFormat is "application/jose" and targetFormat names the
+  canonicalization, so a receiver can rebuild the payload and check it.
+
+  A signer is
+    { alg: "ES256" | "RS256", privateKey: CryptoKey, publicKey, certificates, label }
+  where publicKey is the base64 SubjectPublicKeyInfo and certificates the
+  base64 DER chain (leaf first, sent as the JWS x5c header). Signers come
+  from a WebCrypto key made in the browser (createBrowserSigner) or from a
+  PKCS#12 file (signerFromPkcs12); signingKeyStore.js keeps them per
+  practitioner. Private keys are imported non-extractable.
+
+  Crypto goes through WebCrypto; `subtle` can be passed in for tests.
+*/
+import forge from "node-forge";
+
+export const JOSE_SIG_FORMAT = "application/jose";
+export const CANONICAL_TARGET_FORMAT =
+  "application/fhir+json;canonicalization=http://hl7.org/fhir/canonicalization/json";
+
+// JWS alg -> WebCrypto parameters for importKey and sign / verify
+const ALGORITHMS = {
+  ES256: {
+    key: { name: "ECDSA", namedCurve: "P-256" },
+    sign: { name: "ECDSA", hash: "SHA-256" },
+  },
+  RS256: {
+    key: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    sign: { name: "RSASSA-PKCS1-v1_5" },
+  },
+};
+
+const browserSubtle = () => (typeof window !== "undefined" ? window.crypto?.subtle : undefined);
+
+/* Binary strings (one char per byte, as forge uses) <-> bytes and base64 */
+const toBytes = (binary) => Uint8Array.from(binary, (c) => c.charCodeAt(0));
+const fromBytes = (buffer) => String.fromCharCode(...new Uint8Array(buffer));
+const base64url = (binary) => forge.util.encode64(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64url = (text) =>
+  forge.util.decode64(text.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(text.length / 4) * 4, "="));
+
+/*
+  JSON canonical form (RFC 8785 / FHIR JSON canonicalization): object keys
+  sorted by UTF-16 code units, no whitespace, numbers and strings as
+  JSON.stringify writes them.
+*/
+export function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/* The signed payload: the Bundle without its signature, canonicalized */
+export function canonicalBundle(bundle) {
+  const { signature, ...rest } = bundle;
+  return canonicalize(rest);
+}
+
+/* base64 DER -> PEM text with the given label ("CERTIFICATE", "PUBLIC KEY") */
+export function toPem(base64Der, label) {
+  return `-----BEGIN ${label}-----\n${base64Der.match(/.{1,64}/g).join("\n")}\n-----END ${label}-----\n`;
+}
+
+/*
+  SubjectPublicKeyInfo (DER binary string) of an X.509 certificate. Read
+  from the ASN.1 directly so EC certificates work too (forge's certificate
+  parser only handles RSA keys).
+*/
+function spkiFromCertificate(der) {
+  return forge.asn1.toDer(tbsField(der, 6)).getBytes();
+}
+
+/*
+  Field `index` of an X.509 tbsCertificate:
+  [0] version?, serial, signature, issuer, validity, subject, subjectPublicKeyInfo
+  (indexes as when the optional version is present).
+*/
+function tbsField(der, index) {
+  const tbs = forge.asn1.fromDer(der).value[0];
+  const hasVersion = tbs.value[0].tagClass === forge.asn1.Class.CONTEXT_SPECIFIC;
+  return tbs.value[hasVersion ? index : index - 1];
+}
+
+/* { notBefore, notAfter } Dates of an X.509 certificate (DER binary string) */
+function certificateValidity(der) {
+  const [notBefore, notAfter] = tbsField(der, 4).value.map((time) =>
+    time.type === forge.asn1.Type.UTCTIME ? forge.asn1.utcTimeToDate(time.value) : forge.asn1.generalizedTimeToDate(time.value)
+  );
+  return { notBefore, notAfter };
+}
+
+/* Why the certificate (base64 DER) could not sign at `when`, or null */
+function validityError(certificate, when) {
+  const { notBefore, notAfter } = certificateValidity(forge.util.decode64(certificate));
+  const signedAt = new Date(when);
+  if (!when || Number.isNaN(signedAt.getTime())) return "The signature has no signing time to check the certificate against";
+  if (signedAt < notBefore) return `The certificate was not yet valid when the bundle was signed (valid from ${notBefore.toISOString()})`;
+  if (signedAt > notAfter) return `The certificate had expired when the bundle was signed (valid until ${notAfter.toISOString()})`;
+  return null;
+}
+
+/*
+  The practitioner's certificate or public key as text: PEM ("CERTIFICATE"
+  or "PUBLIC KEY"), bare base64 DER, or the raw DER bytes of a .cer file.
+  Returns { certificate (base64 DER, or null for a bare key), spki (binary) }.
+*/
+export function readTrustedKey(text) {
+  const pem = /-----BEGIN ([A-Z ]+)-----([\s\S]+?)-----END \1-----/.exec(text);
+  const label = pem ? pem[1] : null;
+  let der;
+  if (pem) der = forge.util.decode64(pem[2].replace(/\s+/g, ""));
+  else if (text.charCodeAt(0) === 0x30) der = text;
+  else der = forge.util.decode64(text.replace(/\s+/g, ""));
+
+  if (label === "PUBLIC KEY") return { certificate: null, spki: der };
+  if (label && label !== "CERTIFICATE") throw new Error(`Expected a certificate or public key, got ${label}`);
+  try {
+    return { certificate: forge.util.encode64(der), spki: spkiFromCertificate(der) };
+  } catch (e) {
+    throw new Error("Not an X.509 certificate");
+  }
+}
+
+/* JWS key id: base64url SHA-256 of the public key */
+async function keyId(spkiBase64, subtle) {
+  return base64url(fromBytes(await subtle.digest("SHA-256", toBytes(forge.util.decode64(spkiBase64)))));
+}
+
+/* New ECDSA P-256 key pair held by the browser; the private key cannot be exported */
+export async function createBrowserSigner({ subtle = browserSubtle(), label = "Browser key" } = {}) {
+  const pair = await subtle.generateKey(ALGORITHMS.ES256.key, false, ["sign", "verify"]);
+  const publicKey = forge.util.encode64(fromBytes(await subtle.exportKey("spki", pair.publicKey)));
+  return { alg: "ES256", privateKey: pair.privateKey, publicKey, certificates: [], label, createdAt: new Date().toISOString() };
+}
+
+/*
+  Signer from a PKCS#12 (.p12 / .pfx) file given as a binary string. Takes
+  the first private key and orders the certificates leaf first. Only RSA
+  keys are supported (as by the PKCS#12 reader).
+*/
+export async function signerFromPkcs12(binary, password, { subtle = browserSubtle() } = {}) {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(binary), password);
+  } catch (e) {
+    throw new Error(/MAC|password/i.test(e.message) ? "Wrong password for the PKCS#12 file" : "Not a PKCS#12 file");
+  }
+  const { oids } = forge.pki;
+  const bagsOf = (bagType) => p12.getBags({ bagType })[bagType] || [];
+  const keyBag = [...bagsOf(oids.pkcs8ShroudedKeyBag), ...bagsOf(oids.keyBag)][0];
+  if (!keyBag) throw new Error("The PKCS#12 file has no private key");
+  if (!keyBag.key) throw new Error("Only RSA keys are supported in PKCS#12 files");
+
+  const certs = bagsOf(oids.certBag)
+    .map((b) => b.cert)
+    .filter(Boolean);
+  const isLeaf = (cert) => cert.publicKey?.n && cert.publicKey.n.equals(keyBag.key.n);
+  certs.sort((a, b) => isLeaf(b) - isLeaf(a));
+  if (!certs.length || !isLeaf(certs[0])) throw new Error("The PKCS#12 file has no certificate for its key");
+
+  const pkcs8 = forge.asn1.toDer(forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(keyBag.key))).getBytes();
+  const privateKey = await subtle.importKey("pkcs8", toBytes(pkcs8), ALGORITHMS.RS256.key, false, ["sign"]);
+  const certificates = certs.map((c) => forge.util.encode64(forge.asn1.toDer(forge.pki.certificateToAsn1(c)).getBytes()));
+  const leaf = certs[0];
+  return {
+    alg: "RS256",
+    privateKey,
+    publicKey: forge.util.encode64(spkiFromCertificate(forge.util.decode64(certificates[0]))),
+    certificates,
+    label: leaf.subject.getField("CN")?.value || "PKCS#12 certificate",
+    validUntil: leaf.validity.notAfter.toISOString(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/*
+  Copy of `bundle` with signature.data set to a detached JWS over its
+  canonical form. Bundle.signature keeps the type, when and who the builder
+  wrote; `when` defaults to now. Those two are outside the canonical form,
+  so the protected header carries them too: the signing time as sigT (as in
+  JAdES) and the signer as `who`.
+*/
+export async function signBundle(bundle, signer, { subtle = browserSubtle(), now = () => new Date() } = {}) {
+  const { key, sign } = ALGORITHMS[signer.alg] || {};
+  if (!sign) throw new Error(`Unsupported signature algorithm ${signer.alg}`);
+  const when = bundle.signature?.when || now().toISOString();
+  const header = {
+    alg: signer.alg,
+    kid: await keyId(signer.publicKey, subtle),
+    ...(signer.certificates?.length ? { x5c: signer.certificates } : {}),
+    sigT: when,
+    ...(bundle.signature?.who ? { who: bundle.signature.who } : {}),
+  };
+  const protectedHeader = base64url(forge.util.encodeUtf8(JSON.stringify(header)));
+  const signingInput = `${protectedHeader}.${base64url(forge.util.encodeUtf8(canonicalBundle(bundle)))}`;
+  const sig = await subtle.sign({ ...key, ...sign }, signer.privateKey, toBytes(signingInput));
+  const jws = `${protectedHeader}..${base64url(fromBytes(sig))}`;
+  return {
+    ...bundle,
+    signature: {
+      ...bundle.signature,
+      when,
+      targetFormat: CANONICAL_TARGET_FORMAT,
+      sigFormat: JOSE_SIG_FORMAT,
+      data: forge.util.encode64(jws),
+    },
+  };
+}
+
+/*
+  Check a received bundle's signature against the practitioner's certificate
+  or public key (see readTrustedKey). The certificate that signed — the
+  trusted one, else the x5c leaf, which must hold the trusted key — has to
+  be valid at the signed time (header sigT), and signature.when and
+  signature.who have to match the header. Resolves to { valid, error, header }; never
+  throws.
+*/
+export async function verifyBundleSignature(bundle, trusted, { subtle = browserSubtle() } = {}) {
+  const fail = (error, header = null) => ({ valid: false, error, header });
+  const signature = bundle?.signature;
+  if (!signature?.data) return fail("The bundle is not signed");
+  if (signature.sigFormat !== JOSE_SIG_FORMAT) return fail(`Unsupported signature format ${signature.sigFormat || "(none)"}`);
+  if (signature.targetFormat && signature.targetFormat !== CANONICAL_TARGET_FORMAT)
+    return fail(`Unsupported target format ${signature.targetFormat}`);
+
+  let header;
+  let parts;
+  try {
+    parts = forge.util.decode64(signature.data).split(".");
+    header = JSON.parse(forge.util.decodeUtf8(fromBase64url(parts[0])));
+  } catch (e) {
+    return fail("The signature is not a JWS");
+  }
+  if (parts.length !== 3 || parts[1] !== "") return fail("The signature is not a detached JWS", header);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) return fail(`Unsupported signature algorithm ${header.alg}`, header);
+  if (!header.sigT) return fail("The signature has no signed signing time", header);
+  if (signature.when !== header.sigT) return fail("Bundle.signature.when does not match the signed signing time", header);
+  if (canonicalize(signature.who ?? null) !== canonicalize(header.who ?? null))
+    return fail("Bundle.signature.who does not match the signed signer", header);
+
+  let key;
+  try {
+    const { certificate, spki } = typeof trusted === "string" ? readTrustedKey(trusted) : trusted;
+    const leaf = header.x5c?.[0];
+    if (certificate && leaf && leaf !== certificate) return fail("Signed with a different certificate than the practitioner's", header);
+    if (!certificate && leaf && spkiFromCertificate(forge.util.decode64(leaf)) !== spki)
+      return fail("The certificate in the signature does not hold the practitioner's public key", header);
+    const signingCertificate = certificate || leaf;
+    const certificateError = signingCertificate && validityError(signingCertificate, header.sigT);
+    if (certificateError) return fail(certificateError, header);
+    key = await subtle.importKey("spki", toBytes(spki), algorithm.key, false, ["verify"]);
+  } catch (e) {
+    return fail(`The practitioner certificate cannot be used: ${e.message}`, header);
+  }
+
+  const signingInput = `${parts[0]}.${base64url(forge.util.encodeUtf8(canonicalBundle(bundle)))}`;
+  const valid = await subtle
+    .verify({ ...algorithm.key, ...algorithm.sign }, key, toBytes(fromBase64url(parts[2])), toBytes(signingInput))
+    .catch(() => false);
+  return valid ? { valid: true, error: null, header } : fail("The signature does not match the bundle", header);
+}
@@ -0,0 +1,147 @@
+import { webcrypto } from 'crypto';
+import forge from 'node-forge';
+import {
+  canonicalize,
+  createBrowserSigner,
+  signerFromPkcs12,
+  signBundle,
+  verifyBundleSignature,
+  toPem,
+  JOSE_SIG_FORMAT,
+  CANONICAL_TARGET_FORMAT,
+} from './signature';
+import { buildPrescriptionBundle } from './prescriptionBundle';
+
+const { subtle } = webcrypto;
+
+const bundle = buildPrescriptionBundle({
+  practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+  patient: { name: 'ABC', mrn: 'CGH-1', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+  conditions: [],
+  composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+  medications: [{ medicationText: 'Azithromycin 250 mg oral tablet', dosageText: 'One tablet at once' }],
+});
+
+// signed during the certificates' validity, whatever today's date
+const signedAt = (b, when = '2025-08-12T10:00:00+05:30') => ({ ...b, signature: { ...b.signature, when } });
+
+/* A PKCS#12 file with a self-signed RSA certificate, as a binary string */
+function makePkcs12(password, { notBefore = '2025-01-01T00:00:00Z', notAfter = '2027-01-01T00:00:00Z' } = {}) {
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 1024, e: 0x10001 });
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(notBefore);
+  cert.validity.notAfter = new Date(notAfter);
+  const attrs = [{ name: 'commonName', value: 'Dr. DEF' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], password, { algorithm: '3des' });
+  return {
+    p12: forge.asn1.toDer(p12).getBytes(),
+    certificatePem: forge.pki.certificateToPem(cert),
+    publicKeyPem: forge.pki.publicKeyToPem(keys.publicKey),
+  };
+}
+
+test('canonical JSON sorts keys and drops whitespace', () => {
+  expect(canonicalize({ b: [2, { d: 'x', c: null }], a: 'é', u: undefined })).toBe('{"a":"é","b":[2,{"c":null,"d":"x"}]}');
+});
+
+test('a browser key signs a detached JWS its public key verifies', async () => {
+  const signer = await createBrowserSigner({ subtle });
+  const signed = await signBundle(bundle, signer, { subtle });
+  expect(signed.signature).toMatchObject({ sigFormat: JOSE_SIG_FORMAT, targetFormat: CANONICAL_TARGET_FORMAT, who: bundle.signature.who });
+  const jws = Buffer.from(signed.signature.data, 'base64').toString();
+  expect(jws).toMatch(/^[\w-]+\.\.[\w-]+$/);
+
+  const publicKey = toPem(signer.publicKey, 'PUBLIC KEY');
+  await expect(verifyBundleSignature(signed, publicKey, { subtle })).resolves.toMatchObject({ valid: true });
+
+  // key order does not matter, content does
+  const reordered = JSON.parse(JSON.stringify({ signature: signed.signature, ...signed }));
+  await expect(verifyBundleSignature(reordered, publicKey, { subtle })).resolves.toMatchObject({ valid: true });
+  const tampered = JSON.parse(JSON.stringify(signed));
+  tampered.entry[1].resource.name[0].text = 'XYZ';
+  await expect(verifyBundleSignature(tampered, publicKey, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: 'The signature does not match the bundle',
+  });
+  const other = await createBrowserSigner({ subtle });
+  await expect(verifyBundleSignature(signed, toPem(other.publicKey, 'PUBLIC KEY'), { subtle })).resolves.toMatchObject({ valid: false });
+});
+
+test('signs with a PKCS#12 key and checks the practitioner certificate', async () => {
+  const { p12, certificatePem } = makePkcs12('secret');
+  await expect(signerFromPkcs12(p12, 'wrong', { subtle })).rejects.toThrow('Wrong password');
+
+  const signer = await signerFromPkcs12(p12, 'secret', { subtle });
+  expect(signer).toMatchObject({ alg: 'RS256', label: 'Dr. DEF', validUntil: '2027-01-01T00:00:00.000Z' });
+  const signed = await signBundle(signedAt(bundle), signer, { subtle });
+  const header = JSON.parse(Buffer.from(Buffer.from(signed.signature.data, 'base64').toString().split('.')[0], 'base64url').toString());
+  expect(header).toMatchObject({ alg: 'RS256', x5c: signer.certificates });
+
+  await expect(verifyBundleSignature(signed, certificatePem, { subtle })).resolves.toMatchObject({ valid: true });
+  const { certificatePem: otherCertificate } = makePkcs12('secret');
+  await expect(verifyBundleSignature(signed, otherCertificate, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: "Signed with a different certificate than the practitioner's",
+  });
+});
+
+test('rejects signatures made outside the certificate validity period', async () => {
+  const { p12, certificatePem, publicKeyPem } = makePkcs12('secret', { notBefore: '2024-01-01T00:00:00Z', notAfter: '2025-01-01T00:00:00Z' });
+  const signer = await signerFromPkcs12(p12, 'secret', { subtle });
+
+  const inTime = await signBundle(signedAt(bundle, '2024-06-01T10:00:00+05:30'), signer, { subtle });
+  await expect(verifyBundleSignature(inTime, certificatePem, { subtle })).resolves.toMatchObject({ valid: true });
+  await expect(verifyBundleSignature(inTime, publicKeyPem, { subtle })).resolves.toMatchObject({ valid: true });
+
+  const late = await signBundle(signedAt(bundle, '2025-08-12T10:00:00+05:30'), signer, { subtle });
+  const expired = {
+    valid: false,
+    error: 'The certificate had expired when the bundle was signed (valid until 2025-01-01T00:00:00.000Z)',
+  };
+  await expect(verifyBundleSignature(late, certificatePem, { subtle })).resolves.toMatchObject(expired);
+  // with a bare public key, the certificate sent in the x5c header is checked
+  await expect(verifyBundleSignature(late, publicKeyPem, { subtle })).resolves.toMatchObject(expired);
+
+  const early = await signBundle(signedAt(bundle, '2023-12-31T10:00:00+05:30'), signer, { subtle });
+  await expect(verifyBundleSignature(early, certificatePem, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: 'The certificate was not yet valid when the bundle was signed (valid from 2024-01-01T00:00:00.000Z)',
+  });
+
+  const { publicKeyPem: otherKey } = makePkcs12('secret');
+  await expect(verifyBundleSignature(inTime, otherKey, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: "The certificate in the signature does not hold the practitioner's public key",
+  });
+});
+
+test('the signing time and signer are signed: editing signature.when or who fails', async () => {
+  const { p12, certificatePem } = makePkcs12('secret', { notBefore: '2024-01-01T00:00:00Z', notAfter: '2025-01-01T00:00:00Z' });
+  const signer = await signerFromPkcs12(p12, 'secret', { subtle });
+  const late = await signBundle(signedAt(bundle, '2025-08-12T10:00:00+05:30'), signer, { subtle });
+  const header = JSON.parse(Buffer.from(Buffer.from(late.signature.data, 'base64').toString().split('.')[0], 'base64url').toString());
+  expect(header).toMatchObject({ sigT: '2025-08-12T10:00:00+05:30', who: bundle.signature.who });
+
+  // moving `when` back into the certificate's validity does not make an expired signature valid
+  const backdated = signedAt(late, '2024-06-01T10:00:00+05:30');
+  await expect(verifyBundleSignature(backdated, certificatePem, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: 'Bundle.signature.when does not match the signed signing time',
+  });
+
+  const inTime = await signBundle(signedAt(bundle, '2024-06-01T10:00:00+05:30'), signer, { subtle });
+  const reassigned = { ...inTime, signature: { ...inTime.signature, who: { reference: 'urn:uuid:someone-else' } } };
+  await expect(verifyBundleSignature(reassigned, certificatePem, { subtle })).resolves.toMatchObject({
+    valid: false,
+    error: 'Bundle.signature.who does not match the signed signer',
+  });
+});
+
+test('an unsigned bundle does not verify', async () => {
+  await expect(verifyBundleSignature(bundle, '', { subtle })).resolves.toMatchObject({ valid: false, error: 'The bundle is not signed' });
+});
@@ -0,0 +1,61 @@
+// src/signatureImage.js
+/*
+  Handwritten signature images, for facilities that sign without PKI.
+
+  The drawing from the signature pad is kept per practitioner (by HPR ID) in
+  localStorage as a data URL ("data:image/png;base64,..."). The builder
+  takes it as { contentType, data } and writes it to Bundle.signature
+  (sigFormat = contentType); a digital signature (see signature.js), when
+  set up, replaces it. The printed prescription shows the same image.
+*/
+
+const STORAGE_KEY = "prescription-form.signatureImages";
+
+export const SIGNATURE_IMAGE_TYPES = ["image/png", "image/jpeg"];
+
+/* "data:image/png;base64,iVBOR..." -> { contentType, data }, or null */
+export function parseDataUrl(dataUrl) {
+  const m = /^data:([\w/+.-]+);base64,(.+)$/.exec(String(dataUrl || ""));
+  return m ? { contentType: m[1], data: m[2] } : null;
+}
+
+export function toDataUrl(image) {
+  return image?.data ? `data:${image.contentType};base64,${image.data}` : "";
+}
+
+const browserStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+function readAll(storage) {
+  try {
+    const stored = storage && JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    if (stored && typeof stored === "object") return stored;
+  } catch (e) {
+    // fall through to none
+  }
+  return {};
+}
+
+/* The practitioner's saved signature as a data URL, or "" */
+export function loadSignatureImage(license, storage = browserStorage()) {
+  return (license && readAll(storage)[license]) || "";
+}
+
+/* Save (or, with an empty dataUrl, forget) the practitioner's signature */
+export function saveSignatureImage(license, dataUrl, storage = browserStorage()) {
+  if (!storage || !license) return dataUrl;
+  const all = readAll(storage);
+  if (dataUrl) all[license] = dataUrl;
+  else delete all[license];
+  storage.setItem(STORAGE_KEY, JSON.stringify(all));
+  return dataUrl;
+}
+
+/*
+  Why a bundle cannot be submitted yet, or "": it must carry a signature,
+  either a digital one (a signer, see signature.js) or the saved handwritten
+  image for facilities without PKI.
+*/
+export function submitSignatureError(signer, signatureImage) {
+  if (signer || parseDataUrl(signatureImage)) return "";
+  return "Set up a signing key or save a handwritten signature in the Practitioner card before submitting.";
+}
@@ -0,0 +1,45 @@
+import { loadSignatureImage, saveSignatureImage, parseDataUrl, toDataUrl, submitSignatureError } from './signatureImage';
+import { buildPrescriptionBundle } from './prescriptionBundle';
+import { submitBundle } from './fhirClient';
+import { createMockFhirServer } from './mockFhirServer';
+
+const memoryStorage = () => {
+  const items = {};
+  return { getItem: (k) => items[k] ?? null, setItem: (k, v) => (items[k] = v), removeItem: (k) => delete items[k] };
+};
+
+test('keeps one signature per practitioner', () => {
+  const storage = memoryStorage();
+  saveSignatureImage('21-1521-3828-3227', 'data:image/png;base64,AAA', storage);
+  saveSignatureImage('MCI-45821', 'data:image/jpeg;base64,BBB', storage);
+  expect(loadSignatureImage('21-1521-3828-3227', storage)).toBe('data:image/png;base64,AAA');
+  saveSignatureImage('21-1521-3828-3227', '', storage);
+  expect(loadSignatureImage('21-1521-3828-3227', storage)).toBe('');
+  expect(loadSignatureImage('MCI-45821', storage)).toBe('data:image/jpeg;base64,BBB');
+});
+
+test('splits data URLs into content type and base64 data', () => {
+  expect(parseDataUrl('data:image/jpeg;base64,/9j/4AAQ')).toEqual({ contentType: 'image/jpeg', data: '/9j/4AAQ' });
+  expect(parseDataUrl('')).toBeNull();
+  expect(toDataUrl({ contentType: 'image/png', data: 'AAA' })).toBe('data:image/png;base64,AAA');
+  expect(toDataUrl(null)).toBe('');
+});
+
+test('submits a bundle signed only with the drawn signature', async () => {
+  const drawn = 'data:image/png;base64,iVBORw0KGgo=';
+  expect(submitSignatureError(null, '')).toMatch(/signing key or save a handwritten signature/);
+  expect(submitSignatureError(null, drawn)).toBe('');
+
+  const bundle = buildPrescriptionBundle({
+    practitioner: { name: 'Dr. DEF', license: '21-1521-3828-3227' },
+    patient: { name: 'ABC', mrn: '22-7225-4829-5255', birthDate: '1981-01-12', gender: 'male', phone: '+919818512600' },
+    conditions: [{ id: 'c1', text: 'Abdominal pain', code: '21522001', clinicalStatus: 'active' }],
+    composition: { title: 'Prescription record', status: 'final', date: '2025-08-12' },
+    medications: [{ medicationText: 'Azithromycin 250 mg oral tablet', medicationCode: '1145423002' }],
+    signatureImage: parseDataUrl(drawn),
+  });
+  const server = createMockFhirServer();
+  const result = await submitBundle(bundle, { baseUrl: 'http://fhir.test/fhir', fetchImpl: server.fetch });
+  expect(result).toMatchObject({ ok: true, status: 201 });
+  expect(result.resource.signature).toMatchObject({ sigFormat: 'image/png', data: 'iVBORw0KGgo=' });
+});
@@ -0,0 +1,51 @@
+// src/signingKeyStore.js
+/*
+  Signing keys kept in the browser, one per practitioner (keyed by HPR ID).
+
+  A signer (see signature.js) holds a non-extractable CryptoKey, which
+  localStorage cannot hold, so signers live in IndexedDB. The key never
+  leaves the browser; only the public key / certificate can be exported.
+*/
+
+const DB_NAME = "prescription-form";
+const STORE = "signing-keys";
+
+const browserIndexedDB = () => (typeof window !== "undefined" ? window.indexedDB : null);
+
+function openDb(idb) {
+  return new Promise((resolve, reject) => {
+    if (!idb) {
+      reject(new Error("This browser cannot store signing keys"));
+      return;
+    }
+    const request = idb.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/* Run `action(store)` in a transaction; resolves with the request's result */
+async function withStore(mode, action, idb) {
+  const db = await openDb(idb);
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
+}
+
+/* The practitioner's signer, or null */
+export async function loadSigner(license, idb = browserIndexedDB()) {
+  if (!license) return null;
+  return (await withStore("readonly", (store) => store.get(license), idb)) || null;
+}
+
+export async function saveSigner(license, signer, idb = browserIndexedDB()) {
+  await withStore("readwrite", (store) => store.put(signer, license), idb);
+  return signer;
+}
+
+export async function deleteSigner(license, idb = browserIndexedDB()) {
+  await withStore("readwrite", (store) => store.delete(license), idb);
+}